@@ -0,0 +1,391 @@
+/**
+ * Bot dashboard
+ * Reads /api/accounts/:account/dashboard and draws everything itself, so it works without network access.
+ * The API key is kept in this browser's local storage and sent with every request.
+ */
+(function () {
+  'use strict';
+
+  const REFRESH_MS = 60 * 1000;
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const HORIZON_UNITS = { m: 1, h: 60, d: 24 * 60 };
+  const KEY_STORAGE = 'xbot.apiKey';
+
+  const $ = (id) => document.getElementById(id);
+  let account = null;
+
+  /**
+   * Call the bot's API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /api
+   * @returns {Promise<Object>} - Response body
+   */
+  async function api(method, path) {
+    const headers = { Accept: 'application/json' };
+    const key = localStorage.getItem(KEY_STORAGE);
+    if (key) {
+      headers.Authorization = `Bearer ${key}`;
+    }
+
+    const response = await fetch(`/api${path}`, { method, headers });
+    const body = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      throw new Error('Enter a valid API key (create one with "npm run keys -- create <name> viewer")');
+    }
+    if (!response.ok || body.success === false) {
+      throw new Error(body.error || `${method} ${path} failed with status ${response.status}`);
+    }
+    return body;
+  }
+
+  /**
+   * Create an HTML element; children are nodes or strings, which are inserted as text
+   */
+  function el(tag, attrs = {}, children = []) {
+    const node = document.createElement(tag);
+    Object.entries(attrs).forEach(([name, value]) => node.setAttribute(name, value));
+    [].concat(children).forEach(child => {
+      node.append(child instanceof Node ? child : document.createTextNode(child == null ? '' : String(child)));
+    });
+    return node;
+  }
+
+  /**
+   * Create an SVG element
+   */
+  function svg(tag, attrs = {}, text = null) {
+    const node = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([name, value]) => node.setAttribute(name, value));
+    if (text !== null) {
+      node.textContent = text;
+    }
+    return node;
+  }
+
+  // Same weighting as the API's engagement_score
+  const score = (m) => (m.likes || 0) + (m.retweets || 0) * 2 + (m.replies || 0) * 3;
+
+  const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '-');
+  const formatNumber = (n, digits = 0) => (typeof n === 'number' && isFinite(n) ? n.toFixed(digits) : '-');
+  const horizonMinutes = (horizon) => {
+    const match = /^(\d+)([mhd])$/.exec(horizon);
+    return match ? parseInt(match[1], 10) * HORIZON_UNITS[match[2]] : Infinity;
+  };
+
+  function showMessage(text, isError = false) {
+    const message = $('message');
+    message.textContent = text;
+    message.className = isError ? 'message error' : 'message';
+    message.hidden = false;
+  }
+
+  function fillTable(tbody, rows, columns) {
+    tbody.replaceChildren();
+    if (rows.length === 0) {
+      tbody.append(el('tr', {}, el('td', { colspan: columns, class: 'empty' }, 'Nothing yet')));
+      return;
+    }
+    rows.forEach(row => tbody.append(row));
+  }
+
+  /**
+   * Draw a line chart with points
+   * @param {Element} container - Element to draw in
+   * @param {Array<Object>} series - { points: [{ x, y, title }], opacity }
+   * @param {Object} options - { xTicks: [{ x, label }], height, lines }
+   */
+  function drawChart(container, series, options = {}) {
+    const width = 900;
+    const height = options.height || 260;
+    const pad = { top: 12, right: 16, bottom: 28, left: 44 };
+    const points = series.flatMap(s => s.points);
+
+    container.replaceChildren();
+    if (points.length === 0) {
+      container.append(el('p', { class: 'empty' }, 'No measured posts yet'));
+      return;
+    }
+
+    const xs = points.map(p => p.x);
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const maxY = Math.max(1, ...points.map(p => p.y));
+    const x = (value) => pad.left + (maxX === minX ? 0.5 : (value - minX) / (maxX - minX)) * (width - pad.left - pad.right);
+    const y = (value) => height - pad.bottom - (value / maxY) * (height - pad.top - pad.bottom);
+
+    const chart = svg('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img' });
+
+    // Axes and gridlines at 0, half and the maximum
+    [0, maxY / 2, maxY].forEach(tick => {
+      chart.append(svg('line', { class: 'axis', x1: pad.left, x2: width - pad.right, y1: y(tick), y2: y(tick) }));
+      chart.append(svg('text', { x: pad.left - 6, y: y(tick) + 4, 'text-anchor': 'end' }, formatNumber(tick, tick % 1 ? 1 : 0)));
+    });
+    (options.xTicks || []).forEach(tick => {
+      chart.append(svg('text', { x: x(tick.x), y: height - 8, 'text-anchor': 'middle' }, tick.label));
+    });
+
+    series.forEach(s => {
+      const group = svg('g', { opacity: s.opacity || 1 });
+      const sorted = [...s.points].sort((a, b) => a.x - b.x);
+      if (options.lines !== false && sorted.length > 1) {
+        group.append(svg('polyline', { class: 'line', points: sorted.map(p => `${x(p.x)},${y(p.y)}`).join(' ') }));
+      }
+      sorted.forEach(p => {
+        const point = svg('circle', { class: 'point', cx: x(p.x), cy: y(p.y), r: 3.5 });
+        point.append(svg('title', {}, p.title));
+        group.append(point);
+      });
+      chart.append(group);
+    });
+
+    container.append(chart);
+  }
+
+  /**
+   * Small inline chart of one post's engagement at each horizon
+   */
+  function sparkline(curve, horizons) {
+    const values = horizons.filter(h => curve && curve[h]).map(h => score(curve[h]));
+    if (values.length === 0) {
+      return '-';
+    }
+    const width = 80;
+    const height = 20;
+    const max = Math.max(1, ...values);
+    const step = horizons.length > 1 ? width / (horizons.length - 1) : 0;
+    const line = svg('svg', { width, height, viewBox: `0 0 ${width} ${height}` });
+    line.append(svg('polyline', {
+      class: 'line',
+      points: values.map((v, i) => `${i * step},${height - 2 - (v / max) * (height - 4)}`).join(' ')
+    }));
+    line.append(svg('title', {}, horizons.filter(h => curve[h]).map(h => `${h}: ${score(curve[h])}`).join(', ')));
+    return el('span', { class: 'chart' }, line);
+  }
+
+  function tweetRow(tweet, extra = []) {
+    return el('tr', {}, [
+      el('td', {}, formatTime(tweet.created_at)),
+      el('td', {}, tweet.type),
+      el('td', { class: 'text' }, tweet.content),
+      el('td', { class: 'number' }, formatNumber(tweet.likes || 0)),
+      el('td', { class: 'number' }, formatNumber(tweet.retweets || 0)),
+      el('td', { class: 'number' }, formatNumber(tweet.replies || 0)),
+      el('td', { class: 'number' }, formatNumber(score(tweet))),
+      ...extra
+    ]);
+  }
+
+  function renderStatus(data) {
+    const { botStatus, insights, postingPlan } = data;
+    const status = $('status');
+    status.textContent = botStatus.isRunning ? 'Running' : 'Stopped';
+    status.className = `badge ${botStatus.isRunning ? 'running' : 'stopped'}`;
+
+    $('next-tweet').textContent = formatTime(botStatus.nextTweetTime);
+    $('avg-engagement').textContent = formatNumber(insights.avgEngagement, 1);
+    $('sample-size').textContent = insights.sampleSize;
+    $('slots-today').textContent = postingPlan
+      ? `${postingPlan.slots.filter(s => s.status === 'posted' || s.status === 'drafted').length} / ${postingPlan.slots.length}`
+      : '-';
+  }
+
+  function renderHistory({ horizon, posts }) {
+    $('history-horizon').textContent = `(score at ${horizon})`;
+    const points = posts.map(post => ({
+      x: Date.parse(post.created_at),
+      y: post.engagement_score,
+      title: `${formatTime(post.created_at)}: ${post.engagement_score}`
+    }));
+    const times = points.map(p => p.x);
+    const xTicks = points.length > 0
+      ? [Math.min(...times), (Math.min(...times) + Math.max(...times)) / 2, Math.max(...times)]
+        .map(t => ({ x: t, label: new Date(t).toLocaleDateString() }))
+      : [];
+    drawChart($('history-chart'), [{ points }], { xTicks });
+  }
+
+  function renderCurves(tweets, horizons) {
+    const series = tweets.map(tweet => ({
+      opacity: 0.7,
+      points: horizons
+        .map((horizon, i) => ({ horizon, i }))
+        .filter(({ horizon }) => tweet.engagementCurve && tweet.engagementCurve[horizon])
+        .map(({ horizon, i }) => ({
+          x: i,
+          y: score(tweet.engagementCurve[horizon]),
+          title: `${horizon}: ${score(tweet.engagementCurve[horizon])} - ${tweet.content}`
+        }))
+    }));
+    drawChart($('curves-chart'), series, { xTicks: horizons.map((label, i) => ({ x: i, label })) });
+  }
+
+  function renderJobs(jobs) {
+    fillTable($('jobs'), jobs.map(job => el('tr', {}, [
+      el('td', {}, job.name),
+      el('td', {}, el('code', {}, job.schedule)),
+      el('td', { class: job.isRunning ? 'status-ok' : 'status-failed' }, job.isRunning ? 'scheduled' : 'stopped'),
+      el('td', {}, formatTime(job.lastRunAt)),
+      el('td', { class: job.lastError ? 'status-error' : '' }, job.lastError || '-')
+    ])), 5);
+  }
+
+  function bar(label, value, max, text) {
+    const fill = el('div', { class: 'fill' });
+    fill.style.width = `${max > 0 ? Math.min(100, (value / max) * 100) : 0}%`;
+    return el('div', { class: 'bar' }, [el('span', {}, label), el('div', { class: 'track' }, fill), el('span', {}, text)]);
+  }
+
+  function renderPatterns({ patterns, topTweets }) {
+    const container = $('patterns');
+    container.replaceChildren();
+    if (topTweets.length === 0) {
+      container.append(el('p', { class: 'empty' }, 'No measured posts yet'));
+      return;
+    }
+    const share = (count) => (count / topTweets.length) * 100;
+    [
+      ['Emojis', patterns.emojisPercentage],
+      ['Mentions', share(patterns.hasMentions)],
+      ['Hashtags', patterns.hashtagsPercentage],
+      ['Questions', patterns.questionsPercentage]
+    ].forEach(([label, percentage]) => {
+      container.append(bar(label, percentage || 0, 100, `${formatNumber(percentage)}%`));
+    });
+    container.append(el('p', {}, `Average length: ${formatNumber(patterns.avgCharCount)} characters, over the top ${topTweets.length} posts`));
+  }
+
+  function renderQuota(quota) {
+    const { posts, queue } = quota;
+    const container = $('quota');
+    container.replaceChildren(
+      bar(`Posts in ${posts.month}`, posts.count, posts.cap, `${posts.count} / ${posts.cap}`),
+      el('p', {}, `Calls running: ${queue.active}, queued: ${queue.queued}, waiting for a window: ${queue.waiting}. `
+        + `Since startup: ${quota.held} held, ${quota.deferred} deferred, ${quota.rateLimited} rate limited by X.`)
+    );
+
+    fillTable($('quota-endpoints'), quota.endpoints.map(endpoint => el('tr', {}, [
+      el('td', {}, el('code', {}, endpoint.endpoint)),
+      el('td', { class: endpoint.remaining === 0 ? 'number status-error' : 'number' },
+        endpoint.limit === null ? '-' : `${endpoint.remaining} / ${endpoint.limit}`),
+      el('td', {}, formatTime(endpoint.resetAt)),
+      el('td', { class: 'number' }, endpoint.day ? `${endpoint.day.remaining} / ${endpoint.day.limit}` : '-')
+    ])), 4);
+  }
+
+  function renderPlan(plan) {
+    const slots = plan ? plan.slots : [];
+    fillTable($('plan'), slots.map(slot => el('tr', {}, [
+      el('td', {}, new Date(slot.at).toISOString().slice(11, 16)),
+      el('td', { class: 'number' }, formatNumber(slot.score, 1)),
+      el('td', { class: 'number' }, slot.samples),
+      el('td', { class: `status-${slot.status}` }, slot.status)
+    ])), 4);
+  }
+
+  function renderAnalyses(analyses) {
+    const container = $('analyses');
+    container.replaceChildren();
+    if (analyses.length === 0) {
+      container.append(el('p', { class: 'empty' }, 'No analyses yet'));
+      return;
+    }
+    const list = (title, items) => (Array.isArray(items) && items.length > 0
+      ? [el('strong', {}, title), el('ul', {}, items.map(item => el('li', {}, item)))]
+      : []);
+    analyses.forEach(analysis => {
+      container.append(el('div', { class: 'analysis' }, [
+        el('div', { class: 'meta' }, `${formatTime(analysis.timestamp)} - tweet ${analysis.tweet_id}`),
+        el('p', {}, analysis.analysis),
+        ...list('Worked', analysis.success_factors),
+        ...list('To improve', analysis.improvement_areas),
+        ...(analysis.recommended_approach ? [el('p', {}, [el('strong', {}, 'Next: '), analysis.recommended_approach])] : [])
+      ]));
+    });
+  }
+
+  async function refresh() {
+    if (!account) {
+      return;
+    }
+    try {
+      const { data } = await api('GET', `/accounts/${encodeURIComponent(account)}/dashboard`);
+      const horizons = [...new Set(data.recentTweets.flatMap(t => Object.keys(t.engagementCurve || {})))]
+        .sort((a, b) => horizonMinutes(a) - horizonMinutes(b));
+
+      renderStatus(data);
+      renderHistory(data.engagementHistory);
+      renderCurves(data.recentTweets, horizons);
+      renderJobs(data.jobs);
+      renderPatterns(data.insights);
+      renderQuota(data.quota);
+      renderPlan(data.postingPlan);
+      fillTable($('recent-tweets'), data.recentTweets.map(t => tweetRow(t, [el('td', {}, sparkline(t.engagementCurve, horizons))])), 8);
+      fillTable($('top-tweets'), data.topTweets.map(t => tweetRow(t)), 7);
+      renderAnalyses(data.analyses);
+    } catch (error) {
+      showMessage(`Could not load the dashboard: ${error.message}`, true);
+    }
+  }
+
+  const actions = {
+    start: () => api('POST', `/accounts/${encodeURIComponent(account)}/bot/start`)
+      .then(({ success }) => (success ? 'Bot started' : 'Bot failed to start, see the logs')),
+    stop: () => api('POST', `/accounts/${encodeURIComponent(account)}/bot/stop`).then(() => 'Bot stopped'),
+    tweet: () => api('POST', `/accounts/${encodeURIComponent(account)}/bot/tweet`)
+      .then(({ tweet }) => (tweet.status ? `Queued draft ${tweet.id} for approval` : `Posted tweet ${tweet.id}`)),
+    trends: () => api('GET', `/accounts/${encodeURIComponent(account)}/trends`).then(({ summary }) => {
+      $('trend-summary-text').textContent = summary;
+      $('trend-summary').hidden = false;
+      return 'Trend summary generated';
+    }),
+    refresh: () => Promise.resolve(null)
+  };
+
+  document.querySelectorAll('[data-action]').forEach(button => {
+    button.addEventListener('click', async () => {
+      const buttons = document.querySelectorAll('[data-action]');
+      buttons.forEach(b => { b.disabled = true; });
+      try {
+        const message = await actions[button.dataset.action]();
+        if (message) {
+          showMessage(message);
+        }
+      } catch (error) {
+        showMessage(error.message, true);
+      } finally {
+        buttons.forEach(b => { b.disabled = false; });
+        await refresh();
+      }
+    });
+  });
+
+  $('account').addEventListener('change', (event) => {
+    account = event.target.value;
+    window.location.hash = account;
+    $('trend-summary').hidden = true;
+    refresh();
+  });
+
+  $('api-key').value = localStorage.getItem(KEY_STORAGE) || '';
+  $('api-key').addEventListener('change', (event) => {
+    localStorage.setItem(KEY_STORAGE, event.target.value.trim());
+    $('message').hidden = true;
+    loadAccounts();
+  });
+
+  function loadAccounts() {
+    return api('GET', '/accounts')
+      .then(({ accounts }) => {
+        $('account').replaceChildren(...accounts.map(a => el('option', { value: a.id }, a.id)));
+        const wanted = decodeURIComponent(window.location.hash.slice(1));
+        account = accounts.some(a => a.id === wanted) ? wanted : accounts[0].id;
+        $('account').value = account;
+        return refresh();
+      })
+      .catch(error => showMessage(`Could not load accounts: ${error.message}`, true));
+  }
+
+  loadAccounts();
+
+  setInterval(refresh, REFRESH_MS);
+})();
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Manage the API keys of the admin API and read its audit trail
+ *
+ * Usage:
+ *   npm run keys -- create <name> <role>   create a viewer or operator key and print it once
+ *   npm run keys -- list                   list keys with their role and when they were last used
+ *   npm run keys -- revoke <name>          revoke a key
+ *   npm run keys -- audit [limit]          show the latest actions and the key behind each one
+ */
+require('dotenv').config();
+const database = require('../src/services/database');
+const authService = require('../src/services/auth');
+const auditLog = require('../src/models/audit-log');
+
+async function main() {
+  const [command = 'list', ...args] = process.argv.slice(2);
+
+  // Keys live in the database, so the schema must be current
+  await database.prepare();
+
+  switch (command) {
+    case 'create': {
+      const [name, role] = args;
+      const created = await authService.createKey(name, role);
+      console.log(`Created ${created.role} key ${created.name}. Store it now, it cannot be shown again:`);
+      console.log(created.key);
+      break;
+    }
+    case 'list': {
+      const keys = await authService.listKeys();
+      if (keys.length === 0) {
+        console.log('No API keys yet; create one with "npm run keys -- create <name> <role>"');
+      }
+      keys.forEach(key => {
+        const state = key.revoked_at ? `revoked ${key.revoked_at}` : `last used ${key.last_used_at || 'never'}`;
+        console.log(`${key.name}\t${key.role}\t${key.key_prefix}...\t${state}`);
+      });
+      break;
+    }
+    case 'revoke': {
+      const [name] = args;
+      await authService.revokeKey(name);
+      console.log(`Revoked key ${name}`);
+      break;
+    }
+    case 'audit': {
+      const limit = parseInt(args[0] || '20', 10);
+      const entries = await auditLog.listEntries({ limit });
+      entries.forEach(entry => {
+        console.log(`${entry.created_at}\t${entry.key_name || '(no key)'}\t${entry.status_code}\t${entry.method} ${entry.path}`);
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" (expected create, list, revoke or audit)`);
+  }
+}
+
+main()
+  .then(() => database.close())
+  .catch(async (error) => {
+    console.error(`Key command failed: ${error.message}`);
+    await database.close();
+    process.exit(1);
+  });
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Apply or revert database migrations
+ *
+ * Usage:
+ *   npm run migrate               apply every pending migration
+ *   npm run migrate -- up 2       apply migrations up to version 2
+ *   npm run migrate -- down       revert the latest migration
+ *   npm run migrate -- down 1     revert every migration above version 1
+ *   npm run migrate -- status     show the current version and pending migrations
+ */
+require('dotenv').config();
+const database = require('../src/services/database');
+
+/**
+ * Parse a version argument
+ * @param {string} value - Command-line argument
+ * @returns {number|undefined}
+ */
+function parseVersion(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const version = parseInt(value, 10);
+  if (Number.isNaN(version) || version < 0) {
+    throw new Error(`Invalid version "${value}"`);
+  }
+  return version;
+}
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+  const target = parseVersion(arg);
+
+  switch (command) {
+    case 'up': {
+      const version = await database.migrate(target);
+      console.log(`Schema is at version ${version}`);
+      break;
+    }
+    case 'down': {
+      const current = await database.getSchemaVersion();
+      const version = await database.rollback(target !== undefined ? target : Math.max(current - 1, 0));
+      console.log(`Schema is at version ${version}`);
+      break;
+    }
+    case 'status': {
+      const { current, latest, pending } = await database.status();
+      console.log(`Schema is at version ${current} of ${latest}`);
+      pending.forEach(migration => console.log(`  pending: ${migration.id}`));
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+  }
+}
+
+main()
+  .then(() => database.close())
+  .catch(async (error) => {
+    console.error(`Migration failed: ${error.message}`);
+    await database.close();
+    process.exit(1);
+  });
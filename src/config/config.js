@@ -1,4 +1,42 @@
 require('dotenv').config();
+const path = require('path');
+
+/**
+ * Read per-prompt LLM overrides from the environment, e.g. LLM_REPLY_MODEL or LLM_ANALYZE_TEMPERATURE
+ * @param {string} name - Prompt name in upper case
+ * @returns {Object} - Overrides, with undefined for anything not set
+ */
+function promptSettings(name) {
+  const env = (key) => process.env[`LLM_${name}_${key}`];
+  const number = (key) => (env(key) !== undefined ? parseFloat(env(key)) : undefined);
+  
+  return {
+    provider: env('PROVIDER'),
+    model: env('MODEL'),
+    apiMode: env('API_MODE'),
+    maxTokens: number('MAX_TOKENS'),
+    temperature: number('TEMPERATURE'),
+    topP: number('TOP_P'),
+  };
+}
+
+/**
+ * Read the X API credentials of a bot account, e.g. TWITTER_ALPHA_API_KEY for the account 'alpha'
+ * The 'default' account uses the plain TWITTER_* variables.
+ * @param {string} account - Account ID
+ * @returns {Object} - { apiKey, apiSecret, accessToken, accessSecret }, with undefined for anything not set
+ */
+function twitterCredentials(account) {
+  const prefix = account === 'default' ? 'TWITTER' : `TWITTER_${account.toUpperCase().replace(/-/g, '_')}`;
+  const env = (key) => process.env[`${prefix}_${key}`];
+  
+  return {
+    apiKey: env('API_KEY'),
+    apiSecret: env('API_SECRET'),
+    accessToken: env('ACCESS_TOKEN'),
+    accessSecret: env('ACCESS_SECRET'),
+  };
+}
 
 module.exports = {
   // Twitter API configuration
@@ -7,14 +45,70 @@ module.exports = {
     apiSecret: process.env.TWITTER_API_SECRET,
     accessToken: process.env.TWITTER_ACCESS_TOKEN,
     accessSecret: process.env.TWITTER_ACCESS_SECRET,
+    // Post to a local SQLite-backed fake X instead of the real API
+    sandbox: process.env.TWITTER_SANDBOX === 'true',
+    sandboxUsername: process.env.SANDBOX_USERNAME || 'xbot_sandbox',
+  },
+  
+  // X API rate limits and quotas, tracked for each account
+  xApi: {
+    // Tweets, replies and thread parts an account may post per calendar month (UTC)
+    monthlyPostCap: parseInt(process.env.X_MONTHLY_POST_CAP || '500', 10),
+    // Share of every rate-limit window that background reads leave for replies, posts and mention checks
+    backgroundReserve: parseFloat(process.env.X_BACKGROUND_RESERVE || '0.2'),
+    // Longest a reply, post or mention check waits for its window to reset before it fails
+    maxWaitMinutes: parseInt(process.env.X_MAX_WAIT_MINUTES || '15', 10),
+  },
+  
+  // Bot accounts run by this process
+  accounts: {
+    // Optional JSON file listing the accounts; without it there is one account, 'default', set up from the variables above
+    path: process.env.ACCOUNTS_PATH || null,
+    credentials: twitterCredentials,
   },
   
-  // Together AI configuration
+  // LLM configuration
   llm: {
-    apiKey: process.env.TOGETHER_API_KEY,
-    model: process.env.TOGETHER_MODEL || 'meta-llama/Llama-3-8b-chat',
+    // Provider used by default, and the one tried when it fails (together, openai, stub)
+    provider: process.env.LLM_PROVIDER || 'together',
+    fallbackProvider: process.env.LLM_FALLBACK_PROVIDER || null,
+    
+    // Default sampling parameters
     maxTokens: 500,
     temperature: 0.7,
+    topP: 0.9,
+    topK: 50,
+    
+    providers: {
+      together: {
+        apiKey: process.env.TOGETHER_API_KEY,
+        baseUrl: process.env.TOGETHER_BASE_URL || 'https://api.together.xyz/v1',
+        model: process.env.TOGETHER_MODEL || 'meta-llama/Llama-3-8b-chat',
+        // 'chat' for chat completions, 'completion' to flatten messages for completion-only models
+        apiMode: process.env.TOGETHER_API_MODE || 'chat',
+      },
+      // Any OpenAI-compatible server: OpenAI, vLLM, llama.cpp server, Ollama
+      openai: {
+        apiKey: process.env.OPENAI_API_KEY,
+        baseUrl: process.env.OPENAI_BASE_URL,
+        model: process.env.OPENAI_MODEL,
+        apiMode: process.env.OPENAI_API_MODE || 'chat',
+      },
+      // Deterministic local responses for tests and offline development
+      stub: {},
+    },
+    
+    // Per-prompt overrides of provider, model and sampling parameters
+    prompts: {
+      tweet: promptSettings('TWEET'),
+      reply: promptSettings('REPLY'),
+      trends: promptSettings('TRENDS'),
+      analyze: promptSettings('ANALYZE'),
+      shorten: promptSettings('SHORTEN'),
+    },
+    
+    // How many times to ask the LLM to shorten an over-length post before trimming it
+    shortenAttempts: parseInt(process.env.LLM_SHORTEN_ATTEMPTS || '2', 10),
   },
   
   // App configuration
@@ -24,10 +118,117 @@ module.exports = {
     logLevel: process.env.LOG_LEVEL || 'info',
   },
   
+  // Admin API authentication: every /api route needs an API key (create them with "npm run keys")
+  auth: {
+    // Set API_AUTH=off to open the API to anyone, e.g. on a local machine
+    enabled: process.env.API_AUTH !== 'off',
+  },
+  
   // Scheduler configuration
   scheduler: {
-    tweetIntervalHours: parseInt(process.env.TWEET_INTERVAL_HOURS || '2', 10),
-    metricsCheckHours: parseInt(process.env.METRICS_CHECK_HOURS || '3', 10),
+    // Failed replies are retried on later mention checks up to this many times
+    mentionMaxAttempts: parseInt(process.env.MENTION_MAX_ATTEMPTS || '3', 10),
+    // Cron expression for the daily trend-summary thread, or 'off' to disable it
+    trendThreadCron: process.env.TREND_THREAD_CRON || '0 18 * * *',
+  },
+  
+  // Posting-time optimizer: each day's tweet slots are planned from engagement by hour and weekday (UTC)
+  postingSchedule: {
+    // Tweets per day, unless an account sets its own; defaults to one every TWEET_INTERVAL_HOURS
+    dailyBudget: parseInt(process.env.POSTS_PER_DAY || String(Math.floor(24 / parseInt(process.env.TWEET_INTERVAL_HOURS || '2', 10))), 10),
+    minSpacingMinutes: parseInt(process.env.POST_MIN_SPACING_MINUTES || '90', 10),
+    // Only posts from this many days back are used
+    lookbackDays: parseInt(process.env.POSTING_LOOKBACK_DAYS || '28', 10),
+    // Below this many measured posts, slots are spread evenly instead
+    minSamples: parseInt(process.env.POSTING_MIN_SAMPLES || '10', 10),
+    // Engagement is compared at this tracking horizon
+    horizon: process.env.POSTING_HORIZON || '24h',
+  },
+  
+  // Engagement tracking: every post is measured when it reaches each of these ages
+  tracking: {
+    horizons: (process.env.METRICS_HORIZONS || '1h,6h,24h,72h,7d').split(',').map(h => h.trim()).filter(Boolean),
+    // How often due snapshots are looked for
+    checkMinutes: parseInt(process.env.METRICS_CHECK_MINUTES || '15', 10),
+    // Failed snapshots are retried on later checks up to this many times
+    maxAttempts: parseInt(process.env.METRICS_MAX_ATTEMPTS || '3', 10),
+    // The LLM performance analysis runs once this snapshot is in
+    analysisHorizon: process.env.METRICS_ANALYSIS_HORIZON || '24h',
+  },
+  
+  // Strategy memory: guidance learned from past engagement, added to tweet and reply prompts
+  strategy: {
+    enabled: process.env.STRATEGY_MEMORY !== 'off',
+    // Only analyses and posts from this many days back are used
+    lookbackDays: parseInt(process.env.STRATEGY_LOOKBACK_DAYS || '14', 10),
+    maxAnalyses: parseInt(process.env.STRATEGY_MAX_ANALYSES || '5', 10),
+    maxGuidance: parseInt(process.env.STRATEGY_MAX_GUIDANCE || '6', 10),
+    maxExamples: parseInt(process.env.STRATEGY_MAX_EXAMPLES || '3', 10),
+  },
+  
+  // Persona files that set the bot's voice
+  personas: {
+    dir: process.env.PERSONAS_DIR || path.join(__dirname, '../../personas'),
+    // Persona each job writes in, unless an account sets its own; PERSONA sets all of them at once
+    jobs: {
+      tweet: process.env.PERSONA_TWEET || process.env.PERSONA || 'influencer',
+      reply: process.env.PERSONA_REPLY || process.env.PERSONA || 'xbot',
+      trends: process.env.PERSONA_TRENDS || process.env.PERSONA || 'analyst',
+    },
+  },
+  
+  // Prompt template files, re-read when they change
+  templates: {
+    dir: process.env.PROMPT_TEMPLATES_DIR || path.join(__dirname, '../../templates'),
+  },
+  
+  // Prompt A/B testing
+  promptExperiments: {
+    // Optional JSON file with the variants of each prompt
+    path: process.env.PROMPT_VARIANTS_PATH || null,
+    // 'weighted' keeps the configured split; 'epsilon-greedy' and 'thompson' shift traffic to the winner
+    strategy: process.env.PROMPT_VARIANT_STRATEGY || 'weighted',
+    epsilon: parseFloat(process.env.PROMPT_VARIANT_EPSILON || '0.1'),
+    // Variants are explored until they have this many measured posts
+    minSamples: parseInt(process.env.PROMPT_VARIANT_MIN_SAMPLES || '5', 10),
+    // Engagement is compared at this tracking horizon
+    horizon: process.env.PROMPT_VARIANT_HORIZON || '24h',
+  },
+  
+  // Market data configuration
+  marketData: {
+    // Providers queried for trending tokens, in order of preference
+    providers: (process.env.MARKET_DATA_PROVIDERS || 'dexscreener,coingecko').split(',').map(p => p.trim()).filter(Boolean),
+    options: {
+      dexscreener: {
+        chain: process.env.DEXSCREENER_CHAIN || 'solana',
+      },
+      coingecko: {
+        apiKey: process.env.COINGECKO_API_KEY,
+      },
+    },
+  },
+  
+  // Token age configuration
+  tokenAge: {
+    // Tokens younger than this many hours count as recent and may be cashtagged
+    recentHours: parseInt(process.env.TOKEN_RECENT_HOURS || '120', 10),
+    // Pages of 1000 mint transactions to walk back through when finding a mint's creation time
+    maxSignaturePages: parseInt(process.env.SOLANA_SIGNATURE_PAGES || '5', 10),
+    // Hours before a creation time from a mint history too long to page through is looked up again
+    partialRecheckHours: parseInt(process.env.TOKEN_AGE_RECHECK_HOURS || '24', 10),
+  },
+  
+  // Rug-risk screening applied before tokens reach the LLM
+  tokenRisk: {
+    // Tokens scoring above this (0-100) are left out of generation contexts
+    maxScore: parseInt(process.env.TOKEN_RISK_MAX_SCORE || '50', 10),
+    minLiquidityUsd: parseFloat(process.env.TOKEN_MIN_LIQUIDITY_USD || '10000'),
+    minPairAgeHours: parseFloat(process.env.TOKEN_MIN_PAIR_AGE_HOURS || '2'),
+    // Share of supply the 10 largest holders may own before it counts as a risk
+    maxTopHolderShare: parseFloat(process.env.TOKEN_MAX_TOP_HOLDER_SHARE || '0.5'),
+    // Assessments are reused for this long
+    cacheMinutes: parseInt(process.env.TOKEN_RISK_CACHE_MINUTES || '30', 10),
   },
   
   // Optional API keys
@@ -36,8 +237,24 @@ module.exports = {
     heliusRpc: process.env.HELIUS_RPC_URL,
   },
   
+  // Outbound content policy (defaults in content-policy.js)
+  contentPolicy: {
+    // Optional JSON file overriding sections of the default policy
+    path: process.env.CONTENT_POLICY_PATH,
+    // New versions requested from the LLM before a post is blocked
+    maxRegenerations: parseInt(process.env.POLICY_MAX_REGENERATIONS || '2', 10),
+  },
+  
+  // Human-in-the-loop approval configuration
+  approval: {
+    // When enabled, generated tweets and replies are queued as drafts instead of being posted
+    enabled: process.env.APPROVAL_MODE === 'true',
+  },
+  
   // Database configuration
   database: {
     path: process.env.DB_PATH || './data/engagement.db',
+    // Apply pending migrations at startup; when off, run "npm run migrate" before starting
+    migrateOnStart: process.env.DB_MIGRATE_ON_START !== 'false',
   },
 };
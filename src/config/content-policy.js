@@ -0,0 +1,82 @@
+/**
+ * Default outbound content policy
+ * Override any section with a JSON file at CONTENT_POLICY_PATH; sections in the file replace
+ * these defaults one by one.
+ *
+ * Actions: 'rewrite' fixes the text in place, 'regenerate' asks the LLM for a new version,
+ * 'block' refuses to post. `appliesTo` lists the kinds of post a rule covers:
+ * 'tweet', 'reply', 'thread' (all generated) and 'manual' (written by a person).
+ */
+module.exports = {
+  bannedPhrases: [
+    {
+      pattern: '\\bguarantee(d|s)?\\b',
+      reason: 'Promises guaranteed returns',
+      action: 'regenerate'
+    },
+    {
+      pattern: '(?<!\\bnot\\s)(?<!\\bnot\\s(a|any)\\s)\\bfinancial advice\\b',
+      reason: 'Presents itself as financial advice',
+      action: 'regenerate'
+    },
+    {
+      pattern: '\\b(risk[- ]free|can\'?t lose|cannot lose|free money|easy money)\\b',
+      reason: 'Claims there is no risk',
+      action: 'regenerate'
+    },
+    {
+      pattern: '\\b(will|gonna|going to)\\s+(\\d+x|hit \\$?\\d|reach \\$?\\d|pump to)',
+      reason: 'Makes a price promise',
+      action: 'regenerate'
+    },
+    {
+      pattern: '\\b\\d+x\\s+(guaranteed|incoming|easy|locked)\\b',
+      reason: 'Makes a price promise',
+      action: 'regenerate'
+    }
+  ],
+
+  // Tokens the bot must never talk about, by symbol or contract address
+  tokenBlocklist: {
+    symbols: [],
+    addresses: [],
+    action: 'regenerate'
+  },
+
+  // Disclaimers appended when `when` matches and `unless` doesn't
+  disclaimers: [
+    {
+      when: '\\$[A-Za-z]{2,6}\\b',
+      unless: '\\b(nfa|dyor|not financial advice)\\b',
+      text: 'NFA',
+      appliesTo: ['tweet', 'thread']
+    }
+  ],
+
+  // Masked as f*** on rewrite
+  profanity: {
+    words: ['fuck', 'fucking', 'fucker', 'shit', 'bullshit', 'bitch', 'asshole', 'bastard', 'cunt', 'dick'],
+    action: 'rewrite'
+  },
+
+  // Hashtags are turned into plain words
+  hashtags: {
+    action: 'rewrite',
+    appliesTo: ['tweet', 'reply', 'thread']
+  },
+
+  // $ is dropped from tokens that aren't recent tokens from the generation context
+  cashtags: {
+    action: 'rewrite',
+    appliesTo: ['tweet', 'reply', 'thread']
+  },
+
+  // Posts too close to one of the last `lookback` posted tweets, replies and threads.
+  // Similarity is the share of 5-character shingles two posts have in common (0-1).
+  novelty: {
+    threshold: 0.6,
+    lookback: 50,
+    action: 'regenerate',
+    appliesTo: ['tweet', 'reply', 'thread']
+  }
+};
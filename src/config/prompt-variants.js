@@ -0,0 +1,19 @@
+/**
+ * Default prompt variants for A/B testing
+ * Override any prompt's list with a JSON file at PROMPT_VARIANTS_PATH; lists in the file replace
+ * these defaults one by one.
+ *
+ * Each variant has an `id` (recorded in tweets.prompt_used; the base prompt's name for the
+ * unchanged prompt, `<prompt>:<name>` for the others) and a `weight` used for weighted
+ * assignment. A variant can write in another persona from the persona files with `persona`,
+ * replace the whole system message with `system`, and add to the task with `instructions`.
+ */
+module.exports = {
+  tweet: [
+    { id: 'tweet', weight: 1 }
+  ],
+
+  reply: [
+    { id: 'reply', weight: 1 }
+  ]
+};
@@ -1,43 +1,84 @@
 const logger = require('../utils/logger');
 const scheduler = require('../services/scheduler');
-const twitterService = require('../services/twitter');
 const llmService = require('../services/llm');
 const contentService = require('../services/content');
 const metricsTracker = require('../utils/metrics');
 const engagementModel = require('../models/engagement');
+const publisher = require('../services/publisher');
+const postingSchedule = require('../services/posting-schedule');
+const accounts = require('../services/accounts');
+const config = require('../config/config');
+
+// How far back the dashboard's engagement history and analyses go
+const DASHBOARD_DAYS = 30;
 
 /**
  * Controller for the Twitter bot
+ * Every action is for one bot account; each account is started and stopped on its own.
  */
 class BotController {
   /**
-   * Start the bot
+   * Start the bot for every account
+   * @returns {Promise<Object>} - Account ID -> whether it started
+   */
+  async startAll() {
+    const results = {};
+    
+    for (const account of accounts.list()) {
+      results[account.id] = await this.startBot(account);
+    }
+    
+    return results;
+  }
+
+  /**
+   * Start the bot for an account
+   * @param {Object} account - Bot account
    */
-  async startBot() {
+  async startBot(account) {
     try {
-      logger.info('Starting X Memecoin Bot');
+      logger.info(`Starting X Memecoin Bot for ${account.id}`);
       
       // Verify Twitter API credentials
-      await this.verifyTwitterCredentials();
+      await this.verifyTwitterCredentials(account);
       
-      // Verify Together AI LLM API
+      // Verify the LLM provider
       await this.verifyLLMCredentials();
       
       // Start all scheduled jobs
-      scheduler.startAllJobs();
+      scheduler.startAllJobs(account);
       
-      logger.info('X Memecoin Bot started successfully');
+      logger.info(`X Memecoin Bot started successfully for ${account.id}`);
       return true;
     } catch (error) {
-      logger.error('Failed to start bot:', error);
+      logger.error(`Failed to start bot for ${account.id}:`, error);
       return false;
     }
   }
 
   /**
-   * Stop the bot
+   * Stop the bot for an account
+   * @param {Object} account - Bot account
    */
-  async stopBot() {
+  async stopBot(account) {
+    try {
+      logger.info(`Stopping X Memecoin Bot for ${account.id}`);
+      
+      // Stop all scheduled jobs
+      scheduler.stopAllJobs(account);
+      
+      logger.info(`X Memecoin Bot stopped successfully for ${account.id}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error stopping bot for ${account.id}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Stop every account and close the database, when the process exits
+   */
+  async shutdown() {
     try {
       logger.info('Stopping X Memecoin Bot');
       
@@ -45,7 +86,7 @@ class BotController {
       scheduler.stopAllJobs();
       
       // Close database connection
-      engagementModel.close();
+      await engagementModel.close();
       
       logger.info('X Memecoin Bot stopped successfully');
       return true;
@@ -57,33 +98,33 @@ class BotController {
 
   /**
    * Generate and post a tweet
-   * @returns {Promise<Object>} - Posted tweet data
+   * @param {Object} account - Bot account
+   * @returns {Promise<Object>} - Posted tweet data, or the queued draft in approval mode
    */
-  async generateAndPostTweet() {
+  async generateAndPostTweet(account) {
     try {
-      logger.info('Generating and posting tweet');
+      logger.info(`Generating and posting tweet for ${account.id}`);
       
       // Generate content using LLM
-      const context = await contentService.gatherTweetContext();
+      const context = await contentService.gatherTweetContext(account);
       const tweetContent = await llmService.generateTweet(context);
       
-      // Post to Twitter
-      const tweet = await twitterService.postTweet(tweetContent);
-      
-      // Save to database
-      await engagementModel.saveTweet(
-        { 
-          id: tweet.id, 
-          text: tweetContent, 
-          created_at: new Date().toISOString(),
-          type: 'generated'
-        }, 
-        'tweet', 
-        context
-      );
+      // Post to Twitter and save to database, or queue for approval
+      const result = await publisher.submitTweet(tweetContent, {
+        account,
+        type: 'generated',
+        promptUsed: context.promptVariant.id,
+        context,
+        regenerate: (feedback) => llmService.generateTweet({ ...context, feedback })
+      });
       
-      logger.info(`Posted generated tweet with ID: ${tweet.id}`);
-      return tweet;
+      if (result.status === 'drafted') {
+        logger.info(`Queued generated tweet as draft ${result.draft.id}`);
+        return result.draft;
+      }
+      
+      logger.info(`Posted generated tweet with ID: ${result.tweet.id}`);
+      return result.tweet;
     } catch (error) {
       logger.error('Error posting generated tweet:', error);
       throw error;
@@ -92,36 +133,30 @@ class BotController {
 
   /**
    * Manually trigger a tweet
+   * @param {Object} account - Bot account
    * @param {string} customContent - Optional custom content (if not provided, LLM will generate)
    * @returns {Promise<Object>} - Posted tweet data
    */
-  async tweet(customContent = null) {
+  async tweet(account, customContent = null) {
     try {
-      logger.info('Manually triggering tweet');
+      logger.info(`Manually triggering tweet for ${account.id}`);
       
       let tweetContent = customContent;
       let context = null;
       
       if (!tweetContent) {
         // Generate content using LLM
-        context = await contentService.gatherTweetContext();
+        context = await contentService.gatherTweetContext(account);
         tweetContent = await llmService.generateTweet(context);
       }
       
-      // Post to Twitter
-      const tweet = await twitterService.postTweet(tweetContent);
-      
-      // Save to database
-      await engagementModel.saveTweet(
-        { 
-          id: tweet.id, 
-          text: tweetContent, 
-          created_at: new Date().toISOString(),
-          type: 'manual'
-        }, 
-        customContent ? null : 'tweet', 
+      // Post to Twitter and save to database
+      const tweet = await publisher.publishTweet(tweetContent, {
+        account,
+        type: 'manual',
+        promptUsed: customContent ? null : context.promptVariant.id,
         context
-      );
+      });
       
       logger.info(`Manually posted tweet with ID: ${tweet.id}`);
       return tweet;
@@ -133,14 +168,15 @@ class BotController {
 
   /**
    * Manually generate a trend summary
+   * @param {Object} account - Bot account whose persona and watchlist to use
    * @returns {Promise<string>} - Generated trend summary
    */
-  async generateTrendSummary() {
+  async generateTrendSummary(account) {
     try {
-      logger.info('Manually generating trend summary');
+      logger.info(`Manually generating trend summary for ${account.id}`);
       
       // Gather context
-      const context = await contentService.gatherTrendSummaryContext();
+      const context = await contentService.gatherTrendSummaryContext(account);
       
       // Generate the summary
       const summary = await llmService.generateTrendSummary(context);
@@ -155,28 +191,60 @@ class BotController {
 
   /**
    * Get performance dashboard data
+   * @param {Object} account - Bot account
    * @returns {Promise<Object>} - Dashboard data
    */
-  async getDashboardData() {
+  async getDashboardData(account) {
     try {
-      logger.info('Getting dashboard data');
+      logger.info(`Getting dashboard data for ${account.id}`);
       
       // Get performance insights
-      const insights = await metricsTracker.getPerformanceInsights();
+      const insights = await metricsTracker.getPerformanceInsights(account.id);
       
-      // Get recent tweets with metrics
-      const recentTweets = await engagementModel.getRecentTweetsWithMetrics(10);
+      // Get recent tweets with metrics and their engagement at each tracking horizon
+      const recentTweets = await engagementModel.getRecentTweetsWithMetrics(10, account.id);
+      const curves = await engagementModel.getEngagementCurves(recentTweets.map(tweet => tweet.id));
+      recentTweets.forEach(tweet => {
+        tweet.engagementCurve = curves.get(tweet.id);
+      });
       
       // Get top performing tweets
-      const topTweets = await engagementModel.getTopPerformingTweets(5);
+      const topTweets = await engagementModel.getTopPerformingTweets(5, account.id);
+      
+      // Get today's planned tweet slots and the engagement history they were picked from
+      const postingPlan = await postingSchedule.getPlan(account);
+      
+      // Engagement of every post over the last days, measured at the same horizon so posts compare
+      const since = new Date(Date.now() - DASHBOARD_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      const history = await engagementModel.getPostingHistory({
+        since,
+        types: ['generated', 'manual', 'reply', 'thread', 'trend_summary'],
+        horizon: config.postingSchedule.horizon,
+        account: account.id
+      });
+      
+      // Get the latest LLM performance analyses
+      const analyses = await engagementModel.getRecentAnalyses({ since, account: account.id, limit: 10 });
+      
+      // X API quota usage: monthly posts, rate-limit windows and queued calls
+      const quota = await account.twitter.limits.getUsage();
       
       return {
+        account: account.id,
         insights,
         recentTweets,
         topTweets,
+        postingPlan,
+        engagementHistory: {
+          horizon: config.postingSchedule.horizon,
+          posts: history.sort((a, b) => a.created_at.localeCompare(b.created_at))
+        },
+        analyses,
+        jobs: scheduler.getJobStatus(account),
+        quota,
         botStatus: {
-          isRunning: Object.keys(scheduler.jobs).length > 0,
-          nextTweetTime: this.getNextScheduledTweetTime()
+          isRunning: scheduler.isRunning(account),
+          nextTweetTime: await this.getNextScheduledTweetTime(account)
         }
       };
     } catch (error) {
@@ -186,60 +254,55 @@ class BotController {
   }
 
   /**
-   * Verify Twitter API credentials
+   * Verify an account's Twitter API credentials
+   * @param {Object} account - Bot account
    * @returns {Promise<boolean>} - Whether credentials are valid
    */
-  async verifyTwitterCredentials() {
+  async verifyTwitterCredentials(account) {
     try {
-      logger.info('Verifying Twitter API credentials');
+      logger.info(`Verifying Twitter API credentials for ${account.id}`);
       
       // Try to get user info to verify credentials
-      const user = await twitterService.getMentions(10);
+      const user = await account.twitter.getMentions(10);
       
       logger.info('Twitter API credentials verified successfully');
       return true;
     } catch (error) {
-      logger.error('Invalid Twitter API credentials:', error);
-      throw new Error('Failed to verify Twitter API credentials');
+      logger.error(`Invalid Twitter API credentials for ${account.id}:`, error);
+      throw new Error(`Failed to verify Twitter API credentials for ${account.id}`);
     }
   }
 
   /**
-   * Verify Together AI LLM API credentials
+   * Verify the LLM provider credentials
    * @returns {Promise<boolean>} - Whether credentials are valid
    */
   async verifyLLMCredentials() {
     try {
-      logger.info('Verifying Together AI LLM credentials');
+      logger.info('Verifying LLM provider credentials');
       
       // Try to generate a simple test prompt
       const test = await llmService.generateContent('tweet', { topCoins: ['Test Coin (TEST)'] });
       
-      logger.info('Together AI LLM credentials verified successfully');
+      logger.info('LLM provider credentials verified successfully');
       return true;
     } catch (error) {
-      logger.error('Invalid Together AI LLM credentials:', error);
-      throw new Error('Failed to verify Together AI LLM credentials');
+      logger.error('Invalid LLM provider credentials:', error);
+      throw new Error('Failed to verify LLM provider credentials');
     }
   }
 
   /**
-   * Get the next scheduled tweet time
-   * @returns {Date|null} - Next scheduled tweet time
+   * Get an account's next scheduled tweet time
+   * @param {Object} account - Bot account
+   * @returns {Promise<string|null>} - Next planned slot, or null when the bot is stopped or today's slots are done
    */
-  getNextScheduledTweetTime() {
-    const tweetJob = scheduler.jobs.tweet;
-    
-    if (!tweetJob) {
+  async getNextScheduledTweetTime(account) {
+    if (!scheduler.isRunning(account)) {
       return null;
     }
     
-    // This is a rough estimation as node-cron doesn't expose next execution time
-    const now = new Date();
-    const nextHour = new Date(now);
-    nextHour.setHours(nextHour.getHours() + 1, 0, 0, 0);
-    
-    return nextHour;
+    return postingSchedule.getNextSlotTime(account);
   }
 }
 
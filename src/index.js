@@ -2,7 +2,15 @@ const express = require('express');
 const path = require('path');
 const logger = require('./utils/logger');
 const config = require('./config/config');
+const database = require('./services/database');
 const botController = require('./controllers/bot');
+const accountRoutes = require('./routes/accounts');
+const draftRoutes = require('./routes/drafts');
+const tweetRoutes = require('./routes/tweets');
+const experimentRoutes = require('./routes/experiments');
+const sandboxRoutes = require('./routes/sandbox');
+const auditRoutes = require('./routes/audit');
+const { authenticate, authorize } = require('./middleware/auth');
 const axios = require('axios'); // Add axios for self-ping
 
 // Create Express app
@@ -19,56 +27,26 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// API endpoints
-app.post('/api/bot/start', async (req, res) => {
-  try {
-    const success = await botController.startBot();
-    res.status(200).json({ success });
-  } catch (err) {
-    logger.error(`Error starting bot: ${err.message}`);
-    res.status(500).json({ error: err.message });
-  }
-});
+// Every API route needs an API key: viewers can read, operators can also act
+app.use('/api', authenticate, authorize);
 
-app.post('/api/bot/stop', async (req, res) => {
-  try {
-    const success = await botController.stopBot();
-    res.status(200).json({ success });
-  } catch (err) {
-    logger.error(`Error stopping bot: ${err.message}`);
-    res.status(500).json({ error: err.message });
-  }
-});
+// Bot controls, trend summaries and dashboards of each account
+app.use('/api/accounts', accountRoutes);
 
-app.post('/api/bot/tweet', async (req, res) => {
-  try {
-    const tweet = await botController.generateAndPostTweet();
-    res.status(200).json({ success: true, tweet });
-  } catch (err) {
-    logger.error(`Error posting tweet: ${err.message}`);
-    res.status(500).json({ error: err.message });
-  }
-});
+// Posted tweet history
+app.use('/api/tweets', tweetRoutes);
 
-app.get('/api/trends', async (req, res) => {
-  try {
-    const summary = await botController.generateTrendSummary();
-    res.status(200).json({ success: true, summary });
-  } catch (error) {
-    logger.error('Error generating trend summary:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+// Prompt A/B test results
+app.use('/api/experiments', experimentRoutes);
 
-app.get('/api/dashboard', async (req, res) => {
-  try {
-    const data = await botController.getDashboardData();
-    res.status(200).json({ success: true, data });
-  } catch (error) {
-    logger.error('Error getting dashboard data:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+// Draft review endpoints (approval mode)
+app.use('/api/drafts', draftRoutes);
+
+// Sandbox admin endpoints (sandbox mode)
+app.use('/api/sandbox', sandboxRoutes);
+
+// Actions taken through the API and the key that took each one
+app.use('/api/audit', auditRoutes);
 
 // Basic info endpoint
 app.get('/', (req, res) => {
@@ -81,19 +59,27 @@ app.get('/', (req, res) => {
   });
 });
 
-// Start the server
-const server = app.listen(port, () => {
-  logger.info(`Server running on port ${port}`);
-  
-  // Start the bot
-  botController.startBot()
-    .then(() => {
-      logger.info('Bot started successfully');
-    })
-    .catch((err) => {
-      logger.error(`Failed to start bot: ${err.message}`);
+// Start the server once the database schema is current
+let server;
+database.prepare()
+  .then(() => {
+    server = app.listen(port, () => {
+      logger.info(`Server running on port ${port}`);
+      
+      // Start the bot for every account
+      botController.startAll()
+        .then((results) => {
+          logger.info(`Bot started: ${Object.entries(results).map(([id, started]) => `${id} ${started ? 'running' : 'failed'}`).join(', ')}`);
+        })
+        .catch((err) => {
+          logger.error(`Failed to start bot: ${err.message}`);
+        });
     });
-});
+  })
+  .catch((err) => {
+    logger.error(`Failed to prepare database: ${err.message}`);
+    process.exit(1);
+  });
 
 // Keep-alive mechanism to prevent Render from putting the service to sleep
 // Render free tier services sleep after 15 minutes of inactivity
@@ -116,12 +102,18 @@ if (process.env.NODE_ENV === 'production') {
   logger.info(`Keep-alive mechanism enabled, pinging every ${PING_INTERVAL / 60 / 1000} minutes`);
 }
 
+/**
+ * Stop accepting requests, also when the server never started
+ * @param {Function} callback - Called once the server is closed
+ */
+const closeServer = (callback) => (server ? server.close(callback) : callback());
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
-  server.close(() => {
+  closeServer(() => {
     logger.info('Server closed');
-    botController.stopBot()
+    botController.shutdown()
       .then(() => {
         logger.info('Bot stopped successfully');
         process.exit(0);
@@ -135,8 +127,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
-  botController.stop();
-  server.close(() => {
+  botController.shutdown();
+  closeServer(() => {
     logger.info('Server closed');
     process.exit(0);
   });
@@ -145,8 +137,8 @@ process.on('SIGINT', () => {
 // Handle uncaught errors
 process.on('uncaughtException', (error) => {
   logger.error('Uncaught exception:', error);
-  botController.stop();
-  server.close(() => {
+  botController.shutdown();
+  closeServer(() => {
     logger.info('Server closed due to error');
     process.exit(1);
   });
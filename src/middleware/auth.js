@@ -0,0 +1,94 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const authService = require('../services/auth');
+const auditLog = require('../models/audit-log');
+
+/**
+ * Read the API key from `Authorization: Bearer <key>` or `X-API-Key: <key>`
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function readKey(req) {
+  const header = req.get('authorization') || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : (req.get('x-api-key') || null);
+}
+
+/**
+ * Record the request in the audit trail once the response is sent
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+function audit(req, res) {
+  if (req.audited) {
+    return;
+  }
+  req.audited = true;
+
+  res.on('finish', () => {
+    const account = req.account ? req.account.id : ((req.body && req.body.account) || req.query.account || null);
+    auditLog.record({
+      keyId: req.apiKey ? req.apiKey.id : null,
+      action: `${req.method} ${req.route ? req.baseUrl + req.route.path : req.originalUrl.split('?')[0]}`,
+      method: req.method,
+      path: req.originalUrl,
+      account,
+      statusCode: res.statusCode
+    }).catch(() => {});
+  });
+}
+
+/**
+ * Find the API key of a request and attach it as `req.apiKey`; answers 401 without a valid key
+ */
+async function authenticate(req, res, next) {
+  if (!config.auth.enabled) {
+    req.apiKey = null;
+    return next();
+  }
+
+  try {
+    req.apiKey = await authService.authenticate(readKey(req));
+    if (!req.apiKey) {
+      logger.warn(`Rejected ${req.method} ${req.originalUrl}: missing or invalid API key`);
+      return res.status(401).json({ success: false, error: 'A valid API key is required' });
+    }
+    next();
+  } catch (error) {
+    logger.error(`Error authenticating ${req.method} ${req.originalUrl}: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Only let keys with at least a role through; operator requests are recorded in the audit trail,
+ * including the ones that are turned away
+ * @param {string} role - 'viewer' or 'operator'
+ * @returns {Function} - Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (role === 'operator') {
+      audit(req, res);
+    }
+
+    if (req.apiKey && !authService.allows(req.apiKey.role, role)) {
+      logger.warn(`Rejected ${req.method} ${req.originalUrl} for ${req.apiKey.name}: needs the ${role} role`);
+      return res.status(403).json({ success: false, error: `This action needs the ${role} role` });
+    }
+    next();
+  };
+}
+
+/**
+ * Default access rule for the API: reading needs a viewer key, anything else an operator key
+ */
+function authorize(req, res, next) {
+  return requireRole(['GET', 'HEAD'].includes(req.method) ? 'viewer' : 'operator')(req, res, next);
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  authorize
+};
@@ -0,0 +1,160 @@
+/**
+ * Tables that models used to create on their own at startup
+ * Everything is created only if missing, so databases from before migrations adopt this as their baseline.
+ */
+
+const TABLES = [
+  `CREATE TABLE IF NOT EXISTS tweets (
+    id TEXT PRIMARY KEY,
+    content TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    type TEXT NOT NULL,
+    prompt_used TEXT,
+    context TEXT
+  )`,
+  `CREATE TABLE IF NOT EXISTS metrics (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tweet_id TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    likes INTEGER DEFAULT 0,
+    retweets INTEGER DEFAULT 0,
+    replies INTEGER DEFAULT 0,
+    impressions INTEGER DEFAULT 0,
+    FOREIGN KEY(tweet_id) REFERENCES tweets(id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS performance_analysis (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tweet_id TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    analysis TEXT NOT NULL,
+    success_factors TEXT,
+    improvement_areas TEXT,
+    recommended_approach TEXT,
+    FOREIGN KEY(tweet_id) REFERENCES tweets(id)
+  )`,
+  // Links every tweet of a posted thread
+  `CREATE TABLE IF NOT EXISTS threads (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    root_tweet_id TEXT NOT NULL,
+    tweet_ids TEXT NOT NULL,
+    parts TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    type TEXT NOT NULL,
+    prompt_used TEXT,
+    context TEXT,
+    FOREIGN KEY(root_tweet_id) REFERENCES tweets(id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS drafts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    content TEXT NOT NULL,
+    tweet_type TEXT NOT NULL,
+    prompt_used TEXT,
+    context TEXT,
+    in_reply_to_id TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    posted_tweet_id TEXT,
+    error TEXT
+  )`,
+  `CREATE TABLE IF NOT EXISTS processed_mentions (
+    mention_id TEXT PRIMARY KEY,
+    author_username TEXT,
+    status TEXT NOT NULL,
+    reply_id TEXT,
+    draft_id INTEGER,
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    processed_at TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS sandbox_tweets (
+    id TEXT PRIMARY KEY,
+    text TEXT NOT NULL,
+    author_id TEXT NOT NULL,
+    author_username TEXT NOT NULL,
+    author_name TEXT,
+    in_reply_to_tweet_id TEXT,
+    conversation_id TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    like_count INTEGER DEFAULT 0,
+    retweet_count INTEGER DEFAULT 0,
+    reply_count INTEGER DEFAULT 0,
+    quote_count INTEGER DEFAULT 0,
+    impression_count INTEGER DEFAULT 0
+  )`,
+  `CREATE TABLE IF NOT EXISTS bot_state (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_key TEXT NOT NULL UNIQUE,
+    symbol TEXT NOT NULL,
+    name TEXT,
+    chain TEXT,
+    address TEXT,
+    first_seen_at TEXT NOT NULL,
+    created_at TEXT,
+    created_at_source TEXT,
+    source TEXT,
+    market TEXT,
+    updated_at TEXT NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_tokens_symbol ON tokens (symbol)',
+  // Links each tweet to the exact tokens it talked about
+  `CREATE TABLE IF NOT EXISTS tweet_tokens (
+    tweet_id TEXT NOT NULL,
+    token_id INTEGER NOT NULL,
+    PRIMARY KEY (tweet_id, token_id),
+    FOREIGN KEY (token_id) REFERENCES tokens (id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS token_risk (
+    token_id INTEGER PRIMARY KEY,
+    score INTEGER NOT NULL,
+    reasons TEXT NOT NULL,
+    checks TEXT,
+    assessed_at TEXT NOT NULL,
+    FOREIGN KEY (token_id) REFERENCES tokens (id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS policy_decisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL,
+    decision TEXT NOT NULL,
+    violations TEXT NOT NULL,
+    original_text TEXT NOT NULL,
+    final_text TEXT,
+    created_at TEXT NOT NULL
+  )`
+];
+
+const DROP_ORDER = [
+  'policy_decisions', 'token_risk', 'tweet_tokens', 'tokens', 'bot_state', 'sandbox_tweets',
+  'processed_mentions', 'drafts', 'threads', 'performance_analysis', 'metrics', 'tweets'
+];
+
+module.exports = {
+  async up(db) {
+    for (const sql of TABLES) {
+      await db.run(sql);
+    }
+
+    // Carry over ages cached by symbol before the token registry existed
+    if (await db.hasTable('token_ages')) {
+      await db.run(`
+        INSERT OR IGNORE INTO tokens (token_key, symbol, chain, address, first_seen_at, created_at, created_at_source, updated_at)
+        SELECT CASE WHEN address IS NOT NULL THEN chain || ':' || address ELSE 'symbol:' || symbol END,
+               symbol, chain, address, first_seen_at, created_at, source, checked_at
+        FROM token_ages
+      `);
+      await db.run('DROP TABLE token_ages');
+    }
+  },
+
+  async down(db) {
+    for (const table of DROP_ORDER) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
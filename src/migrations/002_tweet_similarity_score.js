@@ -0,0 +1,15 @@
+/**
+ * Similarity of each post to the closest recent post, from the content policy's novelty check
+ */
+module.exports = {
+  async up(db) {
+    // Databases that ran the novelty check before migrations existed already have the column
+    if (!(await db.hasColumn('tweets', 'similarity_score'))) {
+      await db.run('ALTER TABLE tweets ADD COLUMN similarity_score REAL');
+    }
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE tweets DROP COLUMN similarity_score');
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * Move rows from the old `tweet_engagement` table into `tweets` and `metrics`
+ * Imported tweets get the type 'legacy'; their counts become a single metrics reading taken at last_checked.
+ */
+
+// tweet_engagement stored SQLite CURRENT_TIMESTAMP values, everything else uses ISO 8601
+const iso = (column) => `strftime('%Y-%m-%dT%H:%M:%fZ', ${column})`;
+
+module.exports = {
+  async up(db) {
+    if (!(await db.hasTable('tweet_engagement'))) {
+      return;
+    }
+
+    // Tweets already recorded by the bot keep their own history
+    await db.run(`
+      INSERT INTO metrics (tweet_id, timestamp, likes, retweets, replies, impressions)
+      SELECT tweet_id, ${iso('COALESCE(last_checked, posted_at)')}, likes, retweets, replies, 0
+      FROM tweet_engagement
+      WHERE tweet_id IS NOT NULL
+        AND tweet_id NOT IN (SELECT id FROM tweets)
+        AND (likes > 0 OR retweets > 0 OR replies > 0)
+    `);
+
+    await db.run(`
+      INSERT OR IGNORE INTO tweets (id, content, created_at, type)
+      SELECT tweet_id, COALESCE(content, ''), ${iso('COALESCE(posted_at, CURRENT_TIMESTAMP)')}, 'legacy'
+      FROM tweet_engagement
+      WHERE tweet_id IS NOT NULL
+    `);
+
+    await db.run('DROP TABLE tweet_engagement');
+  },
+
+  async down(db) {
+    await db.run(`
+      CREATE TABLE tweet_engagement (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tweet_id TEXT UNIQUE,
+        content TEXT,
+        posted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        likes INTEGER DEFAULT 0,
+        retweets INTEGER DEFAULT 0,
+        replies INTEGER DEFAULT 0,
+        last_checked DATETIME DEFAULT CURRENT_TIMESTAMP,
+        engagement_score REAL DEFAULT 0
+      )
+    `);
+
+    await db.run(`
+      INSERT INTO tweet_engagement (tweet_id, content, posted_at, likes, retweets, replies, last_checked, engagement_score)
+      SELECT t.id, t.content, datetime(t.created_at),
+             COALESCE(m.likes, 0), COALESCE(m.retweets, 0), COALESCE(m.replies, 0),
+             datetime(COALESCE(m.timestamp, t.created_at)),
+             COALESCE(m.likes, 0) + COALESCE(m.retweets, 0) * 3 + COALESCE(m.replies, 0) * 2
+      FROM tweets t
+      LEFT JOIN metrics m ON m.id = (SELECT id FROM metrics WHERE tweet_id = t.id ORDER BY timestamp DESC LIMIT 1)
+      WHERE t.type = 'legacy'
+    `);
+
+    await db.run("DELETE FROM metrics WHERE tweet_id IN (SELECT id FROM tweets WHERE type = 'legacy')");
+    await db.run("DELETE FROM tweets WHERE type = 'legacy'");
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Persisted engagement tracking plan
+ * Every post gets one `metric_snapshots` row per horizon (1h, 6h, ...); the metrics reading taken
+ * for it is labelled with the same horizon so engagement curves line up across posts.
+ */
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE metrics ADD COLUMN horizon TEXT');
+
+    await db.run(`
+      CREATE TABLE metric_snapshots (
+        tweet_id TEXT NOT NULL,
+        horizon TEXT NOT NULL,
+        due_at TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        metrics_id INTEGER,
+        captured_at TEXT,
+        last_error TEXT,
+        PRIMARY KEY (tweet_id, horizon),
+        FOREIGN KEY (tweet_id) REFERENCES tweets (id),
+        FOREIGN KEY (metrics_id) REFERENCES metrics (id)
+      )
+    `);
+    await db.run('CREATE INDEX idx_metric_snapshots_due ON metric_snapshots (status, due_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE metric_snapshots');
+    await db.run('ALTER TABLE metrics DROP COLUMN horizon');
+  }
+};
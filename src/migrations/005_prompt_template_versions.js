@@ -0,0 +1,29 @@
+/**
+ * Versions of the file-based prompt templates
+ * Every version that produced a post is kept in `prompt_templates`, keyed by a hash of its source,
+ * and posts, threads and drafts record the version they were generated from.
+ */
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE prompt_templates (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        source TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      )
+    `);
+
+    for (const table of ['tweets', 'threads', 'drafts']) {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN template_version TEXT`);
+    }
+  },
+
+  async down(db) {
+    for (const table of ['tweets', 'threads', 'drafts']) {
+      await db.run(`ALTER TABLE ${table} DROP COLUMN template_version`);
+    }
+
+    await db.run('DROP TABLE prompt_templates');
+  }
+};
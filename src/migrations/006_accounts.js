@@ -0,0 +1,75 @@
+/**
+ * Bot accounts
+ * Posts, threads, drafts, handled mentions and policy decisions are tagged with the account they
+ * belong to. Everything from before is assigned to the 'default' account, and account-scoped
+ * bot_state keys get its prefix. The same tweet can mention several of our accounts, so handled
+ * mentions are keyed by account and mention.
+ */
+
+const TAGGED_TABLES = ['tweets', 'threads', 'drafts', 'policy_decisions'];
+
+// bot_state keys that belong to an account
+const STATE_KEYS = ['mentions.since_id', 'posting.plan'];
+
+/**
+ * Recreate processed_mentions with a new key, copying the rows over
+ * @param {Object} db - Database service
+ * @param {string} columns - Column definitions of the new table
+ * @param {string} copy - SELECT producing the rows of the new table
+ */
+async function rebuildProcessedMentions(db, columns, copy) {
+  await db.run('ALTER TABLE processed_mentions RENAME TO processed_mentions_old');
+  await db.run(`CREATE TABLE processed_mentions (${columns})`);
+  await db.run(`INSERT OR IGNORE INTO processed_mentions ${copy}`);
+  await db.run('DROP TABLE processed_mentions_old');
+}
+
+const MENTION_COLUMNS = `
+  mention_id TEXT NOT NULL,
+  author_username TEXT,
+  status TEXT NOT NULL,
+  reply_id TEXT,
+  draft_id INTEGER,
+  attempts INTEGER DEFAULT 0,
+  last_error TEXT,
+  processed_at TEXT NOT NULL`;
+
+module.exports = {
+  async up(db) {
+    for (const table of TAGGED_TABLES) {
+      await db.run(`ALTER TABLE ${table} ADD COLUMN account TEXT NOT NULL DEFAULT 'default'`);
+    }
+    await db.run('CREATE INDEX idx_tweets_account ON tweets (account, created_at)');
+
+    await rebuildProcessedMentions(
+      db,
+      `account TEXT NOT NULL DEFAULT 'default', ${MENTION_COLUMNS}, PRIMARY KEY (account, mention_id)`,
+      `SELECT 'default', mention_id, author_username, status, reply_id, draft_id, attempts, last_error, processed_at
+       FROM processed_mentions_old`
+    );
+
+    for (const key of STATE_KEYS) {
+      await db.run("UPDATE bot_state SET key = 'default:' || key WHERE key = ?", [key]);
+    }
+  },
+
+  async down(db) {
+    for (const key of STATE_KEYS) {
+      await db.run("DELETE FROM bot_state WHERE key LIKE ? AND key != ?", [`%:${key}`, `default:${key}`]);
+      await db.run('UPDATE bot_state SET key = ? WHERE key = ?', [key, `default:${key}`]);
+    }
+
+    // Only the default account's mentions fit the old key
+    await rebuildProcessedMentions(
+      db,
+      `${MENTION_COLUMNS.replace('mention_id TEXT NOT NULL', 'mention_id TEXT PRIMARY KEY')}`,
+      `SELECT mention_id, author_username, status, reply_id, draft_id, attempts, last_error, processed_at
+       FROM processed_mentions_old WHERE account = 'default'`
+    );
+
+    await db.run('DROP INDEX idx_tweets_account');
+    for (const table of TAGGED_TABLES) {
+      await db.run(`ALTER TABLE ${table} DROP COLUMN account`);
+    }
+  }
+};
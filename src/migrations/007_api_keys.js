@@ -0,0 +1,41 @@
+/**
+ * API keys and the audit trail of the actions taken with them
+ * Keys are stored as SHA-256 hashes; the key itself is only shown once, when it is created.
+ */
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        role TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        key_prefix TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT,
+        revoked_at TEXT
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        key_id INTEGER,
+        action TEXT NOT NULL,
+        method TEXT NOT NULL,
+        path TEXT NOT NULL,
+        account TEXT,
+        status_code INTEGER,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY(key_id) REFERENCES api_keys(id)
+      )
+    `);
+
+    await db.run('CREATE INDEX idx_audit_log_created_at ON audit_log (created_at)');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE audit_log');
+    await db.run('DROP TABLE api_keys');
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Look incomplete mint creation times up again, but not on every use
+ * Partial times record when they were last looked up, so a busy mint's history is only paged through
+ * again after a while. Mint times stored before partial ones were told apart are kept, except those
+ * later than the token's DEX pair: a mint can't be younger than its pair, so those came from a history
+ * too long to page through.
+ */
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE tokens ADD COLUMN created_at_checked_at TEXT');
+    await db.run(`
+      UPDATE tokens SET created_at_source = 'mint_partial'
+      WHERE created_at_source = 'mint'
+        AND json_extract(market, '$.pairCreatedAt') IS NOT NULL
+        AND julianday(created_at) > julianday(json_extract(market, '$.pairCreatedAt'))
+    `);
+  },
+
+  async down(db) {
+    // Older versions resolve creation times from unknown sources again by themselves
+    await db.run('ALTER TABLE tokens DROP COLUMN created_at_checked_at');
+  }
+};
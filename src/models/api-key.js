@@ -0,0 +1,147 @@
+const logger = require('../utils/logger');
+const database = require('../services/database');
+
+/**
+ * API keys that may call the admin API, stored as hashes
+ */
+class ApiKeyModel {
+  constructor() {
+    // Tables are created by the migrations in src/migrations
+    this.db = database.db;
+  }
+
+  /**
+   * Store a new key
+   * @param {Object} key - Key data
+   * @param {string} key.name - Unique name of the key's holder
+   * @param {string} key.role - 'viewer' or 'operator'
+   * @param {string} key.keyHash - SHA-256 hash of the key
+   * @param {string} key.keyPrefix - Start of the key, to recognise it by
+   * @returns {Promise<Object>} The stored key, without its hash
+   */
+  createKey({ name, role, keyHash, keyPrefix }) {
+    const model = this;
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO api_keys (name, role, key_hash, key_prefix, created_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [name, role, keyHash, keyPrefix, new Date().toISOString()],
+        function(err) {
+          if (err) {
+            logger.error(`Error creating API key ${name}:`, err);
+            return reject(err);
+          }
+
+          model.getKey(name).then(resolve, reject);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get a key by its holder's name
+   * @param {string} name - Key name
+   * @returns {Promise<Object|null>} The key without its hash, or null
+   */
+  getKey(name) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT id, name, role, key_prefix, created_at, last_used_at, revoked_at FROM api_keys WHERE name = ?',
+        [name],
+        (err, row) => {
+          if (err) {
+            logger.error(`Error fetching API key ${name}:`, err);
+            return reject(err);
+          }
+
+          resolve(row || null);
+        }
+      );
+    });
+  }
+
+  /**
+   * Find the key that hashes to a value, unless it was revoked
+   * @param {string} keyHash - SHA-256 hash of the presented key
+   * @returns {Promise<Object|null>} The key without its hash, or null
+   */
+  findActiveByHash(keyHash) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT id, name, role, key_prefix, created_at, last_used_at FROM api_keys
+         WHERE key_hash = ? AND revoked_at IS NULL`,
+        [keyHash],
+        (err, row) => {
+          if (err) {
+            logger.error('Error looking up API key:', err);
+            return reject(err);
+          }
+
+          resolve(row || null);
+        }
+      );
+    });
+  }
+
+  /**
+   * List every key, revoked ones included
+   * @returns {Promise<Array>} Keys without their hashes, oldest first
+   */
+  listKeys() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT id, name, role, key_prefix, created_at, last_used_at, revoked_at FROM api_keys ORDER BY id',
+        (err, rows) => {
+          if (err) {
+            logger.error('Error listing API keys:', err);
+            return reject(err);
+          }
+
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Revoke a key; it is kept so the audit trail still names it
+   * @param {string} name - Key name
+   * @returns {Promise<boolean>} Whether an active key was revoked
+   */
+  revokeKey(name) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE api_keys SET revoked_at = ? WHERE name = ? AND revoked_at IS NULL',
+        [new Date().toISOString(), name],
+        function(err) {
+          if (err) {
+            logger.error(`Error revoking API key ${name}:`, err);
+            return reject(err);
+          }
+
+          resolve(this.changes > 0);
+        }
+      );
+    });
+  }
+
+  /**
+   * Record when a key was last used
+   * @param {number} id - Key ID
+   * @returns {Promise<void>}
+   */
+  touch(id) {
+    return new Promise((resolve, reject) => {
+      this.db.run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), id], (err) => {
+        if (err) {
+          logger.error(`Error updating API key ${id}:`, err);
+          return reject(err);
+        }
+
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = new ApiKeyModel();
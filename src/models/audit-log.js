@@ -0,0 +1,73 @@
+const logger = require('../utils/logger');
+const database = require('../services/database');
+
+/**
+ * Audit trail of the actions taken through the admin API, and the key that took each one
+ */
+class AuditLogModel {
+  constructor() {
+    // Tables are created by the migrations in src/migrations
+    this.db = database.db;
+  }
+
+  /**
+   * Record an action
+   * @param {Object} entry - Entry data
+   * @param {number|null} entry.keyId - ID of the key used, or null when auth is off
+   * @param {string} entry.action - Route acted on, e.g. 'POST /api/accounts/:account/bot/tweet'
+   * @param {string} entry.method - HTTP method
+   * @param {string} entry.path - Requested path
+   * @param {string|null} entry.account - ID of the account acted on, if any
+   * @param {number} entry.statusCode - HTTP status code of the response
+   * @returns {Promise<number>} The entry ID
+   */
+  record({ keyId, action, method, path, account = null, statusCode }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO audit_log (key_id, action, method, path, account, status_code, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [keyId, action, method, path, account, statusCode, new Date().toISOString()],
+        function(err) {
+          if (err) {
+            logger.error('Error recording audit log entry:', err);
+            return reject(err);
+          }
+
+          resolve(this.lastID);
+        }
+      );
+    });
+  }
+
+  /**
+   * List recent entries with the name and role of the key used, newest first
+   * @param {Object} options - Query options
+   * @param {string} options.key - Only entries of the key with this name
+   * @param {string} options.account - Only entries for this account
+   * @param {number} options.limit - Maximum number of entries to return
+   * @returns {Promise<Array>} Entries
+   */
+  listEntries({ key = null, account = null, limit = 50 } = {}) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT a.*, k.name as key_name, k.role as key_role
+         FROM audit_log a
+         LEFT JOIN api_keys k ON k.id = a.key_id
+         WHERE (? IS NULL OR k.name = ?) AND (? IS NULL OR a.account = ?)
+         ORDER BY a.id DESC
+         LIMIT ?`,
+        [key, key, account, account, limit],
+        (err, rows) => {
+          if (err) {
+            logger.error('Error listing audit log entries:', err);
+            return reject(err);
+          }
+
+          resolve(rows);
+        }
+      );
+    });
+  }
+}
+
+module.exports = new AuditLogModel();
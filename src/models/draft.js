@@ -0,0 +1,166 @@
+const logger = require('../utils/logger');
+const database = require('../services/database');
+
+/**
+ * Model for generated content awaiting human approval
+ */
+class DraftModel {
+  constructor() {
+    // Tables are created by the migrations in src/migrations
+    this.db = database.db;
+  }
+
+  /**
+   * Save a new draft
+   * @param {Object} draft - Draft data
+   * @param {string} draft.account - ID of the account that will post it
+   * @param {string} draft.type - 'tweet', 'reply' or 'thread'
+   * @param {string} draft.content - Generated text
+   * @param {string} draft.tweetType - Type to record in the tweets table once posted
+   * @param {string} draft.promptUsed - The prompt template used
+   * @param {string} draft.templateVersion - Version of the prompt template file it was generated from
+   * @param {Object} draft.context - Context data provided to the LLM
+   * @param {string} draft.inReplyToId - ID of the tweet being replied to (replies only)
+   * @returns {Promise<Object>} The saved draft
+   */
+  createDraft({ account = 'default', type, content, tweetType, promptUsed = null, templateVersion = null, context = null, inReplyToId = null }) {
+    return new Promise((resolve, reject) => {
+      const now = new Date().toISOString();
+      const contextStr = context ? JSON.stringify(context) : null;
+      const model = this;
+
+      this.db.run(
+        `INSERT INTO drafts (account, type, content, tweet_type, prompt_used, template_version, context, in_reply_to_id, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`,
+        [account, type, content, tweetType, promptUsed, templateVersion, contextStr, inReplyToId, now, now],
+        function(err) {
+          if (err) {
+            logger.error('Error saving draft:', err);
+            return reject(err);
+          }
+
+          logger.info(`Draft ${this.lastID} saved for approval`);
+          model.getDraft(this.lastID).then(resolve, reject);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get a draft by ID
+   * @param {number} id - Draft ID
+   * @returns {Promise<Object|null>} The draft, or null if not found
+   */
+  getDraft(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM drafts WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          logger.error(`Error fetching draft ${id}:`, err);
+          return reject(err);
+        }
+
+        resolve(row ? this.parseRow(row) : null);
+      });
+    });
+  }
+
+  /**
+   * List drafts, newest first
+   * @param {Object} options - Filter options
+   * @param {string} options.status - Only return drafts with this status
+   * @param {string} options.account - Only return drafts of this account
+   * @param {number} options.limit - Maximum number of drafts to return
+   * @returns {Promise<Array>} Drafts
+   */
+  listDrafts({ status = null, account = null, limit = 50 } = {}) {
+    return new Promise((resolve, reject) => {
+      const filters = { status, account };
+      const columns = Object.keys(filters).filter(column => filters[column]);
+      const where = columns.length > 0 ? `WHERE ${columns.map(column => `${column} = ?`).join(' AND ')}` : '';
+      const params = [...columns.map(column => filters[column]), limit];
+
+      this.db.all(
+        `SELECT * FROM drafts ${where} ORDER BY created_at DESC, id DESC LIMIT ?`,
+        params,
+        (err, rows) => {
+          if (err) {
+            logger.error('Error listing drafts:', err);
+            return reject(err);
+          }
+
+          resolve(rows.map(row => this.parseRow(row)));
+        }
+      );
+    });
+  }
+
+  /**
+   * Update fields on a draft
+   * @param {number} id - Draft ID
+   * @param {Object} fields - Columns to update (content, status, posted_tweet_id, error)
+   * @returns {Promise<Object|null>} The updated draft
+   */
+  updateDraft(id, fields) {
+    return new Promise((resolve, reject) => {
+      const allowed = ['content', 'template_version', 'status', 'posted_tweet_id', 'error'];
+      const columns = Object.keys(fields).filter(key => allowed.includes(key));
+      const assignments = columns.map(column => `${column} = ?`);
+      const values = columns.map(column => fields[column]);
+
+      this.db.run(
+        `UPDATE drafts SET ${[...assignments, 'updated_at = ?'].join(', ')} WHERE id = ?`,
+        [...values, new Date().toISOString(), id],
+        (err) => {
+          if (err) {
+            logger.error(`Error updating draft ${id}:`, err);
+            return reject(err);
+          }
+
+          this.getDraft(id).then(resolve, reject);
+        }
+      );
+    });
+  }
+
+  /**
+   * Mark a draft approved, but only if it is still pending or failed
+   * Done in one statement so two approvals arriving together can't both go ahead.
+   * @param {number} id - Draft ID
+   * @returns {Promise<boolean>} Whether this call approved the draft
+   */
+  approveDraft(id) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE drafts SET status = 'approved', error = NULL, updated_at = ?
+         WHERE id = ? AND status IN ('pending', 'failed')`,
+        [new Date().toISOString(), id],
+        function(err) {
+          if (err) {
+            logger.error(`Error approving draft ${id}:`, err);
+            return reject(err);
+          }
+
+          resolve(this.changes === 1);
+        }
+      );
+    });
+  }
+
+  /**
+   * Parse JSON columns on a draft row
+   * @param {Object} row - Raw database row
+   * @returns {Object} Parsed draft
+   */
+  parseRow(row) {
+    if (row.context && typeof row.context === 'string') {
+      try {
+        row.context = JSON.parse(row.context);
+      } catch (e) {
+        // Keep as string if parsing fails
+      }
+    }
+    return row;
+  }
+}
+
+module.exports = new DraftModel();
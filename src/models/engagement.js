@@ -1,95 +1,286 @@
-const fs = require('fs');
-const path = require('path');
-const sqlite3 = require('sqlite3').verbose();
 const logger = require('../utils/logger');
-const config = require('../config/config');
+const database = require('../services/database');
 
 class EngagementModel {
   constructor() {
-    this.dbPath = config.database.path;
-    this.ensureDatabaseExists();
-    this.db = new sqlite3.Database(this.dbPath);
-    this.initDatabase();
+    // Tables are created by the migrations in src/migrations
+    this.db = database.db;
   }
 
-  ensureDatabaseExists() {
-    const dir = path.dirname(this.dbPath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-      logger.info(`Created database directory: ${dir}`);
+  /**
+   * Save a new tweet to the database
+   * @param {Object} tweet - Tweet object with id, content, etc.
+   * @param {number} tweet.similarity_score - Highest similarity to a recent post (0-1)
+   * @param {string} tweet.template_version - Version of the prompt template file it was generated from
+   * @param {string} tweet.account - ID of the account that posted it
+   * @param {string} promptUsed - The prompt template used
+   * @param {Object} context - Context data provided to the LLM
+   * @returns {Promise<Object>} The saved tweet
+   */
+  saveTweet(tweet, promptUsed = null, context = null) {
+    return new Promise((resolve, reject) => {
+      const { id, text, created_at, type = 'tweet', similarity_score = null, template_version = null, account = 'default' } = tweet;
+      const contextStr = context ? JSON.stringify(context) : null;
+      
+      this.db.run(
+        `INSERT INTO tweets (id, content, created_at, type, prompt_used, context, similarity_score, template_version, account)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, text, created_at, type, promptUsed, contextStr, similarity_score, template_version, account],
+        function(err) {
+          if (err) {
+            logger.error(`Error saving tweet ${id}:`, err);
+            return reject(err);
+          }
+          
+          logger.info(`Tweet ${id} saved to database`);
+          resolve({ id, text, created_at, type, account, promptUsed, context });
+        }
+      );
+    });
+  }
+
+  /**
+   * Get a tweet by ID
+   * @param {string} tweetId - Tweet ID
+   * @returns {Promise<Object|null>} The tweet with its parsed context, or null
+   */
+  getTweetById(tweetId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM tweets WHERE id = ?', [tweetId], (err, row) => {
+        if (err) {
+          logger.error(`Error fetching tweet ${tweetId}:`, err);
+          return reject(err);
+        }
+        
+        resolve(row ? this.parseTweetRow(row) : null);
+      });
+    });
+  }
+
+  /**
+   * List tweets with their latest metrics, filtered and paginated
+   * @param {Object} options - List options
+   * @param {string} options.account - Only tweets of this account
+   * @param {string} options.type - Only tweets of this type
+   * @param {string} options.from - Only tweets created at or after this ISO timestamp
+   * @param {string} options.to - Only tweets created at or before this ISO timestamp
+   * @param {string} options.sort - 'recent' (newest first) or 'engagement' (highest engagement score first)
+   * @param {number} options.limit - Page size
+   * @param {number} options.offset - Rows to skip
+   * @returns {Promise<Object>} { tweets, total }
+   */
+  listTweets({ account = null, type = null, from = null, to = null, sort = 'recent', limit = 20, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (account) {
+      conditions.push('t.account = ?');
+      params.push(account);
+    }
+    if (type) {
+      conditions.push('t.type = ?');
+      params.push(type);
     }
+    if (from) {
+      conditions.push('t.created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('t.created_at <= ?');
+      params.push(to);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const orderBy = sort === 'engagement'
+      ? 'engagement_score DESC, t.created_at DESC'
+      : 't.created_at DESC';
+    
+    return new Promise((resolve, reject) => {
+      this.db.get(`SELECT COUNT(*) AS total FROM tweets t ${where}`, params, (countErr, count) => {
+        if (countErr) {
+          logger.error('Error counting tweets:', countErr);
+          return reject(countErr);
+        }
+        
+        this.db.all(
+          `SELECT t.*, m.likes, m.retweets, m.replies, m.impressions,
+                  COALESCE(m.likes, 0) + COALESCE(m.retweets, 0) * 2 + COALESCE(m.replies, 0) * 3 as engagement_score
+           FROM tweets t
+           LEFT JOIN metrics m ON m.id = (
+             SELECT id FROM metrics WHERE tweet_id = t.id ORDER BY timestamp DESC, id DESC LIMIT 1
+           )
+           ${where}
+           ORDER BY ${orderBy}
+           LIMIT ? OFFSET ?`,
+          [...params, limit, offset],
+          (err, rows) => {
+            if (err) {
+              logger.error('Error listing tweets:', err);
+              return reject(err);
+            }
+            
+            resolve({ tweets: rows.map(row => this.parseTweetRow(row)), total: count.total });
+          }
+        );
+      });
+    });
   }
 
-  initDatabase() {
-    this.db.serialize(() => {
-      // Create tweets table
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS tweets (
-          id TEXT PRIMARY KEY,
-          content TEXT NOT NULL,
-          created_at TEXT NOT NULL,
-          type TEXT NOT NULL,
-          prompt_used TEXT,
-          context TEXT
-        )
-      `);
+  /**
+   * Get every metrics reading of a tweet, oldest first
+   * @param {string} tweetId - Tweet ID
+   * @returns {Promise<Array>} Metrics readings
+   */
+  getMetricsHistory(tweetId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM metrics WHERE tweet_id = ? ORDER BY timestamp ASC, id ASC',
+        [tweetId],
+        (err, rows) => {
+          if (err) {
+            logger.error(`Error fetching metrics history for tweet ${tweetId}:`, err);
+            return reject(err);
+          }
+          
+          resolve(rows);
+        }
+      );
+    });
+  }
 
-      // Create metrics table
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS metrics (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          tweet_id TEXT NOT NULL,
-          timestamp TEXT NOT NULL,
-          likes INTEGER DEFAULT 0,
-          retweets INTEGER DEFAULT 0,
-          replies INTEGER DEFAULT 0,
-          impressions INTEGER DEFAULT 0,
-          FOREIGN KEY(tweet_id) REFERENCES tweets(id)
-        )
-      `);
+  /**
+   * Get every performance analysis of a tweet, oldest first
+   * @param {string} tweetId - Tweet ID
+   * @returns {Promise<Array>} Analyses with parsed success factors and improvement areas
+   */
+  getAnalyses(tweetId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM performance_analysis WHERE tweet_id = ? ORDER BY timestamp ASC, id ASC',
+        [tweetId],
+        (err, rows) => {
+          if (err) {
+            logger.error(`Error fetching analyses for tweet ${tweetId}:`, err);
+            return reject(err);
+          }
+          
+          resolve(rows.map(row => this.parseAnalysisRow(row)));
+        }
+      );
+    });
+  }
 
-      // Create performance_analysis table
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS performance_analysis (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          tweet_id TEXT NOT NULL,
-          timestamp TEXT NOT NULL,
-          analysis TEXT NOT NULL,
-          success_factors TEXT,
-          improvement_areas TEXT,
-          recommended_approach TEXT,
-          FOREIGN KEY(tweet_id) REFERENCES tweets(id)
-        )
-      `);
+  /**
+   * Get the thread a tweet is the root of
+   * @param {string} rootTweetId - Root tweet ID
+   * @returns {Promise<Object|null>} The thread with parsed tweet IDs and parts, or null
+   */
+  getThreadByRoot(rootTweetId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM threads WHERE root_tweet_id = ?', [rootTweetId], (err, row) => {
+        if (err) {
+          logger.error(`Error fetching thread ${rootTweetId}:`, err);
+          return reject(err);
+        }
+        
+        resolve(row ? {
+          id: row.id,
+          rootTweetId: row.root_tweet_id,
+          tweetIds: JSON.parse(row.tweet_ids),
+          parts: JSON.parse(row.parts),
+          createdAt: row.created_at,
+          type: row.type
+        } : null);
+      });
+    });
+  }
 
-      logger.info('Database initialized successfully');
+  /**
+   * Get the text of the most recent posts, tweets and replies alike, from every account
+   * Threads are returned as their full text rather than just the root tweet.
+   * @param {number} limit - Number of posts to return
+   * @returns {Promise<Array>} Posts with id and text, newest first
+   */
+  getRecentPosts(limit = 50) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT t.id, t.content, th.parts
+         FROM tweets t
+         LEFT JOIN threads th ON th.root_tweet_id = t.id
+         ORDER BY t.created_at DESC
+         LIMIT ?`,
+        [limit],
+        (err, rows) => {
+          if (err) {
+            logger.error('Error getting recent posts:', err);
+            return reject(err);
+          }
+          
+          resolve(rows.map(row => ({
+            id: row.id,
+            // Drop the "1/3 " numbering so threads compare on their content
+            text: row.parts
+              ? JSON.parse(row.parts).map(part => part.replace(/^\d+\/\d+ /, '')).join(' ')
+              : row.content
+          })));
+        }
+      );
     });
   }
 
   /**
-   * Save a new tweet to the database
-   * @param {Object} tweet - Tweet object with id, content, etc.
+   * Save a posted thread as one record
+   * @param {Object} thread - Thread data
+   * @param {Array<string>} thread.tweetIds - IDs of the posted tweets, root first
+   * @param {Array<string>} thread.parts - Text of each tweet
+   * @param {string} thread.type - Thread type (e.g. 'trend_summary')
+   * @param {string} thread.templateVersion - Version of the prompt template file it was generated from
+   * @param {string} thread.account - ID of the account that posted it
    * @param {string} promptUsed - The prompt template used
    * @param {Object} context - Context data provided to the LLM
-   * @returns {Promise<Object>} The saved tweet
+   * @returns {Promise<Object>} The saved thread
    */
-  saveTweet(tweet, promptUsed = null, context = null) {
+  saveThread({ tweetIds, parts, type, templateVersion = null, account = 'default' }, promptUsed = null, context = null) {
     return new Promise((resolve, reject) => {
-      const { id, text, created_at, type = 'tweet' } = tweet;
+      const createdAt = new Date().toISOString();
       const contextStr = context ? JSON.stringify(context) : null;
       
       this.db.run(
-        `INSERT INTO tweets (id, content, created_at, type, prompt_used, context)
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [id, text, created_at, type, promptUsed, contextStr],
+        `INSERT INTO threads (root_tweet_id, tweet_ids, parts, created_at, type, prompt_used, context, template_version, account)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [tweetIds[0], JSON.stringify(tweetIds), JSON.stringify(parts), createdAt, type, promptUsed, contextStr, templateVersion, account],
         function(err) {
           if (err) {
-            logger.error(`Error saving tweet ${id}:`, err);
+            logger.error(`Error saving thread ${tweetIds[0]}:`, err);
             return reject(err);
           }
           
-          logger.info(`Tweet ${id} saved to database`);
-          resolve({ id, text, created_at, type, promptUsed, context });
+          logger.info(`Thread ${tweetIds[0]} (${tweetIds.length} tweets) saved to database`);
+          resolve({ id: this.lastID, rootTweetId: tweetIds[0], tweetIds, parts, createdAt, type, account });
+        }
+      );
+    });
+  }
+
+  /**
+   * Replace the tweets of a thread, e.g. once a partly posted thread has been finished
+   * @param {number} id - Thread record ID
+   * @param {Object} thread - { tweetIds, parts }
+   * @returns {Promise<Object>} The updated thread
+   */
+  updateThread(id, { tweetIds, parts }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE threads SET tweet_ids = ?, parts = ? WHERE id = ?',
+        [JSON.stringify(tweetIds), JSON.stringify(parts), id],
+        (err) => {
+          if (err) {
+            logger.error(`Error updating thread ${tweetIds[0]}:`, err);
+            return reject(err);
+          }
+          
+          logger.info(`Thread ${tweetIds[0]} updated to ${tweetIds.length} tweets`);
+          this.getThreadByRoot(tweetIds[0]).then(resolve, reject);
         }
       );
     });
@@ -99,25 +290,26 @@ class EngagementModel {
    * Save metrics for a tweet
    * @param {string} tweetId - Tweet ID
    * @param {Object} metrics - Engagement metrics
+   * @param {string} metrics.horizon - Tracking horizon the reading was taken for (e.g. '24h'), if any
    * @returns {Promise<Object>} The saved metrics
    */
   saveMetrics(tweetId, metrics) {
     return new Promise((resolve, reject) => {
-      const { likes, retweets, replies, impressions = 0 } = metrics;
+      const { likes, retweets, replies, impressions = 0, horizon = null } = metrics;
       const timestamp = new Date().toISOString();
       
       this.db.run(
-        `INSERT INTO metrics (tweet_id, timestamp, likes, retweets, replies, impressions)
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [tweetId, timestamp, likes, retweets, replies, impressions],
+        `INSERT INTO metrics (tweet_id, timestamp, likes, retweets, replies, impressions, horizon)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [tweetId, timestamp, likes, retweets, replies, impressions, horizon],
         function(err) {
           if (err) {
             logger.error(`Error saving metrics for tweet ${tweetId}:`, err);
             return reject(err);
           }
           
-          logger.info(`Metrics saved for tweet ${tweetId}`);
-          resolve({ id: this.lastID, tweetId, timestamp, likes, retweets, replies, impressions });
+          logger.info(`Metrics saved for tweet ${tweetId}${horizon ? ` (${horizon})` : ''}`);
+          resolve({ id: this.lastID, tweetId, timestamp, likes, retweets, replies, impressions, horizon });
         }
       );
     });
@@ -198,12 +390,46 @@ class EngagementModel {
     });
   }
 
+  /**
+   * Get the engagement curves of several tweets: their metrics at each tracking horizon
+   * @param {Array<string>} tweetIds - Tweet IDs
+   * @returns {Promise<Map>} Tweet ID -> { [horizon]: { likes, retweets, replies, impressions, timestamp } }
+   */
+  getEngagementCurves(tweetIds) {
+    if (tweetIds.length === 0) {
+      return Promise.resolve(new Map());
+    }
+    
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT tweet_id, horizon, timestamp, likes, retweets, replies, impressions
+         FROM metrics
+         WHERE horizon IS NOT NULL AND tweet_id IN (${tweetIds.map(() => '?').join(', ')})
+         ORDER BY timestamp ASC`,
+        tweetIds,
+        (err, rows) => {
+          if (err) {
+            logger.error('Error fetching engagement curves:', err);
+            return reject(err);
+          }
+          
+          const curves = new Map(tweetIds.map(id => [id, {}]));
+          rows.forEach(({ tweet_id, horizon, ...reading }) => {
+            curves.get(tweet_id)[horizon] = reading;
+          });
+          resolve(curves);
+        }
+      );
+    });
+  }
+
   /**
    * Get recent tweets with their latest metrics
    * @param {number} limit - Number of tweets to fetch
+   * @param {string} account - Only tweets of this account
    * @returns {Promise<Array>} Recent tweets with metrics
    */
-  getRecentTweetsWithMetrics(limit = 10) {
+  getRecentTweetsWithMetrics(limit = 10, account = null) {
     return new Promise((resolve, reject) => {
       this.db.all(
         `SELECT t.*, 
@@ -211,9 +437,10 @@ class EngagementModel {
                 (SELECT retweets FROM metrics WHERE tweet_id = t.id ORDER BY timestamp DESC LIMIT 1) as retweets,
                 (SELECT replies FROM metrics WHERE tweet_id = t.id ORDER BY timestamp DESC LIMIT 1) as replies
          FROM tweets t
+         WHERE ? IS NULL OR t.account = ?
          ORDER BY t.created_at DESC
          LIMIT ?`,
-        [limit],
+        [account, account, limit],
         (err, rows) => {
           if (err) {
             logger.error('Error fetching recent tweets with metrics:', err);
@@ -221,18 +448,155 @@ class EngagementModel {
           }
           
           // Parse JSON strings
-          const parsedRows = rows.map(row => {
-            if (row.context && typeof row.context === 'string') {
-              try {
-                row.context = JSON.parse(row.context);
-              } catch (e) {
-                // Keep as string if parsing fails
-              }
-            }
-            return row;
-          });
+          resolve(rows.map(row => this.parseTweetRow(row)));
+        }
+      );
+    });
+  }
+
+  /**
+   * Get the best performing posts since a date, by their latest metrics
+   * @param {Object} options - Query options
+   * @param {string} options.since - ISO timestamp; older posts are ignored
+   * @param {Array<string>} options.types - Tweet types to include
+   * @param {string} options.account - Only posts of this account
+   * @param {number} options.limit - Number of posts to return
+   * @returns {Promise<Array>} Posts with likes, retweets, replies and engagement_score, best first
+   */
+  getTopTweetsSince({ since, types, account = null, limit = 3 }) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT t.id, t.content, t.type, t.created_at, m.likes, m.retweets, m.replies,
+                m.likes + m.retweets * 2 + m.replies * 3 as engagement_score
+         FROM tweets t
+         JOIN metrics m ON m.id = (
+           SELECT id FROM metrics WHERE tweet_id = t.id ORDER BY timestamp DESC, id DESC LIMIT 1
+         )
+         WHERE t.created_at >= ? AND t.type IN (${types.map(() => '?').join(', ')})
+           AND (? IS NULL OR t.account = ?)
+         ORDER BY engagement_score DESC, t.created_at DESC
+         LIMIT ?`,
+        [since, ...types, account, account, limit],
+        (err, rows) => {
+          if (err) {
+            logger.error('Error fetching top tweets:', err);
+            return reject(err);
+          }
+          
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get when posts went out and their engagement at one tracking horizon
+   * @param {Object} options - Query options
+   * @param {string} options.since - ISO timestamp; older posts are ignored
+   * @param {Array<string>} options.types - Tweet types to include
+   * @param {string} options.horizon - Tracking horizon, e.g. '24h'
+   * @param {string} options.account - Only posts of this account
+   * @returns {Promise<Array>} Rows with created_at and engagement_score
+   */
+  getPostingHistory({ since, types, horizon, account = null }) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT t.created_at, m.likes + m.retweets * 2 + m.replies * 3 as engagement_score
+         FROM tweets t
+         JOIN metrics m ON m.tweet_id = t.id AND m.horizon = ?
+         WHERE t.created_at >= ? AND t.type IN (${types.map(() => '?').join(', ')})
+           AND (? IS NULL OR t.account = ?)`,
+        [horizon, since, ...types, account, account],
+        (err, rows) => {
+          if (err) {
+            logger.error('Error fetching posting history:', err);
+            return reject(err);
+          }
+          
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get the times of recent posts
+   * @param {Object} options - Query options
+   * @param {string} options.since - ISO timestamp; older posts are ignored
+   * @param {Array<string>} options.types - Tweet types to include
+   * @param {string} options.account - Only posts of this account
+   * @returns {Promise<Array<string>>} ISO timestamps, oldest first
+   */
+  getPostTimesSince({ since, types, account = null }) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT created_at FROM tweets
+         WHERE created_at >= ? AND type IN (${types.map(() => '?').join(', ')})
+           AND (? IS NULL OR account = ?)
+         ORDER BY created_at ASC`,
+        [since, ...types, account, account],
+        (err, rows) => {
+          if (err) {
+            logger.error('Error fetching recent post times:', err);
+            return reject(err);
+          }
           
-          resolve(parsedRows);
+          resolve(rows.map(row => row.created_at));
+        }
+      );
+    });
+  }
+
+  /**
+   * Get the engagement of every post generated from a prompt, measured at one tracking horizon
+   * @param {string} prompt - Prompt name; posts of all its variants ('tweet', 'tweet:...') are included
+   * @param {string} horizon - Tracking horizon, e.g. '24h'
+   * @returns {Promise<Array>} Rows with prompt_used and engagement_score
+   */
+  getVariantEngagement(prompt, horizon) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT t.prompt_used, m.likes + m.retweets * 2 + m.replies * 3 as engagement_score
+         FROM tweets t
+         JOIN metrics m ON m.tweet_id = t.id AND m.horizon = ?
+         WHERE t.prompt_used = ? OR t.prompt_used LIKE ?`,
+        [horizon, prompt, `${prompt}:%`],
+        (err, rows) => {
+          if (err) {
+            logger.error(`Error fetching engagement of ${prompt} prompt variants:`, err);
+            return reject(err);
+          }
+          
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get the most recent performance analyses
+   * @param {Object} options - Query options
+   * @param {string} options.since - ISO timestamp; older analyses are ignored
+   * @param {string} options.account - Only analyses of this account's posts
+   * @param {number} options.limit - Number of analyses to return
+   * @returns {Promise<Array>} Analyses, newest first, with parsed success factors and improvement areas
+   */
+  getRecentAnalyses({ since, account = null, limit = 5 }) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT pa.* FROM performance_analysis pa
+         JOIN tweets t ON t.id = pa.tweet_id
+         WHERE pa.timestamp >= ? AND (? IS NULL OR t.account = ?)
+         ORDER BY pa.timestamp DESC, pa.id DESC
+         LIMIT ?`,
+        [since, account, account, limit],
+        (err, rows) => {
+          if (err) {
+            logger.error('Error fetching recent analyses:', err);
+            return reject(err);
+          }
+          
+          resolve(rows.map(row => this.parseAnalysisRow(row)));
         }
       );
     });
@@ -241,9 +605,10 @@ class EngagementModel {
   /**
    * Get top performing tweets based on engagement
    * @param {number} limit - Number of tweets to fetch
+   * @param {string} account - Only tweets of this account
    * @returns {Promise<Array>} Top performing tweets
    */
-  getTopPerformingTweets(limit = 5) {
+  getTopPerformingTweets(limit = 5, account = null) {
     return new Promise((resolve, reject) => {
       this.db.all(
         `SELECT t.*, 
@@ -253,9 +618,10 @@ class EngagementModel {
                 (m.likes + m.retweets * 2 + m.replies * 3) as engagement_score
          FROM tweets t
          JOIN metrics m ON t.id = m.tweet_id
+         WHERE ? IS NULL OR t.account = ?
          ORDER BY engagement_score DESC
          LIMIT ?`,
-        [limit],
+        [account, account, limit],
         (err, rows) => {
           if (err) {
             logger.error('Error fetching top performing tweets:', err);
@@ -268,11 +634,49 @@ class EngagementModel {
     });
   }
 
+  /**
+   * Parse the JSON context of a tweet row
+   * @param {Object} row - Raw tweets row
+   * @returns {Object} The row with context parsed
+   */
+  parseTweetRow(row) {
+    if (row.context && typeof row.context === 'string') {
+      try {
+        row.context = JSON.parse(row.context);
+      } catch (e) {
+        // Keep as string if parsing fails
+      }
+    }
+    return row;
+  }
+
+  /**
+   * Parse the JSON lists of a performance_analysis row
+   * @param {Object} row - Raw performance_analysis row
+   * @returns {Object} The row with success_factors and improvement_areas parsed
+   */
+  parseAnalysisRow(row) {
+    const parse = (value) => {
+      try {
+        return value ? JSON.parse(value) : null;
+      } catch (e) {
+        return value;
+      }
+    };
+    
+    return {
+      ...row,
+      success_factors: parse(row.success_factors),
+      improvement_areas: parse(row.improvement_areas)
+    };
+  }
+
   /**
    * Close the database connection
+   * @returns {Promise<void>}
    */
   close() {
-    this.db.close();
+    return database.close();
   }
 }
 
@@ -0,0 +1,107 @@
+const logger = require('../utils/logger');
+const database = require('../services/database');
+
+/**
+ * Model for tracking which mentions each bot account has already handled
+ */
+class MentionModel {
+  constructor() {
+    // Tables are created by the migrations in src/migrations
+    this.db = database.db;
+  }
+
+  /**
+   * Get an account's processing records for a set of mentions
+   * @param {string} account - Account ID
+   * @param {Array<string>} mentionIds - Mention tweet IDs
+   * @returns {Promise<Map<string, Object>>} Records keyed by mention ID
+   */
+  getProcessed(account, mentionIds) {
+    return new Promise((resolve, reject) => {
+      if (mentionIds.length === 0) {
+        return resolve(new Map());
+      }
+
+      const placeholders = mentionIds.map(() => '?').join(', ');
+      this.db.all(
+        `SELECT * FROM processed_mentions WHERE account = ? AND mention_id IN (${placeholders})`,
+        [account, ...mentionIds],
+        (err, rows) => {
+          if (err) {
+            logger.error('Error fetching processed mentions:', err);
+            return reject(err);
+          }
+
+          resolve(new Map(rows.map(row => [row.mention_id, row])));
+        }
+      );
+    });
+  }
+
+  /**
+   * Record that a mention has been answered or queued as a draft
+   * @param {string} account - Account ID
+   * @param {Object} mention - The mention tweet
+   * @param {Object} result - Outcome of the reply
+   * @param {string} result.status - 'replied' or 'drafted'
+   * @param {string} result.replyId - ID of the posted reply
+   * @param {number} result.draftId - ID of the queued draft
+   * @returns {Promise<void>}
+   */
+  markProcessed(account, mention, { status, replyId = null, draftId = null }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO processed_mentions (account, mention_id, author_username, status, reply_id, draft_id, attempts, processed_at)
+         VALUES (?, ?, ?, ?, ?, ?, 1, ?)
+         ON CONFLICT(account, mention_id) DO UPDATE SET
+           status = excluded.status,
+           reply_id = excluded.reply_id,
+           draft_id = excluded.draft_id,
+           attempts = processed_mentions.attempts + 1,
+           last_error = NULL,
+           processed_at = excluded.processed_at`,
+        [account, mention.id, mention.author_username, status, replyId, draftId, new Date().toISOString()],
+        (err) => {
+          if (err) {
+            logger.error(`Error recording mention ${mention.id}:`, err);
+            return reject(err);
+          }
+
+          resolve();
+        }
+      );
+    });
+  }
+
+  /**
+   * Record a failed attempt to reply to a mention
+   * @param {string} account - Account ID
+   * @param {Object} mention - The mention tweet
+   * @param {Error} error - The error that occurred
+   * @returns {Promise<void>}
+   */
+  markFailed(account, mention, error) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO processed_mentions (account, mention_id, author_username, status, attempts, last_error, processed_at)
+         VALUES (?, ?, ?, 'failed', 1, ?, ?)
+         ON CONFLICT(account, mention_id) DO UPDATE SET
+           status = 'failed',
+           attempts = processed_mentions.attempts + 1,
+           last_error = excluded.last_error,
+           processed_at = excluded.processed_at`,
+        [account, mention.id, mention.author_username, error.message, new Date().toISOString()],
+        (err) => {
+          if (err) {
+            logger.error(`Error recording failed mention ${mention.id}:`, err);
+            return reject(err);
+          }
+
+          resolve();
+        }
+      );
+    });
+  }
+}
+
+module.exports = new MentionModel();
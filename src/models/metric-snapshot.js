@@ -0,0 +1,132 @@
+const logger = require('../utils/logger');
+const database = require('../services/database');
+
+/**
+ * Plan of metrics snapshots to take for each post, one per horizon
+ * Statuses: 'pending' until taken, then 'captured'; 'failed' after too many errors,
+ * 'missed' when the bot was down for too long to take it at the right age.
+ */
+class MetricSnapshotModel {
+  constructor() {
+    // Tables are created by the migrations in src/migrations
+    this.db = database.db;
+  }
+
+  /**
+   * Plan snapshots for a post
+   * @param {string} tweetId - Tweet ID
+   * @param {Array<Object>} schedule - { horizon, dueAt } for each snapshot
+   * @returns {Promise<void>}
+   */
+  enroll(tweetId, schedule) {
+    return new Promise((resolve, reject) => {
+      const placeholders = schedule.map(() => '(?, ?, ?)').join(', ');
+      const params = schedule.flatMap(({ horizon, dueAt }) => [tweetId, horizon, dueAt]);
+
+      this.db.run(
+        `INSERT OR IGNORE INTO metric_snapshots (tweet_id, horizon, due_at) VALUES ${placeholders}`,
+        params,
+        (err) => {
+          if (err) {
+            logger.error(`Error planning metrics snapshots for tweet ${tweetId}:`, err);
+            return reject(err);
+          }
+
+          resolve();
+        }
+      );
+    });
+  }
+
+  /**
+   * Get an account's pending snapshots that are due, oldest first
+   * @param {string} now - ISO timestamp
+   * @param {string} account - Account ID
+   * @param {number} limit - Maximum number of snapshots
+   * @returns {Promise<Array>}
+   */
+  getDue(now, account, limit = 50) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT s.* FROM metric_snapshots s
+         JOIN tweets t ON t.id = s.tweet_id
+         WHERE s.status = 'pending' AND s.due_at <= ? AND t.account = ?
+         ORDER BY s.due_at ASC
+         LIMIT ?`,
+        [now, account, limit],
+        (err, rows) => {
+          if (err) {
+            logger.error('Error fetching due metrics snapshots:', err);
+            return reject(err);
+          }
+
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Record that a snapshot was taken
+   * @param {string} tweetId - Tweet ID
+   * @param {string} horizon - Horizon label
+   * @param {number} metricsId - ID of the metrics row
+   * @returns {Promise<void>}
+   */
+  markCaptured(tweetId, horizon, metricsId) {
+    return this.update(tweetId, horizon,
+      "status = 'captured', metrics_id = ?, captured_at = ?, last_error = NULL",
+      [metricsId, new Date().toISOString()]);
+  }
+
+  /**
+   * Record a failed attempt, giving up after maxAttempts
+   * @param {string} tweetId - Tweet ID
+   * @param {string} horizon - Horizon label
+   * @param {Error} error - What went wrong
+   * @param {number} maxAttempts - Attempts before the snapshot is marked failed
+   * @returns {Promise<void>}
+   */
+  markAttemptFailed(tweetId, horizon, error, maxAttempts) {
+    return this.update(tweetId, horizon,
+      "attempts = attempts + 1, last_error = ?, status = CASE WHEN attempts + 1 >= ? THEN 'failed' ELSE 'pending' END",
+      [error.message, maxAttempts]);
+  }
+
+  /**
+   * Record that a snapshot can no longer be taken at its horizon
+   * @param {string} tweetId - Tweet ID
+   * @param {string} horizon - Horizon label
+   * @returns {Promise<void>}
+   */
+  markMissed(tweetId, horizon) {
+    return this.update(tweetId, horizon, "status = 'missed'", []);
+  }
+
+  /**
+   * Update one snapshot
+   * @param {string} tweetId - Tweet ID
+   * @param {string} horizon - Horizon label
+   * @param {string} assignments - SET clause
+   * @param {Array} params - Parameters for the SET clause
+   * @returns {Promise<void>}
+   */
+  update(tweetId, horizon, assignments, params) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE metric_snapshots SET ${assignments} WHERE tweet_id = ? AND horizon = ?`,
+        [...params, tweetId, horizon],
+        (err) => {
+          if (err) {
+            logger.error(`Error updating ${horizon} metrics snapshot for tweet ${tweetId}:`, err);
+            return reject(err);
+          }
+
+          resolve();
+        }
+      );
+    });
+  }
+}
+
+module.exports = new MetricSnapshotModel();
@@ -0,0 +1,61 @@
+const logger = require('../utils/logger');
+const database = require('../services/database');
+
+/**
+ * Log of content policy decisions that changed or stopped a post
+ */
+class PolicyDecisionModel {
+  constructor() {
+    // Tables are created by the migrations in src/migrations
+    this.db = database.db;
+  }
+
+  /**
+   * Record a policy decision
+   * @param {Object} decision - Decision data
+   * @param {string} decision.account - ID of the account the post was for
+   * @param {string} decision.kind - 'tweet', 'reply', 'thread' or 'manual'
+   * @param {string} decision.decision - 'rewrite', 'regenerate' or 'block'
+   * @param {Array<Object>} decision.violations - Rules that were broken
+   * @param {string} decision.originalText - Text as submitted
+   * @param {string} decision.finalText - Text after rewrites (rewrite decisions only)
+   * @returns {Promise<number>} The decision ID
+   */
+  saveDecision({ account = 'default', kind, decision, violations, originalText, finalText = null }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO policy_decisions (account, kind, decision, violations, original_text, final_text, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [account, kind, decision, JSON.stringify(violations), originalText, finalText, new Date().toISOString()],
+        function(err) {
+          if (err) {
+            logger.error('Error saving policy decision:', err);
+            return reject(err);
+          }
+
+          resolve(this.lastID);
+        }
+      );
+    });
+  }
+
+  /**
+   * List recent decisions, newest first
+   * @param {number} limit - Maximum number of decisions to return
+   * @returns {Promise<Array>} Decisions
+   */
+  listDecisions(limit = 50) {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM policy_decisions ORDER BY id DESC LIMIT ?', [limit], (err, rows) => {
+        if (err) {
+          logger.error('Error listing policy decisions:', err);
+          return reject(err);
+        }
+
+        resolve(rows.map(row => ({ ...row, violations: JSON.parse(row.violations) })));
+      });
+    });
+  }
+}
+
+module.exports = new PolicyDecisionModel();
@@ -0,0 +1,57 @@
+const logger = require('../utils/logger');
+const database = require('../services/database');
+
+/**
+ * Every version of a prompt template that generated a post, keyed by its content hash
+ */
+class PromptTemplateModel {
+  constructor() {
+    // Tables are created by the migrations in src/migrations
+    this.db = database.db;
+  }
+
+  /**
+   * Store a template version, if it isn't stored yet
+   * @param {Object} template - Template version
+   * @param {string} template.version - Content hash
+   * @param {string} template.name - Prompt name
+   * @param {Object} template.source - Template and partial files the version was built from
+   * @returns {Promise<void>}
+   */
+  save({ version, name, source }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'INSERT OR IGNORE INTO prompt_templates (version, name, source, created_at) VALUES (?, ?, ?, ?)',
+        [version, name, JSON.stringify(source), new Date().toISOString()],
+        (err) => {
+          if (err) {
+            logger.error(`Error saving ${name} template version ${version}:`, err);
+            return reject(err);
+          }
+
+          resolve();
+        }
+      );
+    });
+  }
+
+  /**
+   * Get a template version
+   * @param {string} version - Content hash
+   * @returns {Promise<Object|null>} - { version, name, source, created_at }, or null if not found
+   */
+  get(version) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM prompt_templates WHERE version = ?', [version], (err, row) => {
+        if (err) {
+          logger.error(`Error fetching template version ${version}:`, err);
+          return reject(err);
+        }
+
+        resolve(row ? { ...row, source: JSON.parse(row.source) } : null);
+      });
+    });
+  }
+}
+
+module.exports = new PromptTemplateModel();
@@ -0,0 +1,207 @@
+const logger = require('../utils/logger');
+const database = require('../services/database');
+
+/**
+ * Storage for the local sandbox X backend
+ */
+class SandboxModel {
+  constructor() {
+    // Tables are created by the migrations in src/migrations
+    this.db = database.db;
+  }
+
+  /**
+   * Insert a sandbox tweet
+   * @param {Object} tweet - Tweet row to insert
+   * @returns {Promise<Object>} The inserted tweet
+   */
+  insertTweet(tweet) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO sandbox_tweets
+         (id, text, author_id, author_username, author_name, in_reply_to_tweet_id, conversation_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          tweet.id,
+          tweet.text,
+          tweet.author_id,
+          tweet.author_username,
+          tweet.author_name,
+          tweet.in_reply_to_tweet_id || null,
+          tweet.conversation_id,
+          tweet.created_at
+        ],
+        (err) => {
+          if (err) {
+            logger.error(`Error saving sandbox tweet ${tweet.id}:`, err);
+            return reject(err);
+          }
+
+          this.getTweet(tweet.id).then(resolve, reject);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get a sandbox tweet by ID
+   * @param {string} id - Tweet ID
+   * @returns {Promise<Object|null>} The tweet, or null if not found
+   */
+  getTweet(id) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM sandbox_tweets WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          logger.error(`Error fetching sandbox tweet ${id}:`, err);
+          return reject(err);
+        }
+
+        resolve(row || null);
+      });
+    });
+  }
+
+  /**
+   * Find sandbox tweets, newest first
+   * @param {Object} filters - Query filters
+   * @param {string} filters.mentioning - Only tweets containing @username, not written by that user
+   * @param {string} filters.conversationId - Only tweets in this conversation
+   * @param {string} filters.authorId - Only tweets by this author
+   * @param {string} filters.excludeAuthorId - Exclude tweets by this author
+   * @param {string} filters.sinceId - Only tweets newer than this ID
+   * @param {string} filters.untilId - Only tweets older than this ID
+   * @param {string} filters.startTime - Only tweets created after this ISO timestamp
+   * @param {number} filters.limit - Maximum number of tweets to return
+   * @returns {Promise<Array>} Matching tweets
+   */
+  findTweets({ mentioning, conversationId, authorId, excludeAuthorId, sinceId, untilId, startTime, limit = 100 } = {}) {
+    return new Promise((resolve, reject) => {
+      const conditions = [];
+      const params = [];
+
+      if (mentioning) {
+        conditions.push('text LIKE ? AND author_username != ?');
+        params.push(`%@${mentioning}%`, mentioning);
+      }
+      if (conversationId) {
+        conditions.push('conversation_id = ?');
+        params.push(conversationId);
+      }
+      if (authorId) {
+        conditions.push('author_id = ?');
+        params.push(authorId);
+      }
+      if (excludeAuthorId) {
+        conditions.push('author_id != ?');
+        params.push(excludeAuthorId);
+      }
+      if (sinceId) {
+        conditions.push('CAST(id AS INTEGER) > CAST(? AS INTEGER)');
+        params.push(sinceId);
+      }
+      if (untilId) {
+        conditions.push('CAST(id AS INTEGER) < CAST(? AS INTEGER)');
+        params.push(untilId);
+      }
+      if (startTime) {
+        conditions.push('created_at >= ?');
+        params.push(startTime);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      params.push(limit);
+
+      this.db.all(
+        `SELECT * FROM sandbox_tweets ${where} ORDER BY CAST(id AS INTEGER) DESC LIMIT ?`,
+        params,
+        (err, rows) => {
+          if (err) {
+            logger.error('Error querying sandbox tweets:', err);
+            return reject(err);
+          }
+
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get the distinct authors of sandbox tweets
+   * @param {string} excludeAuthorId - Author to leave out (usually the bot itself)
+   * @returns {Promise<Array>} Authors with id, username and name
+   */
+  getAuthors(excludeAuthorId) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT author_id AS id, author_username AS username, MAX(author_name) AS name
+         FROM sandbox_tweets
+         WHERE author_id != ?
+         GROUP BY author_id, author_username`,
+        [excludeAuthorId],
+        (err, rows) => {
+          if (err) {
+            logger.error('Error fetching sandbox authors:', err);
+            return reject(err);
+          }
+
+          resolve(rows);
+        }
+      );
+    });
+  }
+
+  /**
+   * Set engagement counts on a sandbox tweet
+   * @param {string} id - Tweet ID
+   * @param {Object} metrics - Any of like_count, retweet_count, reply_count, quote_count, impression_count
+   * @returns {Promise<Object|null>} The updated tweet
+   */
+  updateMetrics(id, metrics) {
+    return new Promise((resolve, reject) => {
+      const allowed = ['like_count', 'retweet_count', 'reply_count', 'quote_count', 'impression_count'];
+      const columns = Object.keys(metrics).filter(key => allowed.includes(key));
+
+      if (columns.length === 0) {
+        return this.getTweet(id).then(resolve, reject);
+      }
+
+      this.db.run(
+        `UPDATE sandbox_tweets SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => parseInt(metrics[column], 10) || 0), id],
+        (err) => {
+          if (err) {
+            logger.error(`Error updating sandbox metrics for ${id}:`, err);
+            return reject(err);
+          }
+
+          this.getTweet(id).then(resolve, reject);
+        }
+      );
+    });
+  }
+
+  /**
+   * Increment the reply count of a sandbox tweet
+   * @param {string} id - Tweet ID
+   * @returns {Promise<void>}
+   */
+  incrementReplyCount(id) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE sandbox_tweets SET reply_count = reply_count + 1 WHERE id = ?',
+        [id],
+        (err) => {
+          if (err) {
+            logger.error(`Error updating sandbox reply count for ${id}:`, err);
+            return reject(err);
+          }
+
+          resolve();
+        }
+      );
+    });
+  }
+}
+
+module.exports = new SandboxModel();
@@ -0,0 +1,56 @@
+const logger = require('../utils/logger');
+const database = require('../services/database');
+
+/**
+ * Key/value store for bot state that must survive restarts
+ */
+class StateModel {
+  constructor() {
+    // Tables are created by the migrations in src/migrations
+    this.db = database.db;
+  }
+
+  /**
+   * Get a stored value
+   * @param {string} key - State key
+   * @returns {Promise<string|null>} The stored value, or null if unset
+   */
+  get(key) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT value FROM bot_state WHERE key = ?', [key], (err, row) => {
+        if (err) {
+          logger.error(`Error reading state ${key}:`, err);
+          return reject(err);
+        }
+
+        resolve(row ? row.value : null);
+      });
+    });
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - State key
+   * @param {string} value - Value to store
+   * @returns {Promise<void>}
+   */
+  set(key, value) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO bot_state (key, value, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+        [key, value, new Date().toISOString()],
+        (err) => {
+          if (err) {
+            logger.error(`Error writing state ${key}:`, err);
+            return reject(err);
+          }
+
+          resolve();
+        }
+      );
+    });
+  }
+}
+
+module.exports = new StateModel();
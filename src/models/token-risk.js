@@ -0,0 +1,79 @@
+const logger = require('../utils/logger');
+const database = require('../services/database');
+
+/**
+ * Latest rug-risk assessment of each registered token
+ */
+class TokenRiskModel {
+  constructor() {
+    // Tables are created by the migrations in src/migrations
+    this.db = database.db;
+  }
+
+  /**
+   * Get the latest assessment of a token
+   * @param {number} tokenId - Token ID
+   * @returns {Promise<Object|null>} - { tokenId, score, reasons, checks, assessedAt }
+   */
+  get(tokenId) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM token_risk WHERE token_id = ?', [tokenId], (err, row) => {
+        if (err) {
+          logger.error(`Error reading risk for token ${tokenId}:`, err);
+          return reject(err);
+        }
+
+        resolve(row ? this.parseRow(row) : null);
+      });
+    });
+  }
+
+  /**
+   * Save an assessment, replacing the previous one
+   * @param {number} tokenId - Token ID
+   * @param {Object} assessment - { score, reasons, checks, assessedAt }
+   * @returns {Promise<void>}
+   */
+  save(tokenId, { score, reasons, checks, assessedAt }) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT OR REPLACE INTO token_risk (token_id, score, reasons, checks, assessed_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [tokenId, score, JSON.stringify(reasons), JSON.stringify(checks), assessedAt],
+        (err) => {
+          if (err) {
+            logger.error(`Error saving risk for token ${tokenId}:`, err);
+            return reject(err);
+          }
+
+          resolve();
+        }
+      );
+    });
+  }
+
+  /**
+   * Parse JSON columns on a risk row
+   * @param {Object} row - Raw database row
+   * @returns {Object} - { tokenId, score, reasons, checks, assessedAt }
+   */
+  parseRow(row) {
+    const parse = (value, fallback) => {
+      try {
+        return value ? JSON.parse(value) : fallback;
+      } catch (e) {
+        return fallback;
+      }
+    };
+
+    return {
+      tokenId: row.token_id,
+      score: row.score,
+      reasons: parse(row.reasons, []),
+      checks: parse(row.checks, {}),
+      assessedAt: row.assessed_at
+    };
+  }
+}
+
+module.exports = new TokenRiskModel();
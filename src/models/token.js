@@ -0,0 +1,243 @@
+const logger = require('../utils/logger');
+const database = require('../services/database');
+
+// Market fields of a normalized token kept as the latest snapshot
+const MARKET_FIELDS = [
+  'priceUsd', 'priceChange24h', 'liquidityUsd', 'volume24h', 'fdv', 'marketCap',
+  'pairAddress', 'dex', 'pairCreatedAt', 'rank'
+];
+
+/**
+ * Registry of every token the bot has seen, identified by chain and contract address
+ * Tokens without a known address are kept under their symbol until one is found.
+ */
+class TokenModel {
+  constructor() {
+    // Tables are created by the migrations in src/migrations
+    this.db = database.db;
+  }
+
+  /**
+   * Registry key for a token: chain and address, or the symbol when the address is unknown
+   * @param {Object} token - Token with symbol and optional chain/address
+   * @returns {string}
+   */
+  tokenKey({ symbol, chain, address }) {
+    return address ? `${chain}:${address}` : `symbol:${symbol.toUpperCase()}`;
+  }
+
+  /**
+   * Insert a token or refresh its name, source and market snapshot
+   * First-seen and creation times are never overwritten here.
+   * @param {Object} token - Normalized token from market data (only symbol is required)
+   * @returns {Promise<Object>} The stored token
+   */
+  upsertToken(token) {
+    return new Promise((resolve, reject) => {
+      const now = new Date().toISOString();
+      const key = this.tokenKey(token);
+      const market = {};
+      MARKET_FIELDS.forEach(field => {
+        if (token[field] !== undefined && token[field] !== null) {
+          market[field] = token[field];
+        }
+      });
+      const marketStr = Object.keys(market).length > 0 ? JSON.stringify(market) : null;
+
+      this.db.run(
+        `INSERT INTO tokens (token_key, symbol, name, chain, address, first_seen_at, source, market, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(token_key) DO UPDATE SET
+           name = COALESCE(excluded.name, name),
+           source = COALESCE(excluded.source, source),
+           market = COALESCE(excluded.market, market),
+           updated_at = excluded.updated_at`,
+        [key, token.symbol.toUpperCase(), token.name || null, token.chain || null, token.address || null, now, token.source || null, marketStr, now],
+        (err) => {
+          if (err) {
+            logger.error(`Error saving token ${token.symbol}:`, err);
+            return reject(err);
+          }
+
+          this.getTokenByKey(key).then(resolve, reject);
+        }
+      );
+    });
+  }
+
+  /**
+   * Get a token by registry key
+   * @param {string} key - Registry key
+   * @returns {Promise<Object|null>}
+   */
+  getTokenByKey(key) {
+    return this.getOne('SELECT * FROM tokens WHERE token_key = ?', [key]);
+  }
+
+  /**
+   * Get a token by ID
+   * @param {number} id - Token ID
+   * @returns {Promise<Object|null>}
+   */
+  getToken(id) {
+    return this.getOne('SELECT * FROM tokens WHERE id = ?', [id]);
+  }
+
+  /**
+   * Get several tokens by ID
+   * @param {Array<number>} ids - Token IDs
+   * @returns {Promise<Array>}
+   */
+  getTokens(ids) {
+    if (!ids || ids.length === 0) {
+      return Promise.resolve([]);
+    }
+    return this.getAll(`SELECT * FROM tokens WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+  }
+
+  /**
+   * Get every token sharing a ticker
+   * @param {string} symbol - Token symbol (case-insensitive)
+   * @returns {Promise<Array>}
+   */
+  findBySymbol(symbol) {
+    return this.getAll('SELECT * FROM tokens WHERE symbol = ? ORDER BY id', [symbol.toUpperCase()]);
+  }
+
+  /**
+   * Record when a token was created
+   * @param {number} id - Token ID
+   * @param {string} createdAt - Creation time (ISO string)
+   * @param {string} source - 'mint', 'mint_partial', 'pair' or 'first_seen'
+   * @param {string} checkedAt - When the creation time was looked up (ISO string)
+   * @returns {Promise<void>}
+   */
+  setCreationTime(id, createdAt, source, checkedAt = new Date().toISOString()) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        'UPDATE tokens SET created_at = ?, created_at_source = ?, created_at_checked_at = ? WHERE id = ?',
+        [createdAt, source, checkedAt, id],
+        (err) => {
+          if (err) {
+            logger.error(`Error saving creation time for token ${id}:`, err);
+            return reject(err);
+          }
+
+          resolve();
+        }
+      );
+    });
+  }
+
+  /**
+   * Link a tweet to the tokens it talked about
+   * @param {string} tweetId - Tweet ID
+   * @param {Array<number>} tokenIds - Token IDs
+   * @returns {Promise<void>}
+   */
+  linkTweet(tweetId, tokenIds) {
+    return new Promise((resolve, reject) => {
+      if (tokenIds.length === 0) {
+        return resolve();
+      }
+
+      const placeholders = tokenIds.map(() => '(?, ?)').join(', ');
+      const params = tokenIds.flatMap(tokenId => [tweetId, tokenId]);
+
+      this.db.run(`INSERT OR IGNORE INTO tweet_tokens (tweet_id, token_id) VALUES ${placeholders}`, params, (err) => {
+        if (err) {
+          logger.error(`Error linking tokens to tweet ${tweetId}:`, err);
+          return reject(err);
+        }
+
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Get the tokens a tweet talked about
+   * @param {string} tweetId - Tweet ID
+   * @returns {Promise<Array>}
+   */
+  getTweetTokens(tweetId) {
+    return this.getAll(
+      `SELECT t.* FROM tokens t
+       JOIN tweet_tokens tt ON tt.token_id = t.id
+       WHERE tt.tweet_id = ?
+       ORDER BY t.symbol`,
+      [tweetId]
+    );
+  }
+
+  /**
+   * Run a query for a single token
+   * @param {string} sql - Query
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Object|null>}
+   */
+  getOne(sql, params) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) {
+          logger.error('Error reading tokens:', err);
+          return reject(err);
+        }
+
+        resolve(row ? this.parseRow(row) : null);
+      });
+    });
+  }
+
+  /**
+   * Run a query for a list of tokens
+   * @param {string} sql - Query
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Array>}
+   */
+  getAll(sql, params) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          logger.error('Error reading tokens:', err);
+          return reject(err);
+        }
+
+        resolve(rows.map(row => this.parseRow(row)));
+      });
+    });
+  }
+
+  /**
+   * Convert a row into the normalized token shape used by market data, plus registry fields
+   * @param {Object} row - Raw database row
+   * @returns {Object} Token
+   */
+  parseRow(row) {
+    let market = {};
+    if (row.market) {
+      try {
+        market = JSON.parse(row.market);
+      } catch (e) {
+        // Ignore a corrupt snapshot
+      }
+    }
+
+    return {
+      ...market,
+      id: row.id,
+      symbol: row.symbol,
+      name: row.name || row.symbol,
+      chain: row.chain,
+      address: row.address,
+      source: row.source,
+      firstSeenAt: row.first_seen_at,
+      createdAt: row.created_at,
+      createdAtSource: row.created_at_source,
+      createdAtCheckedAt: row.created_at_checked_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = new TokenModel();
@@ -0,0 +1,77 @@
+const express = require('express');
+const accounts = require('../services/accounts');
+const scheduler = require('../services/scheduler');
+const botController = require('../controllers/bot');
+const { requireRole } = require('../middleware/auth');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Every route below acts on the account named in the path
+router.param('account', (req, res, next, id) => {
+  try {
+    req.account = accounts.get(id);
+    next();
+  } catch (error) {
+    sendError(res, error, `finding account ${id}`);
+  }
+});
+
+router.get('/', (req, res) => {
+  const list = accounts.list().map(account => ({
+    id: account.id,
+    personas: account.personas,
+    schedule: account.schedule,
+    watchlist: account.watchlist,
+    isRunning: scheduler.isRunning(account)
+  }));
+  res.status(200).json({ success: true, accounts: list });
+});
+
+router.post('/:account/bot/start', async (req, res) => {
+  try {
+    const success = await botController.startBot(req.account);
+    res.status(200).json({ success });
+  } catch (error) {
+    sendError(res, error, `starting bot for ${req.account.id}`);
+  }
+});
+
+router.post('/:account/bot/stop', async (req, res) => {
+  try {
+    const success = await botController.stopBot(req.account);
+    res.status(200).json({ success });
+  } catch (error) {
+    sendError(res, error, `stopping bot for ${req.account.id}`);
+  }
+});
+
+router.post('/:account/bot/tweet', async (req, res) => {
+  try {
+    const tweet = await botController.generateAndPostTweet(req.account);
+    res.status(200).json({ success: true, tweet });
+  } catch (error) {
+    sendError(res, error, `posting tweet for ${req.account.id}`);
+  }
+});
+
+// Generating a summary calls the LLM, so it is an operator action even though nothing is posted
+router.get('/:account/trends', requireRole('operator'), async (req, res) => {
+  try {
+    const summary = await botController.generateTrendSummary(req.account);
+    res.status(200).json({ success: true, summary });
+  } catch (error) {
+    sendError(res, error, `generating trend summary for ${req.account.id}`);
+  }
+});
+
+router.get('/:account/dashboard', async (req, res) => {
+  try {
+    const data = await botController.getDashboardData(req.account);
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    sendError(res, error, `getting dashboard data for ${req.account.id}`);
+  }
+});
+
+module.exports = router;
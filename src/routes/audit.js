@@ -0,0 +1,21 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const auditLog = require('../models/audit-log');
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const entries = await auditLog.listEntries({
+      key: req.query.key || null,
+      account: req.query.account || null,
+      limit: Math.min(parseInt(req.query.limit || '50', 10) || 50, 500)
+    });
+    res.status(200).json({ success: true, entries });
+  } catch (error) {
+    logger.error('Error listing audit log:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
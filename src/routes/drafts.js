@@ -0,0 +1,62 @@
+const express = require('express');
+const draftService = require('../services/drafts');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '50', 10);
+    const drafts = await draftService.listDrafts({ status: req.query.status, account: req.query.account, limit });
+    res.status(200).json({ success: true, drafts });
+  } catch (error) {
+    sendError(res, error, 'listing drafts');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const draft = await draftService.getDraft(req.params.id);
+    res.status(200).json({ success: true, draft });
+  } catch (error) {
+    sendError(res, error, `getting draft ${req.params.id}`);
+  }
+});
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const draft = await draftService.editDraft(req.params.id, req.body.content);
+    res.status(200).json({ success: true, draft });
+  } catch (error) {
+    sendError(res, error, `editing draft ${req.params.id}`);
+  }
+});
+
+router.post('/:id/approve', async (req, res) => {
+  try {
+    const draft = await draftService.approveDraft(req.params.id);
+    res.status(200).json({ success: true, draft });
+  } catch (error) {
+    sendError(res, error, `approving draft ${req.params.id}`);
+  }
+});
+
+router.post('/:id/reject', async (req, res) => {
+  try {
+    const draft = await draftService.rejectDraft(req.params.id, req.body.reason);
+    res.status(200).json({ success: true, draft });
+  } catch (error) {
+    sendError(res, error, `rejecting draft ${req.params.id}`);
+  }
+});
+
+router.post('/:id/regenerate', async (req, res) => {
+  try {
+    const draft = await draftService.regenerateDraft(req.params.id);
+    res.status(200).json({ success: true, draft });
+  } catch (error) {
+    sendError(res, error, `regenerating draft ${req.params.id}`);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const promptExperiments = require('../services/prompt-experiments');
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const report = await promptExperiments.getReport();
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    logger.error('Error getting prompt experiment report:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
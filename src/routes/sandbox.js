@@ -0,0 +1,73 @@
+const express = require('express');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const accounts = require('../services/accounts');
+
+const router = express.Router();
+
+// Admin routes for the local sandbox X backend, only available in sandbox mode
+router.use((req, res, next) => {
+  if (!config.twitter.sandbox) {
+    return res.status(404).json({ success: false, error: 'Sandbox mode is not enabled' });
+  }
+  next();
+});
+
+/**
+ * Sandbox client of the account named in the body or query, or of the first account
+ * Every client shares one timeline; the account decides who is mentioned and who posts.
+ */
+function sandbox(req) {
+  const id = (req.body && req.body.account) || req.query.account;
+  return (id ? accounts.get(id) : accounts.list()[0]).twitter.client;
+}
+
+router.get('/tweets', async (req, res) => {
+  try {
+    const tweets = await sandbox(req).listTweets({
+      conversationId: req.query.conversation_id,
+      limit: parseInt(req.query.limit || '50', 10)
+    });
+    res.status(200).json({ success: true, tweets });
+  } catch (error) {
+    logger.error(`Error listing sandbox tweets: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/tweets', async (req, res) => {
+  try {
+    const tweet = await sandbox(req).injectTweet(req.body);
+    res.status(201).json({ success: true, tweet });
+  } catch (error) {
+    logger.error(`Error injecting sandbox tweet: ${error.message}`);
+    res.status(error.statusCode || 400).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/mentions', async (req, res) => {
+  try {
+    const mention = await sandbox(req).injectMention(req.body);
+    res.status(201).json({ success: true, mention });
+  } catch (error) {
+    logger.error(`Error injecting sandbox mention: ${error.message}`);
+    res.status(error.statusCode || 400).json({ success: false, error: error.message });
+  }
+});
+
+router.put('/tweets/:id/metrics', async (req, res) => {
+  try {
+    const tweet = await sandbox(req).setMetrics(req.params.id, req.body);
+
+    if (!tweet) {
+      return res.status(404).json({ success: false, error: `Sandbox tweet ${req.params.id} not found` });
+    }
+
+    res.status(200).json({ success: true, tweet });
+  } catch (error) {
+    logger.error(`Error updating sandbox metrics: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
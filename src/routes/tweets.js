@@ -0,0 +1,25 @@
+const express = require('express');
+const tweetService = require('../services/tweets');
+const { sendError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  try {
+    const { tweets, pagination } = await tweetService.listTweets(req.query);
+    res.status(200).json({ success: true, tweets, pagination });
+  } catch (error) {
+    sendError(res, error, 'listing tweets');
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const tweet = await tweetService.getTweet(req.params.id);
+    res.status(200).json({ success: true, tweet });
+  } catch (error) {
+    sendError(res, error, `getting tweet ${req.params.id}`);
+  }
+});
+
+module.exports = router;
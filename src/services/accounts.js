@@ -0,0 +1,165 @@
+const fs = require('fs');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const personas = require('./personas');
+const TwitterService = require('./twitter');
+const { httpError } = require('../utils/errors');
+
+// Account used when no accounts file is configured; its rows and state predate accounts
+const DEFAULT_ACCOUNT = 'default';
+
+/**
+ * Check that a field is a list of non-empty strings
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+/**
+ * Service that holds the bot accounts this process runs
+ * Accounts are listed in the JSON file at ACCOUNTS_PATH. Each has its own X credentials (read
+ * from TWITTER_<ID>_* variables), personas, posting schedule and token watchlist, and everything
+ * it posts is tagged with its ID. Without the file there is a single 'default' account set up
+ * from the TWITTER_* variables, as before accounts existed.
+ */
+class AccountService {
+  constructor() {
+    this.accounts = new Map(); // id -> account
+
+    const definitions = config.accounts.path
+      ? JSON.parse(fs.readFileSync(config.accounts.path, 'utf8'))
+      : [{ id: DEFAULT_ACCOUNT }];
+
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+      throw new Error(`Accounts file ${config.accounts.path} must list at least one account`);
+    }
+
+    definitions.forEach(definition => {
+      const account = this.build(definition);
+      if (this.accounts.has(account.id)) {
+        throw new Error(`Duplicate account "${account.id}"`);
+      }
+      this.accounts.set(account.id, account);
+    });
+
+    logger.info(`Loaded ${this.accounts.size} bot accounts: ${[...this.accounts.keys()].join(', ')}`);
+  }
+
+  /**
+   * Check an account definition and set up its X client
+   * @param {Object} definition - Entry of the accounts file
+   * @returns {Object} - { id, personas, schedule, watchlist, twitter }
+   */
+  build(definition) {
+    const fail = (message) => {
+      throw new Error(`Account ${definition && definition.id ? `"${definition.id}"` : 'definition'}: ${message}`);
+    };
+
+    if (!definition || typeof definition.id !== 'string' || !/^[a-z0-9_-]+$/i.test(definition.id)) {
+      fail('needs an id of letters, digits, _ and -');
+    }
+
+    const { id, schedule = {}, watchlist = {} } = definition;
+    const jobPersonas = { ...config.personas.jobs, ...(definition.personas || {}) };
+
+    Object.entries(jobPersonas).forEach(([job, persona]) => {
+      if (!(job in config.personas.jobs)) {
+        fail(`unknown persona job "${job}"`);
+      }
+      // Fail at startup rather than on the first post
+      personas.get(persona);
+    });
+
+    // Checked before the symbols are normalized, so a bad entry gets this error rather than a TypeError
+    ['symbols', 'addresses'].forEach(field => {
+      if (watchlist[field] !== undefined && !isStringList(watchlist[field])) {
+        fail(`watchlist.${field} must be a list of strings`);
+      }
+    });
+
+    const account = {
+      id,
+      personas: jobPersonas,
+      schedule: {
+        dailyBudget: schedule.postsPerDay !== undefined ? schedule.postsPerDay : config.postingSchedule.dailyBudget,
+        minSpacingMinutes: schedule.minSpacingMinutes !== undefined ? schedule.minSpacingMinutes : config.postingSchedule.minSpacingMinutes,
+        trendThreadCron: schedule.trendThreadCron || config.scheduler.trendThreadCron
+      },
+      // Empty lists mean every token
+      watchlist: {
+        symbols: (watchlist.symbols || []).map(symbol => symbol.toUpperCase()),
+        addresses: watchlist.addresses || []
+      }
+    };
+
+    if (!Number.isInteger(account.schedule.dailyBudget) || account.schedule.dailyBudget < 0) {
+      fail('schedule.postsPerDay must be a whole number of 0 or more');
+    }
+    if (!Number.isInteger(account.schedule.minSpacingMinutes) || account.schedule.minSpacingMinutes < 0) {
+      fail('schedule.minSpacingMinutes must be a whole number of 0 or more');
+    }
+
+    const credentials = config.accounts.credentials(id);
+    if (!config.twitter.sandbox && Object.values(credentials).some(value => !value)) {
+      const prefix = id === DEFAULT_ACCOUNT ? 'TWITTER' : `TWITTER_${id.toUpperCase().replace(/-/g, '_')}`;
+      fail(`missing X API credentials (${prefix}_API_KEY, _API_SECRET, _ACCESS_TOKEN and _ACCESS_SECRET)`);
+    }
+
+    const sandboxUsername = definition.sandboxUsername
+      || (id === DEFAULT_ACCOUNT ? config.twitter.sandboxUsername : `${id}_sandbox`);
+
+    account.twitter = new TwitterService({
+      account: id,
+      credentials,
+      sandboxUser: {
+        id: id === DEFAULT_ACCOUNT ? 'sandbox-bot' : `sandbox-bot-${id}`,
+        username: sandboxUsername,
+        name: `${personas.get(account.personas.tweet).name} (sandbox)`
+      }
+    });
+
+    return account;
+  }
+
+  /**
+   * List the accounts, in the order of the accounts file
+   * @returns {Array<Object>}
+   */
+  list() {
+    return [...this.accounts.values()];
+  }
+
+  /**
+   * Get an account, failing if there is none with that ID
+   * @param {string} id - Account ID
+   * @returns {Object}
+   */
+  get(id) {
+    const account = this.accounts.get(id);
+
+    if (!account) {
+      throw httpError(404, `Account ${id} not found`);
+    }
+
+    return account;
+  }
+
+  /**
+   * Whether an account covers a token
+   * @param {Object} account - Bot account
+   * @param {Object} token - Token with symbol and, optionally, address
+   * @returns {boolean} - true for every token when the account has no watchlist
+   */
+  watches(account, token) {
+    const { symbols, addresses } = account.watchlist;
+
+    if (symbols.length === 0 && addresses.length === 0) {
+      return true;
+    }
+
+    return symbols.includes(String(token.symbol || '').toUpperCase())
+      || (Boolean(token.address) && addresses.includes(token.address));
+  }
+}
+
+module.exports = new AccountService();
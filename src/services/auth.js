@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const apiKeyModel = require('../models/api-key');
+const { httpError } = require('../utils/errors');
+
+// Roles in increasing order of access; each role can do everything the ones before it can
+const ROLES = ['viewer', 'operator'];
+
+// Every key starts with this, so leaked keys are easy to spot
+const KEY_PREFIX = 'xbot_';
+
+/**
+ * Service for the admin API keys
+ * Keys are random, so a plain SHA-256 hash is enough to store them; the key itself is never stored.
+ */
+class AuthService {
+  constructor() {
+    this.roles = ROLES;
+  }
+
+  /**
+   * Hash a key for storage and lookup
+   * @param {string} key - API key
+   * @returns {string} - Hex SHA-256 hash
+   */
+  hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Create a key
+   * @param {string} name - Unique name of the key's holder
+   * @param {string} role - 'viewer' or 'operator'
+   * @returns {Promise<Object>} - The stored key, with the key itself under `key`; it cannot be shown again
+   */
+  async createKey(name, role) {
+    if (!name || !/^[\w.@-]+$/.test(name)) {
+      throw httpError(400, 'Key names may only contain letters, digits and _ . @ -');
+    }
+    if (!ROLES.includes(role)) {
+      throw httpError(400, `Unknown role "${role}" (expected ${ROLES.join(' or ')})`);
+    }
+    if (await apiKeyModel.getKey(name)) {
+      throw httpError(409, `A key named ${name} already exists`);
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const stored = await apiKeyModel.createKey({
+      name,
+      role,
+      keyHash: this.hash(key),
+      keyPrefix: key.slice(0, KEY_PREFIX.length + 6)
+    });
+
+    logger.info(`Created ${role} API key ${name}`);
+    return { ...stored, key };
+  }
+
+  /**
+   * Find the active key a request presented
+   * @param {string} key - API key
+   * @returns {Promise<Object|null>} - The key's ID, name and role, or null when it is unknown or revoked
+   */
+  async authenticate(key) {
+    if (!key) {
+      return null;
+    }
+
+    const found = await apiKeyModel.findActiveByHash(this.hash(key));
+    if (found) {
+      apiKeyModel.touch(found.id).catch(() => {});
+    }
+    return found;
+  }
+
+  /**
+   * Whether a role grants at least the access of another
+   * @param {string} role - Role held
+   * @param {string} required - Role needed
+   * @returns {boolean}
+   */
+  allows(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  /**
+   * List every key, revoked ones included
+   * @returns {Promise<Array>} - Keys without their hashes
+   */
+  listKeys() {
+    return apiKeyModel.listKeys();
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} name - Key name
+   * @returns {Promise<void>}
+   */
+  async revokeKey(name) {
+    if (!(await apiKeyModel.revokeKey(name))) {
+      throw httpError(404, `No active key named ${name}`);
+    }
+
+    logger.info(`Revoked API key ${name}`);
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,367 @@
+const fs = require('fs');
+const config = require('../config/config');
+const defaultPolicy = require('../config/content-policy');
+const logger = require('../utils/logger');
+const engagementModel = require('../models/engagement');
+const policyDecisionModel = require('../models/policy-decision');
+const tokenRegistry = require('./token-registry');
+const { weightedLength, trimToLength, MAX_WEIGHTED_LENGTH } = require('../utils/tweet-length');
+const { mostSimilar } = require('../utils/similarity');
+
+const ACTIONS = ['rewrite', 'regenerate', 'block'];
+const ALL_KINDS = ['tweet', 'reply', 'thread', 'manual'];
+
+/**
+ * Create an error for a post the policy refused, with an HTTP status code for the API layer
+ * @param {string} message - Error message
+ * @param {Array<Object>} violations - Rules that were broken
+ * @returns {Error}
+ */
+function policyError(message, violations) {
+  const error = new Error(message);
+  error.statusCode = 422;
+  error.violations = violations;
+  return error;
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Service that checks every outbound post against the content policy
+ * Each broken rule either rewrites the text, asks for a regenerated version, or blocks the post.
+ */
+class ContentPolicyService {
+  constructor() {
+    this.maxRegenerations = config.contentPolicy.maxRegenerations;
+    this.policy = this.loadPolicy(config.contentPolicy.path);
+  }
+
+  /**
+   * Load the policy, overriding default sections with those in a JSON file
+   * @param {string} path - Optional path to a JSON policy file
+   * @returns {Object} - The policy
+   */
+  loadPolicy(path) {
+    if (!path) {
+      return defaultPolicy;
+    }
+
+    const overrides = JSON.parse(fs.readFileSync(path, 'utf8'));
+    logger.info(`Loaded content policy overrides from ${path}: ${Object.keys(overrides).join(', ')}`);
+    return { ...defaultPolicy, ...overrides };
+  }
+
+  /**
+   * Whether a rule covers a kind of post
+   * @param {Object} rule - Policy rule
+   * @param {string} kind - Kind of post
+   * @returns {boolean}
+   */
+  applies(rule, kind) {
+    return Boolean(rule) && (rule.appliesTo || ALL_KINDS).includes(kind);
+  }
+
+  /**
+   * Run the policy until the text passes, regenerating when allowed
+   * @param {string} text - Text to post
+   * @param {Object} options - Enforcement options
+   * @param {string} options.kind - 'tweet', 'reply', 'thread' or 'manual'
+   * @param {Object} options.context - Generation context (tokenIds drive cashtag rules)
+   * @param {Function} options.regenerate - Called with feedback text to get a new version; without it, regenerate violations block the post
+   * @param {string} options.account - ID of the account the post is for, recorded with the decisions
+   * @returns {Promise<Object>} - { text: text that passes the policy, similarity: closest recent post (see checkNovelty) }
+   */
+  async enforce(text, { kind, context = null, regenerate = null, account = 'default' }) {
+    let current = text;
+
+    for (let attempt = 0; ; attempt++) {
+      const result = await this.evaluate(current, { kind, context });
+
+      // Out of regenerations (or none possible for human-written posts), so the post is blocked
+      if (result.decision === 'regenerate' && (!regenerate || attempt >= this.maxRegenerations)) {
+        result.decision = 'block';
+      }
+      await this.recordDecision(kind, current, result, account);
+
+      if (result.decision === 'block') {
+        const retries = attempt > 0 ? ` after ${attempt} regenerations` : '';
+        throw policyError(`Post blocked by content policy${retries}: ${this.describe(result.violations)}`, result.violations);
+      }
+
+      if (result.decision !== 'regenerate') {
+        return { text: result.text, similarity: result.similarity };
+      }
+
+      const feedback = result.violations
+        .filter(violation => violation.action === 'regenerate')
+        .map(violation => violation.detail)
+        .join('; ');
+      current = await regenerate(feedback);
+    }
+  }
+
+  /**
+   * Check text against every rule that applies to its kind
+   * @param {string} text - Text to check
+   * @param {Object} options - See enforce
+   * @returns {Promise<Object>} - { decision: 'allow'|'rewrite'|'regenerate'|'block', text, violations, similarity }
+   */
+  async evaluate(text, { kind, context = null }) {
+    const violations = [];
+    let output = text;
+
+    const violate = (rule, action, detail, rewrite) => {
+      const effective = ACTIONS.includes(action) ? action : 'block';
+      violations.push({ rule, action: effective, detail });
+      if (effective === 'rewrite' && rewrite) {
+        output = rewrite(output);
+      }
+    };
+
+    this.checkBannedPhrases(output, kind, violate);
+    this.checkTokenBlocklist(output, kind, violate);
+    this.checkProfanity(output, kind, violate);
+    this.checkHashtags(output, kind, violate);
+    await this.checkCashtags(output, kind, context, violate);
+    // Disclaimers last, so they are added to the final wording
+    this.checkDisclaimers(output, kind, violate);
+
+    if (output !== text) {
+      // Tidy up the gaps left by removed phrases
+      output = output.replace(/[ \t]{2,}/g, ' ').replace(/ +([.,!?])/g, '$1').trim();
+    }
+
+    // Compared on the final wording, after any rewrites
+    const similarity = await this.checkNovelty(output, kind, violate);
+
+    let decision = 'allow';
+    if (violations.some(violation => violation.action === 'block')) {
+      decision = 'block';
+    } else if (violations.some(violation => violation.action === 'regenerate')) {
+      decision = 'regenerate';
+    } else if (violations.length > 0) {
+      decision = 'rewrite';
+    }
+
+    return { decision, text: output, violations, similarity };
+  }
+
+  /**
+   * Banned phrases: guarantees, "financial advice", price promises and anything configured
+   * @param {string} text - Text to check
+   * @param {string} kind - Kind of post
+   * @param {Function} violate - Records a violation and applies its rewrite
+   */
+  checkBannedPhrases(text, kind, violate) {
+    (this.policy.bannedPhrases || []).filter(rule => this.applies(rule, kind)).forEach(rule => {
+      const regex = new RegExp(rule.pattern, 'gi');
+      const match = text.match(regex);
+
+      if (match) {
+        violate('banned_phrase', rule.action, `${rule.reason || 'Banned phrase'}: "${match[0]}"`,
+          current => current.replace(regex, rule.replacement || ''));
+      }
+    });
+  }
+
+  /**
+   * Blocklisted tokens, by symbol (with or without $) or contract address
+   * @param {string} text - Text to check
+   * @param {string} kind - Kind of post
+   * @param {Function} violate - Records a violation and applies its rewrite
+   */
+  checkTokenBlocklist(text, kind, violate) {
+    const blocklist = this.policy.tokenBlocklist;
+    if (!this.applies(blocklist, kind)) {
+      return;
+    }
+
+    const symbols = (blocklist.symbols || []).filter(symbol => new RegExp(`(^|[^\\w$])\\$?${escapeRegex(symbol)}\\b`, 'i').test(text));
+    const addresses = (blocklist.addresses || []).filter(address => text.includes(address));
+
+    [...symbols, ...addresses].forEach(token => {
+      violate('token_blocklist', blocklist.action === 'rewrite' ? 'regenerate' : blocklist.action, `Mentions blocklisted token ${token}`);
+    });
+  }
+
+  /**
+   * Profanity, masked on rewrite
+   * @param {string} text - Text to check
+   * @param {string} kind - Kind of post
+   * @param {Function} violate - Records a violation and applies its rewrite
+   */
+  checkProfanity(text, kind, violate) {
+    const profanity = this.policy.profanity;
+    if (!this.applies(profanity, kind) || !profanity.words || profanity.words.length === 0) {
+      return;
+    }
+
+    const regex = new RegExp(`\\b(${profanity.words.map(escapeRegex).join('|')})\\b`, 'gi');
+    const matches = text.match(regex);
+
+    if (matches) {
+      violate('profanity', profanity.action, `Profanity: ${[...new Set(matches.map(m => m.toLowerCase()))].join(', ')}`,
+        current => current.replace(regex, word => word[0] + '*'.repeat(word.length - 1)));
+    }
+  }
+
+  /**
+   * Hashtags, turned into plain words on rewrite
+   * @param {string} text - Text to check
+   * @param {string} kind - Kind of post
+   * @param {Function} violate - Records a violation and applies its rewrite
+   */
+  checkHashtags(text, kind, violate) {
+    const hashtags = this.policy.hashtags;
+    const matches = text.match(/#(\w+)/g);
+
+    if (this.applies(hashtags, kind) && matches) {
+      violate('hashtags', hashtags.action, `Hashtags: ${matches.join(', ')}`,
+        current => current.replace(/#(\w+)/g, '$1'));
+    }
+  }
+
+  /**
+   * Cashtags for anything but recent tokens from the generation context
+   * @param {string} text - Text to check
+   * @param {string} kind - Kind of post
+   * @param {Object} context - Generation context
+   * @param {Function} violate - Records a violation and applies its rewrite
+   */
+  async checkCashtags(text, kind, context, violate) {
+    const cashtags = this.policy.cashtags;
+    if (!this.applies(cashtags, kind)) {
+      return;
+    }
+
+    const mentioned = [...new Set([...text.matchAll(/\$([A-Z]{2,6})\b/g)].map(match => match[1]))];
+    if (mentioned.length === 0) {
+      return;
+    }
+
+    const allowed = await tokenRegistry.getAllowedCashtags((context && context.tokenIds) || []);
+    const disallowed = mentioned.filter(symbol => !allowed.has(symbol));
+
+    if (disallowed.length > 0) {
+      violate('cashtags', cashtags.action, `Cashtags for tokens that aren't recent context tokens: ${disallowed.join(', ')}`,
+        current => disallowed.reduce((result, symbol) => result.replace(new RegExp(`\\$${symbol}\\b`, 'g'), symbol), current));
+    }
+  }
+
+  /**
+   * Required disclaimers, appended on rewrite
+   * @param {string} text - Text to check
+   * @param {string} kind - Kind of post
+   * @param {Function} violate - Records a violation and applies its rewrite
+   */
+  checkDisclaimers(text, kind, violate) {
+    (this.policy.disclaimers || []).filter(rule => this.applies(rule, kind)).forEach(rule => {
+      const needed = new RegExp(rule.when, 'i').test(text) && !(rule.unless && new RegExp(rule.unless, 'i').test(text));
+
+      if (needed) {
+        violate('disclaimer', rule.action || 'rewrite', `Missing disclaimer "${rule.text}"`,
+          current => this.appendDisclaimer(current, rule.text, kind));
+      }
+    });
+  }
+
+  /**
+   * Near-duplicates of recent posts, compared by shingle similarity
+   * Posts of every account count, so two accounts never put out the same take.
+   * The score is measured for every kind of post so it can be stored, but only enforced where the rule applies.
+   * @param {string} text - Text to check
+   * @param {string} kind - Kind of post
+   * @param {Function} violate - Records a violation
+   * @returns {Promise<Object|null>} - { score, tweetId } of the closest recent post, or null when not checked
+   */
+  async checkNovelty(text, kind, violate) {
+    const novelty = this.policy.novelty;
+    if (!novelty) {
+      return null;
+    }
+
+    let recentPosts;
+    try {
+      recentPosts = await engagementModel.getRecentPosts(novelty.lookback || 50);
+    } catch (error) {
+      // Don't hold up posting because the history couldn't be read
+      logger.error('Error loading recent posts for the novelty check:', error);
+      return null;
+    }
+
+    const closest = mostSimilar(text, recentPosts);
+    const score = Math.round(closest.score * 1000) / 1000;
+
+    if (closest.id && score >= novelty.threshold && this.applies(novelty, kind)) {
+      violate('novelty', novelty.action === 'rewrite' ? 'regenerate' : novelty.action,
+        `Too similar (${score}) to a recent post: "${closest.text}". Say something different`);
+    }
+
+    return { score, tweetId: closest.id };
+  }
+
+  /**
+   * Append a disclaimer, trimming the text first if it would no longer fit in one post
+   * @param {string} text - Text to extend
+   * @param {string} disclaimer - Disclaimer to append
+   * @param {string} kind - Kind of post (threads are split later, so never trimmed)
+   * @returns {string}
+   */
+  appendDisclaimer(text, disclaimer, kind) {
+    const trimmed = text.trim();
+    const isReply = kind === 'reply';
+
+    if (kind === 'thread' || weightedLength(`${trimmed} ${disclaimer}`, { isReply }) <= MAX_WEIGHTED_LENGTH) {
+      return `${trimmed} ${disclaimer}`;
+    }
+
+    const room = MAX_WEIGHTED_LENGTH - weightedLength(` ${disclaimer}`);
+    return `${trimToLength(trimmed, { isReply, maxLength: room })} ${disclaimer}`;
+  }
+
+  /**
+   * Log a decision, and store it when the policy changed or stopped the post
+   * @param {string} kind - Kind of post
+   * @param {string} originalText - Text that was checked
+   * @param {Object} result - Result of evaluate
+   * @param {string} account - ID of the account the post is for
+   */
+  async recordDecision(kind, originalText, result, account = 'default') {
+    if (result.decision === 'allow') {
+      logger.info(`Content policy allowed ${kind}`);
+      return;
+    }
+
+    logger.info(`Content policy decision for ${kind}: ${result.decision} (${this.describe(result.violations)})`);
+
+    try {
+      await policyDecisionModel.saveDecision({
+        account,
+        kind,
+        decision: result.decision,
+        violations: result.violations,
+        originalText,
+        finalText: result.decision === 'rewrite' ? result.text : null
+      });
+    } catch (error) {
+      // The log line above is enough to keep going
+      logger.error('Error recording content policy decision:', error);
+    }
+  }
+
+  /**
+   * Summarize violations for logs and error messages
+   * @param {Array<Object>} violations - Rules that were broken
+   * @returns {string}
+   */
+  describe(violations) {
+    return violations.map(violation => `${violation.rule} -> ${violation.action}: ${violation.detail}`).join('; ');
+  }
+}
+
+module.exports = new ContentPolicyService();
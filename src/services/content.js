@@ -1,73 +1,45 @@
-const axios = require('axios');
 const logger = require('../utils/logger');
 const config = require('../config/config');
-const twitterService = require('./twitter');
+const marketData = require('./market-data');
+const tokenRegistry = require('./token-registry');
+const tokenRisk = require('./token-risk');
+const strategyMemory = require('./strategy-memory');
+const promptExperiments = require('./prompt-experiments');
+const personas = require('./personas');
+const accounts = require('./accounts');
+
+// Trending tokens sampled for an account with a watchlist, before narrowing down to the watched ones
+const WATCHLIST_SAMPLE = 50;
 
 /**
  * Service for gathering content data for the bot
+ * Contexts are gathered for one bot account: its X client, personas and token watchlist.
  */
 class ContentService {
   constructor() {
     this.apiKeys = {
-      coingecko: config.apis.coingecko,
       heliusRpc: config.apis.heliusRpc
     };
   }
 
   /**
-   * Get trending memecoins from CoinGecko
+   * Get trending memecoins from the configured market data providers
+   * @param {Object} account - Bot account; only tokens on its watchlist are returned
    * @param {number} limit - Number of coins to fetch
-   * @returns {Promise<Array>} - Array of trending coins
+   * @returns {Promise<Array>} - Array of registered trending coins with market data
    */
-  async getTrendingMemecoins(limit = 5) {
+  async getTrendingMemecoins(account, limit = 5) {
     try {
-      logger.info('Fetching trending memecoins from CoinGecko');
-      
-      const options = {
-        headers: {}
-      };
-      
-      if (this.apiKeys.coingecko) {
-        options.headers['x-cg-pro-api-key'] = this.apiKeys.coingecko;
-      }
+      logger.info('Fetching trending memecoins');
       
-      // Always use the free API endpoint regardless of API key
-      // Free API also accepts the API key for higher rate limits
-      const baseUrl = 'https://api.coingecko.com/api/v3';
+      const { symbols, addresses } = account.watchlist;
+      const hasWatchlist = symbols.length > 0 || addresses.length > 0;
+      const tokens = (await marketData.getTrendingTokens(hasWatchlist ? Math.max(limit, WATCHLIST_SAMPLE) : limit))
+        .filter(token => accounts.watches(account, token))
+        .slice(0, limit);
       
-      const response = await axios.get(`${baseUrl}/search/trending`, options);
-      
-      if (!response.data || !response.data.coins) {
-        throw new Error('Invalid response from CoinGecko API');
-      }
-      
-      // Filter to potential memecoins (this is a simple heuristic that could be improved)
-      const memecoins = response.data.coins
-        .filter(coin => {
-          const name = coin.item.name.toLowerCase();
-          const symbol = coin.item.symbol.toLowerCase();
-          
-          // Basic filter for memecoin-like characteristics
-          return (
-            name.includes('dog') || 
-            name.includes('shib') || 
-            name.includes('pepe') || 
-            name.includes('meme') || 
-            name.includes('elon') ||
-            name.includes('doge') ||
-            symbol.includes('meme') ||
-            (symbol.length <= 4 && !symbol.includes('btc') && !symbol.includes('eth'))
-          );
-        })
-        .slice(0, limit)
-        .map(coin => ({
-          name: coin.item.name,
-          symbol: coin.item.symbol,
-          price: coin.item.price_btc,
-          rank: coin.item.market_cap_rank || 9999,
-          // Add information about how recent this token is
-          isRecent: twitterService.isRecentToken(coin.item.symbol)
-        }));
+      // Register the tokens, which adds information about how recent each one is
+      const memecoins = await tokenRegistry.recordTokens(tokens);
       
       logger.info(`Found ${memecoins.length} trending memecoins`);
       return memecoins;
@@ -79,22 +51,23 @@ class ContentService {
   }
 
   /**
-   * Get recent tokens (less than 120 hours old)
+   * Get recent tokens (less than 120 hours old) that pass the rug-risk screen
+   * @param {Object} account - Bot account
    * @param {number} limit - Number of tokens to return
-   * @returns {Promise<Array>} - Array of recent tokens
+   * @returns {Promise<Object>} - { tokens: recent tokens, excluded: tokens dropped as too risky }
    */
-  async getRecentTokens(limit = 3) {
+  async getRecentTokens(account, limit = 3) {
     try {
       logger.info('Filtering for recent tokens');
       
-      const allTokens = await this.getTrendingMemecoins(20); // Get a bigger sample
-      const recentTokens = allTokens.filter(token => token.isRecent);
+      const allTokens = await this.getTrendingMemecoins(account, 20); // Get a bigger sample
+      const { safe, excluded } = await tokenRisk.screenTokens(allTokens.filter(token => token.isRecent));
       
-      logger.info(`Found ${recentTokens.length} recent tokens (< 120 hours old)`);
-      return recentTokens.slice(0, limit);
+      logger.info(`Found ${safe.length} recent tokens (< 120 hours old)`);
+      return { tokens: safe.slice(0, limit), excluded };
     } catch (error) {
       logger.error('Error filtering recent tokens:', error);
-      return [];
+      return { tokens: [], excluded: [] };
     }
   }
 
@@ -129,14 +102,15 @@ class ContentService {
 
   /**
    * Get trending tweets from accounts the bot follows
+   * @param {Object} account - Bot account whose follows to look at
    * @param {number} limit - Number of tweets to fetch
    * @returns {Promise<Array>} - Array of trending tweets with author info
    */
-  async getTrendingTweets(limit = 5) {
+  async getTrendingTweets(account, limit = 5) {
     try {
-      logger.info('Fetching trending tweets from accounts the bot follows');
+      logger.info(`Fetching trending tweets from accounts ${account.id} follows`);
       
-      const tweets = await twitterService.getPopularTweetsFromFollowing(24, limit * 2);
+      const tweets = await account.twitter.getPopularTweetsFromFollowing(24, limit * 2);
       
       // Format tweets for easier consumption by LLM
       const formattedTweets = tweets.slice(0, limit).map(tweet => ({
@@ -155,68 +129,110 @@ class ContentService {
 
   /**
    * Gather context for reply generation
+   * @param {Object} account - Bot account that replies
    * @param {string} originalTweet - The tweet to reply to
    * @param {Object} mentionData - Data about the mention
    * @returns {Promise<Object>} - Context object for LLM
    */
-  async gatherReplyContext(originalTweet, mentionData) {
+  async gatherReplyContext(account, originalTweet, mentionData) {
     logger.info(`Gathering context for reply to tweet by ${mentionData.author_username}`);
     
     // Get recent tokens
-    const recentTokens = await this.getRecentTokens(3);
+    const { tokens: recentTokens, excluded } = await this.getRecentTokens(account, 3);
     
     // Get trending tweets
-    const trendingTweets = await this.getTrendingTweets(3);
+    const trendingTweets = await this.getTrendingTweets(account, 3);
     
-    // Extract any token mentions from the original tweet
-    const mentionedTokens = twitterService.extractTokenSymbols(originalTweet)
-      .filter(token => twitterService.isRecentToken(token));
+    // Extract any recent token mentions from the original tweet, screened like the rest
+    const extracted = (await tokenRegistry.extractTokens(originalTweet, { preferIds: recentTokens.map(t => t.id) }))
+      .filter(token => token.isRecent);
+    const mentioned = await tokenRisk.screenTokens(extracted);
+    const mentionedTokens = mentioned.safe;
+    
+    // What has worked in past replies
+    const strategy = await strategyMemory.getStrategy('reply', account.id);
+    const promptVariant = await promptExperiments.assign('reply');
     
     return {
       originalTweet,
       authorName: mentionData.author_name,
       authorUsername: mentionData.author_username,
-      recentTokens: recentTokens.map(t => `${t.name} (${t.symbol})`),
+      recentTokens: recentTokens.map(t => marketData.formatToken(t)),
       trendingTweets,
-      mentionedTokens
+      mentionedTokens: mentionedTokens.map(t => t.symbol),
+      // Registry IDs of every token the LLM was told about
+      tokenIds: [...new Set([...recentTokens, ...mentionedTokens].map(t => t.id))],
+      excludedTokens: [...excluded, ...mentioned.excluded.filter(m => !excluded.some(e => e.symbol === m.symbol))],
+      strategy,
+      promptVariant,
+      persona: personas.forJob('reply', account, promptVariant.persona)
     };
   }
 
   /**
    * Gather context for tweet generation
+   * @param {Object} account - Bot account that posts
    * @returns {Promise<Object>} - Context object for LLM
    */
-  async gatherTweetContext() {
-    logger.info('Gathering context for tweet generation');
+  async gatherTweetContext(account) {
+    logger.info(`Gathering context for tweet generation for ${account.id}`);
     
-    const [trendingCoins, recentEvents, trendingTweets] = await Promise.all([
-      this.getTrendingMemecoins(),
+    const [allCoins, recentEvents, trendingTweets, strategy, promptVariant] = await Promise.all([
+      this.getTrendingMemecoins(account),
       this.getRecentEvents(),
-      this.getTrendingTweets(3)
+      this.getTrendingTweets(account, 3),
+      strategyMemory.getStrategy('tweet', account.id),
+      promptExperiments.assign('tweet')
     ]);
     
+    // Keep likely rugs and honeypots away from the LLM entirely
+    const { safe: trendingCoins, excluded } = await tokenRisk.screenTokens(allCoins);
+    
     // Filter to only include recent tokens (< 120 hours old)
     const recentTokens = trendingCoins.filter(coin => coin.isRecent);
     
     return {
       recentEvents: recentEvents,
-      topCoins: trendingCoins.map(coin => `${coin.name} (${coin.symbol})`),
-      recentTokens: recentTokens.map(coin => `${coin.name} (${coin.symbol})`),
-      trendingTweets
+      topCoins: trendingCoins.map(coin => marketData.formatToken(coin)),
+      recentTokens: recentTokens.map(coin => marketData.formatToken(coin)),
+      trendingTweets,
+      tokenIds: trendingCoins.map(coin => coin.id),
+      excludedTokens: excluded,
+      strategy,
+      // Prompt variant under test; its ID is recorded as the prompt used
+      promptVariant,
+      // Voice the tweet is written in, kept so the tweet's persona can be looked up later
+      persona: personas.forJob('tweet', account, promptVariant.persona)
     };
   }
 
   /**
    * Gather context for trend summary generation
+   * @param {Object} account - Bot account that posts
    * @returns {Promise<Object>} - Context object for LLM
    */
-  async gatherTrendSummaryContext() {
-    logger.info('Gathering context for trend summary');
+  async gatherTrendSummaryContext(account) {
+    logger.info(`Gathering context for trend summary for ${account.id}`);
     
-    const trendingCoins = await this.getTrendingMemecoins(10);
+    const allCoins = await this.getTrendingMemecoins(account, 10);
     
-    // Calculate market condition (placeholder logic)
-    const marketCondition = trendingCoins.length > 5 ? 'bullish' : 'neutral';
+    // Only tokens that pass the rug-risk screen are named, but all of them count towards the mood
+    const { safe: trendingCoins, excluded } = await tokenRisk.screenTokens(allCoins);
+    
+    // Derive market condition from the average 24h price change of trending coins
+    const changes = allCoins
+      .map(coin => coin.priceChange24h)
+      .filter(change => typeof change === 'number');
+    const avgChange = changes.length > 0
+      ? changes.reduce((sum, change) => sum + change, 0) / changes.length
+      : 0;
+    
+    let marketCondition = 'neutral';
+    if (avgChange >= 5) {
+      marketCondition = 'bullish';
+    } else if (avgChange <= -5) {
+      marketCondition = 'bearish';
+    }
     
     return {
       recentTrends: [
@@ -225,8 +241,11 @@ class ContentService {
         'Memecoin launchpads',
         'Airdrop season'
       ],
-      topCoins: trendingCoins.map(coin => `${coin.name} (${coin.symbol})`),
-      marketCondition
+      topCoins: trendingCoins.map(coin => marketData.formatToken(coin)),
+      marketCondition,
+      tokenIds: trendingCoins.map(coin => coin.id),
+      excludedTokens: excluded,
+      persona: personas.forJob('trends', account)
     };
   }
 }
@@ -4,157 +4,249 @@ const sqlite3 = require('sqlite3').verbose();
 const config = require('../config/config');
 const logger = require('../utils/logger');
 
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+
 /**
- * Service for database operations
+ * The single SQLite connection shared by every model, and the migration runner that owns its schema
+ * Migrations live in src/migrations as `NNN_name.js` files exporting async `up(db)` and `down(db)`.
+ * Applied versions are recorded in the `schema_version` table.
  */
 class DatabaseService {
   constructor() {
     this.dbPath = config.database.path;
-    
+
     // Ensure the directory exists
     const dbDir = path.dirname(this.dbPath);
     if (!fs.existsSync(dbDir)) {
       fs.mkdirSync(dbDir, { recursive: true });
       logger.info(`Created database directory: ${dbDir}`);
     }
-    
+
     this.db = new sqlite3.Database(this.dbPath, (err) => {
       if (err) {
         logger.error(`Error opening database: ${err.message}`);
       } else {
         logger.info(`Connected to SQLite database at ${this.dbPath}`);
-        this.initializeDatabase();
       }
     });
   }
 
   /**
-   * Initialize database tables
+   * Run a statement
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Object>} - { lastID, changes }
    */
-  initializeDatabase() {
-    // Create table for tracking tweet engagement
-    const createEngagementTableSQL = `
-      CREATE TABLE IF NOT EXISTS tweet_engagement (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        tweet_id TEXT UNIQUE,
-        content TEXT,
-        posted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        likes INTEGER DEFAULT 0,
-        retweets INTEGER DEFAULT 0,
-        replies INTEGER DEFAULT 0,
-        last_checked DATETIME DEFAULT CURRENT_TIMESTAMP,
-        engagement_score REAL DEFAULT 0
-      )
-    `;
-
-    this.db.run(createEngagementTableSQL, (err) => {
-      if (err) {
-        logger.error(`Error creating engagement table: ${err.message}`);
-      } else {
-        logger.info('Engagement table initialized');
-      }
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          return reject(err);
+        }
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
     });
   }
 
   /**
-   * Store a new tweet in the database
-   * @param {string} tweetId - The ID of the tweet
-   * @param {string} content - The content of the tweet
-   * @returns {Promise<boolean>} - Whether the operation was successful
+   * Get the first row of a query
+   * @param {string} sql - SQL query
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Object|undefined>}
    */
-  async storeTweet(tweetId, content) {
+  get(sql, params = []) {
     return new Promise((resolve, reject) => {
-      const sql = `INSERT INTO tweet_engagement (tweet_id, content) VALUES (?, ?)`;
-      this.db.run(sql, [tweetId, content], function(err) {
-        if (err) {
-          logger.error(`Failed to store tweet: ${err.message}`);
-          resolve(false);
-        } else {
-          logger.info(`Stored tweet ${tweetId} in database`);
-          resolve(true);
-        }
-      });
+      this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
     });
   }
 
   /**
-   * Update engagement metrics for a tweet
-   * @param {string} tweetId - The ID of the tweet
-   * @param {number} likes - Number of likes
-   * @param {number} retweets - Number of retweets
-   * @param {number} replies - Number of replies
-   * @returns {Promise<boolean>} - Whether the operation was successful
+   * Get every row of a query
+   * @param {string} sql - SQL query
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Array>}
    */
-  async updateEngagement(tweetId, likes, retweets, replies) {
+  all(sql, params = []) {
     return new Promise((resolve, reject) => {
-      const engagementScore = this.calculateEngagementScore(likes, retweets, replies);
-      const sql = `
-        UPDATE tweet_engagement 
-        SET likes = ?, retweets = ?, replies = ?, 
-            engagement_score = ?, last_checked = CURRENT_TIMESTAMP
-        WHERE tweet_id = ?
-      `;
-      
-      this.db.run(sql, [likes, retweets, replies, engagementScore, tweetId], function(err) {
-        if (err) {
-          logger.error(`Failed to update engagement: ${err.message}`);
-          resolve(false);
-        } else {
-          logger.info(`Updated engagement for tweet ${tweetId}`);
-          resolve(true);
-        }
-      });
+      this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
     });
   }
 
   /**
-   * Calculate an engagement score based on various metrics
-   * @param {number} likes - Number of likes
-   * @param {number} retweets - Number of retweets
-   * @param {number} replies - Number of replies
-   * @returns {number} - The calculated engagement score
+   * Whether a table exists
+   * @param {string} name - Table name
+   * @returns {Promise<boolean>}
    */
-  calculateEngagementScore(likes, retweets, replies) {
-    // Simple weighted scoring
-    return (likes * 1) + (retweets * 3) + (replies * 2);
+  async hasTable(name) {
+    return Boolean(await this.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name]));
   }
 
   /**
-   * Get the top performing tweets by engagement score
-   * @param {number} limit - Number of tweets to return
-   * @returns {Promise<Array>} - Array of tweet objects
+   * Whether a table has a column
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @returns {Promise<boolean>}
    */
-  async getTopTweets(limit = 10) {
-    return new Promise((resolve, reject) => {
-      const sql = `
-        SELECT * FROM tweet_engagement
-        ORDER BY engagement_score DESC
-        LIMIT ?
-      `;
-      
-      this.db.all(sql, [limit], (err, rows) => {
-        if (err) {
-          logger.error(`Failed to get top tweets: ${err.message}`);
-          resolve([]);
-        } else {
-          resolve(rows);
-        }
+  async hasColumn(table, column) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    return columns.some(info => info.name === column);
+  }
+
+  /**
+   * List the migrations on disk, in version order
+   * @returns {Array<Object>} - { id, version, name, up, down }
+   */
+  loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+      .map(file => file.match(/^(\d+)_(.+)\.js$/))
+      .filter(Boolean)
+      .map(([file, version, name]) => ({
+        id: path.basename(file, '.js'),
+        version: parseInt(version, 10),
+        name,
+        ...require(path.join(MIGRATIONS_DIR, file))
+      }))
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Get the version the database schema is at
+   * @returns {Promise<number>} - Highest applied migration, 0 for a new database
+   */
+  async getSchemaVersion() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+    const row = await this.get('SELECT MAX(version) AS version FROM schema_version');
+    return (row && row.version) || 0;
+  }
+
+  /**
+   * Describe the schema version and the migrations still to run
+   * @returns {Promise<Object>} - { current, latest, pending: [{ id, version, name }] }
+   */
+  async status() {
+    const current = await this.getSchemaVersion();
+    const migrations = this.loadMigrations();
+
+    return {
+      current,
+      latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+      pending: migrations
+        .filter(migration => migration.version > current)
+        .map(({ id, version, name }) => ({ id, version, name }))
+    };
+  }
+
+  /**
+   * Apply migrations up to a version
+   * @param {number} target - Version to migrate to, the latest when omitted
+   * @returns {Promise<number>} - The schema version afterwards
+   */
+  async migrate(target = Infinity) {
+    const current = await this.getSchemaVersion();
+    const pending = this.loadMigrations().filter(migration => migration.version > current && migration.version <= target);
+
+    for (const migration of pending) {
+      await this.step(migration, 'up', async () => {
+        await this.run(
+          'INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, new Date().toISOString()]
+        );
       });
-    });
+    }
+
+    const version = await this.getSchemaVersion();
+    if (pending.length > 0) {
+      logger.info(`Database schema migrated from version ${current} to ${version}`);
+    }
+    return version;
+  }
+
+  /**
+   * Revert migrations down to a version
+   * @param {number} target - Version to roll back to (everything above it is reverted)
+   * @returns {Promise<number>} - The schema version afterwards
+   */
+  async rollback(target) {
+    const current = await this.getSchemaVersion();
+    const applied = this.loadMigrations()
+      .filter(migration => migration.version <= current && migration.version > target)
+      .reverse();
+
+    for (const migration of applied) {
+      if (typeof migration.down !== 'function') {
+        throw new Error(`Migration ${migration.id} can't be reverted`);
+      }
+
+      await this.step(migration, 'down', async () => {
+        await this.run('DELETE FROM schema_version WHERE version = ?', [migration.version]);
+      });
+    }
+
+    const version = await this.getSchemaVersion();
+    logger.info(`Database schema rolled back from version ${current} to ${version}`);
+    return version;
   }
-  
+
+  /**
+   * Run one direction of a migration in a transaction, together with its schema_version update
+   * @param {Object} migration - Migration from loadMigrations
+   * @param {string} direction - 'up' or 'down'
+   * @param {Function} record - Updates schema_version inside the transaction
+   */
+  async step(migration, direction, record) {
+    logger.info(`Running migration ${migration.id} (${direction})`);
+
+    await this.run('BEGIN');
+    try {
+      await migration[direction](this);
+      await record();
+      await this.run('COMMIT');
+    } catch (error) {
+      await this.run('ROLLBACK');
+      logger.error(`Migration ${migration.id} (${direction}) failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure the schema is current before anything reads or writes
+   * Migrates when DB_MIGRATE_ON_START is on; otherwise refuses to run against an outdated schema.
+   * @returns {Promise<number>} - The schema version
+   */
+  async prepare() {
+    if (config.database.migrateOnStart) {
+      return this.migrate();
+    }
+
+    const { current, pending } = await this.status();
+    if (pending.length > 0) {
+      throw new Error(`Database schema is at version ${current} with ${pending.length} pending migrations; run "npm run migrate"`);
+    }
+    return current;
+  }
+
   /**
    * Close the database connection
+   * @returns {Promise<void>}
    */
   close() {
-    this.db.close((err) => {
-      if (err) {
-        logger.error(`Error closing database: ${err.message}`);
-      } else {
-        logger.info('Database connection closed');
-      }
+    return new Promise((resolve) => {
+      this.db.close((err) => {
+        if (err) {
+          logger.error(`Error closing database: ${err.message}`);
+        } else {
+          logger.info('Database connection closed');
+        }
+        resolve();
+      });
     });
   }
 }
 
-module.exports = new DatabaseService(); 
\ No newline at end of file
+module.exports = new DatabaseService();
@@ -0,0 +1,185 @@
+const logger = require('../utils/logger');
+const draftModel = require('../models/draft');
+const publisher = require('./publisher');
+const llmService = require('./llm');
+const contentPolicy = require('./content-policy');
+const accounts = require('./accounts');
+const { validateLength } = require('../utils/tweet-length');
+const { httpError } = require('../utils/errors');
+
+/**
+ * Service for reviewing drafts queued in approval mode
+ */
+class DraftService {
+  /**
+   * List drafts
+   * @param {Object} options - Filter options (status, account, limit)
+   * @returns {Promise<Array>} - Drafts
+   */
+  async listDrafts(options = {}) {
+    return draftModel.listDrafts(options);
+  }
+
+  /**
+   * Get a draft, failing if it doesn't exist
+   * @param {number} id - Draft ID
+   * @returns {Promise<Object>} - The draft
+   */
+  async getDraft(id) {
+    const draft = await draftModel.getDraft(id);
+
+    if (!draft) {
+      throw httpError(404, `Draft ${id} not found`);
+    }
+
+    return draft;
+  }
+
+  /**
+   * Get a draft that can still be changed
+   * @param {number} id - Draft ID
+   * @returns {Promise<Object>} - The draft
+   */
+  async getOpenDraft(id) {
+    const draft = await this.getDraft(id);
+
+    if (draft.status !== 'pending' && draft.status !== 'failed') {
+      throw httpError(409, `Draft ${id} is already ${draft.status}`);
+    }
+
+    return draft;
+  }
+
+  /**
+   * Refuse to change the text of a thread that is already partly posted, so the rest still follows on
+   * @param {Object} draft - The draft
+   */
+  assertNotPartlyPosted(draft) {
+    if (draft.type === 'thread' && draft.posted_tweet_id) {
+      throw httpError(409, `Draft ${draft.id} is partly posted as thread ${draft.posted_tweet_id}; approve it to post the rest, or reject it`);
+    }
+  }
+
+  /**
+   * Replace the text of a draft
+   * @param {number} id - Draft ID
+   * @param {string} content - New content
+   * @returns {Promise<Object>} - The updated draft
+   */
+  async editDraft(id, content) {
+    if (typeof content !== 'string') {
+      throw httpError(400, 'Draft content must be a string');
+    }
+    if (!content.trim()) {
+      throw httpError(400, 'Draft content cannot be empty');
+    }
+
+    const draft = await this.getOpenDraft(id);
+    this.assertNotPartlyPosted(draft);
+
+    // Threads are split into tweets of valid length when posted
+    const check = validateLength(content.trim(), { isReply: draft.type === 'reply' });
+    if (draft.type !== 'thread' && !check.valid) {
+      throw httpError(400, `Draft is ${check.weightedLength} characters, the limit is ${check.maxLength}`);
+    }
+
+    logger.info(`Editing draft ${id}`);
+    return draftModel.updateDraft(id, { content: content.trim() });
+  }
+
+  /**
+   * Approve a draft and post it with the account it was generated for
+   * A failed draft can be approved again; a thread that stopped partway carries on from its last posted tweet.
+   * @param {number} id - Draft ID
+   * @returns {Promise<Object>} - The updated draft, including the posted tweet ID
+   */
+  async approveDraft(id) {
+    if (!await draftModel.approveDraft(id)) {
+      const current = await this.getDraft(id);
+      throw httpError(409, `Draft ${id} is already ${current.status}`);
+    }
+
+    // Read after approving, so the text is the one no edit can change any more
+    const draft = await this.getDraft(id);
+    logger.info(`Approving draft ${id}`);
+
+    try {
+      const account = accounts.get(draft.account);
+      const options = { account, promptUsed: draft.prompt_used, templateVersion: draft.template_version, context: draft.context };
+      let tweetId;
+
+      if (draft.type === 'thread' && draft.posted_tweet_id) {
+        tweetId = (await publisher.resumeThread(draft.posted_tweet_id, draft.content, options)).rootTweetId;
+      } else if (draft.type === 'thread') {
+        const thread = await publisher.publishThread(draft.content, { ...options, type: draft.tweet_type });
+        tweetId = thread.rootTweetId;
+      } else if (draft.type === 'reply') {
+        tweetId = (await publisher.publishReply(draft.in_reply_to_id, draft.content, options)).id;
+      } else {
+        tweetId = (await publisher.publishTweet(draft.content, { ...options, type: draft.tweet_type })).id;
+      }
+
+      logger.info(`Draft ${id} posted as tweet ${tweetId}`);
+      return draftModel.updateDraft(id, { status: 'posted', posted_tweet_id: tweetId });
+    } catch (error) {
+      logger.error(`Error posting draft ${id}:`, error);
+      const fields = { status: 'failed', error: error.message };
+      if (error.partialThread) {
+        // Remember what went out, and the exact text it was split from, to carry on from there
+        fields.posted_tweet_id = error.partialThread.rootTweetId;
+        fields.content = error.partialThread.content;
+      }
+      await draftModel.updateDraft(id, fields);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a draft so it is never posted
+   * @param {number} id - Draft ID
+   * @param {string} reason - Optional reason for the rejection
+   * @returns {Promise<Object>} - The updated draft
+   */
+  async rejectDraft(id, reason = null) {
+    await this.getOpenDraft(id);
+
+    logger.info(`Rejecting draft ${id}`);
+    return draftModel.updateDraft(id, { status: 'rejected', error: reason });
+  }
+
+  /**
+   * Generate new content for a draft from its stored context
+   * @param {number} id - Draft ID
+   * @returns {Promise<Object>} - The updated draft
+   */
+  async regenerateDraft(id) {
+    const draft = await this.getOpenDraft(id);
+    this.assertNotPartlyPosted(draft);
+
+    if (!draft.prompt_used) {
+      throw httpError(400, `Draft ${id} was not generated from a prompt`);
+    }
+
+    logger.info(`Regenerating draft ${id}`);
+    const context = draft.context || {};
+    const generators = {
+      thread: (extra = {}) => llmService.generateTrendSummary({ ...context, ...extra }),
+      reply: (extra = {}) => llmService.generateReply({ ...context, ...extra }),
+      tweet: (extra = {}) => llmService.generateTweet({ ...context, ...extra })
+    };
+    const generate = generators[draft.type];
+
+    const { text: content } = await contentPolicy.enforce(await generate(), {
+      kind: draft.type,
+      context,
+      account: draft.account,
+      regenerate: (feedback) => generate({ feedback })
+    });
+
+    const templateVersion = await publisher.getTemplateVersion(draft.prompt_used);
+
+    return draftModel.updateDraft(id, { content, template_version: templateVersion, status: 'pending', error: null });
+  }
+}
+
+module.exports = new DraftService();
@@ -0,0 +1,105 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const metricSnapshotModel = require('../models/metric-snapshot');
+const metricsTracker = require('../utils/metrics');
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// A snapshot taken later than this share of its horizon (a 1h snapshot after 1h30) wouldn't be
+// comparable with other posts, so it is marked missed instead
+const LATE_TOLERANCE = 0.5;
+
+/**
+ * Convert a horizon label such as '30m', '6h' or '7d' to milliseconds
+ * @param {string} label - Horizon label
+ * @returns {number}
+ */
+function horizonMs(label) {
+  const match = /^(\d+)([mhd])$/.exec(label);
+  if (!match) {
+    throw new Error(`Invalid metrics horizon "${label}" (expected a number followed by m, h or d)`);
+  }
+  return parseInt(match[1], 10) * UNIT_MS[match[2]];
+}
+
+/**
+ * Service that measures every post at fixed ages (horizons) so engagement curves can be compared
+ * The plan is stored in the metric_snapshots table, so snapshots due while the bot was down
+ * are picked up after a restart.
+ */
+class EngagementTrackerService {
+  constructor() {
+    this.settings = config.tracking;
+    this.horizons = this.settings.horizons.map(label => ({ label, ms: horizonMs(label) }));
+  }
+
+  /**
+   * Plan the snapshots of a newly posted tweet, reply or thread
+   * Failures are logged rather than thrown, since the post itself already went out.
+   * @param {string} tweetId - Tweet ID
+   * @param {string} postedAt - ISO timestamp of the post
+   */
+  async enroll(tweetId, postedAt) {
+    try {
+      const posted = new Date(postedAt).getTime();
+      const schedule = this.horizons.map(({ label, ms }) => ({
+        horizon: label,
+        dueAt: new Date(posted + ms).toISOString()
+      }));
+
+      await metricSnapshotModel.enroll(tweetId, schedule);
+    } catch (error) {
+      logger.error(`Error enrolling tweet ${tweetId} in engagement tracking:`, error);
+    }
+  }
+
+  /**
+   * Take every snapshot of an account's posts that is due
+   * @param {Object} account - Bot account, whose X client reads the metrics
+   * @returns {Promise<number>} - Number of snapshots taken
+   */
+  async captureDue(account) {
+    const now = Date.now();
+    const due = await metricSnapshotModel.getDue(new Date(now).toISOString(), account.id);
+    let captured = 0;
+
+    logger.info(`Found ${due.length} metrics snapshots due for ${account.id}`);
+
+    for (const snapshot of due) {
+      const { tweet_id: tweetId, horizon } = snapshot;
+
+      if (now - new Date(snapshot.due_at).getTime() > horizonMs(horizon) * LATE_TOLERANCE) {
+        logger.warn(`Missed the ${horizon} metrics snapshot of tweet ${tweetId}`);
+        await metricSnapshotModel.markMissed(tweetId, horizon);
+        continue;
+      }
+
+      try {
+        const metrics = await metricsTracker.trackTweetMetrics(account, tweetId, horizon);
+        await metricSnapshotModel.markCaptured(tweetId, horizon, metrics.id);
+        captured++;
+      } catch (error) {
+        // Out of X API quota: leave this and the remaining snapshots for a later check, without using up attempts
+        if (error.rateLimited) {
+          logger.warn(`Postponed metrics snapshots of ${account.id}: ${error.message}`);
+          break;
+        }
+        await metricSnapshotModel.markAttemptFailed(tweetId, horizon, error, this.settings.maxAttempts);
+        continue;
+      }
+
+      if (horizon === this.settings.analysisHorizon) {
+        try {
+          await metricsTracker.analyzeTweetPerformance(tweetId);
+        } catch (error) {
+          // The snapshot is kept; the analysis is only a bonus
+          logger.error(`Error analyzing tweet ${tweetId} after its ${horizon} snapshot:`, error);
+        }
+      }
+    }
+
+    return captured;
+  }
+}
+
+module.exports = new EngagementTrackerService();
@@ -0,0 +1,33 @@
+const TogetherProvider = require('./together');
+const OpenAICompatibleProvider = require('./openai');
+const StubProvider = require('./stub');
+
+const providerClasses = {
+  together: TogetherProvider,
+  openai: OpenAICompatibleProvider,
+  stub: StubProvider
+};
+
+/**
+ * Create an LLM provider by name
+ * Every provider implements `complete(request)` and resolves to the generated text
+ * @param {string} name - Provider name (together, openai, stub)
+ * @param {Object} options - Provider-specific options
+ * @returns {Object} - Provider instance
+ */
+function createProvider(name, options = {}) {
+  const ProviderClass = providerClasses[name];
+
+  if (!ProviderClass) {
+    throw new Error(`Unknown LLM provider "${name}"`);
+  }
+
+  return new ProviderClass(options);
+}
+
+module.exports = {
+  createProvider,
+  TogetherProvider,
+  OpenAICompatibleProvider,
+  StubProvider
+};
@@ -0,0 +1,23 @@
+// Stop sequences for flattened prompts, so completion models don't write the next turn
+const COMPLETION_STOP = ["</s>", "Human:", "Assistant:"];
+
+/**
+ * Flatten chat messages into a single raw prompt for completion-only models
+ * @param {Array<Object>} messages - Chat messages with role and content
+ * @returns {string} - Raw prompt ending with the assistant turn
+ */
+function flattenMessages(messages) {
+  const parts = messages.map(message => {
+    if (message.role === 'system') {
+      return message.content;
+    }
+    return `${message.role === 'assistant' ? 'Assistant' : 'Human'}: ${message.content}`;
+  });
+
+  return `${parts.join('\n\n')}\n\nAssistant:`;
+}
+
+module.exports = {
+  COMPLETION_STOP,
+  flattenMessages
+};
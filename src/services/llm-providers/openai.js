@@ -0,0 +1,66 @@
+const axios = require('axios');
+const { COMPLETION_STOP, flattenMessages } = require('./messages');
+
+/**
+ * LLM provider for any OpenAI-compatible endpoint
+ * (OpenAI, vLLM, llama.cpp server, Ollama, ...)
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - API key, if the endpoint requires one
+   * @param {string} options.baseUrl - API base URL, e.g. http://localhost:11434/v1
+   * @param {string} options.model - Default model
+   * @param {string} options.apiMode - 'chat' for chat completions, 'completion' for raw-prompt models
+   */
+  constructor({ apiKey, baseUrl, model, apiMode = 'chat' } = {}) {
+    if (!baseUrl) {
+      throw new Error('OpenAI-compatible provider requires a base URL');
+    }
+
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.model = model;
+    this.apiMode = apiMode;
+    this.headers = { 'Content-Type': 'application/json' };
+
+    if (apiKey) {
+      this.headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+  }
+
+  /**
+   * Generate a completion
+   * @param {Object} request - Completion request (see TogetherProvider.complete)
+   * @returns {Promise<string>} - Generated text
+   */
+  async complete({ messages, model, apiMode, maxTokens, temperature, topP }) {
+    // top_k is not part of the OpenAI API, so it is left out
+    const requestBody = {
+      model: model || this.model,
+      max_tokens: maxTokens,
+      temperature,
+      top_p: topP
+    };
+
+    const chat = (apiMode || this.apiMode) === 'chat';
+    if (chat) {
+      requestBody.messages = messages;
+    } else {
+      requestBody.prompt = flattenMessages(messages);
+      requestBody.stop = COMPLETION_STOP;
+    }
+
+    const endpoint = chat ? 'chat/completions' : 'completions';
+    const response = await axios.post(`${this.baseUrl}/${endpoint}`, requestBody, { headers: this.headers });
+
+    if (!response.data.choices || response.data.choices.length === 0) {
+      throw new Error('No content generated from LLM');
+    }
+
+    const choice = response.data.choices[0];
+    return chat ? choice.message.content : choice.text;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
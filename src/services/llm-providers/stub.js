@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+// Canned responses per prompt, picked deterministically from the prompt text
+const RESPONSES = {
+  tweet: [
+    'gm degens, the memecoin trenches are heating up again and the charts look spicy 🚀',
+    'another day, another dog coin trying to flip the last dog coin. love this market 🐶📈',
+    'liquidity is flowing back into memes and the timeline is getting loud again 👀'
+  ],
+  reply: [
+    'ser you are early and the timeline knows it 🫡',
+    'this is the kind of energy the trenches need today 🔥',
+    'saving this one for when everyone pretends they saw it coming 👀'
+  ],
+  trends: [
+    'Memecoin volume is rotating back into fresh launches while older names consolidate. Attention is concentrated on a handful of tickers, so expect sharp moves both ways.'
+  ],
+  analyze: [
+    JSON.stringify({
+      analysis: 'Stub analysis of tweet performance',
+      successFactors: ['clear hook'],
+      improvementAreas: ['more specific token data'],
+      recommendedApproach: 'Lead with one concrete market observation'
+    })
+  ]
+};
+
+/**
+ * Deterministic local LLM provider for tests and offline development
+ * The same prompt always produces the same output and no network calls are made
+ */
+class StubProvider {
+  constructor({ model = 'stub' } = {}) {
+    this.name = 'stub';
+    this.model = model;
+  }
+
+  /**
+   * Generate a completion
+   * @param {Object} request - Completion request (see TogetherProvider.complete)
+   * @param {string} request.promptName - Name of the prompt template, used to pick a canned response
+   * @returns {Promise<string>} - Generated text
+   */
+  async complete({ messages, promptName }) {
+    const responses = RESPONSES[promptName] || RESPONSES.tweet;
+    const hash = crypto.createHash('sha256').update(JSON.stringify(messages || [])).digest();
+
+    return responses[hash.readUInt32BE(0) % responses.length];
+  }
+}
+
+module.exports = StubProvider;
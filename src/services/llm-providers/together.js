@@ -0,0 +1,67 @@
+const axios = require('axios');
+const { COMPLETION_STOP, flattenMessages } = require('./messages');
+
+/**
+ * LLM provider for the Together AI API
+ */
+class TogetherProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Together AI API key
+   * @param {string} options.baseUrl - API base URL
+   * @param {string} options.model - Default model
+   * @param {string} options.apiMode - 'chat' for chat completions, 'completion' for raw-prompt models
+   */
+  constructor({ apiKey, baseUrl = 'https://api.together.xyz/v1', model, apiMode = 'chat' } = {}) {
+    this.name = 'together';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.model = model;
+    this.apiMode = apiMode;
+    this.headers = {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    };
+  }
+
+  /**
+   * Generate a completion
+   * @param {Object} request - Completion request
+   * @param {Array<Object>} request.messages - Chat messages with role and content
+   * @param {string} request.model - Model to use (defaults to the provider model)
+   * @param {string} request.apiMode - Overrides the provider API mode
+   * @param {number} request.maxTokens - Maximum tokens to generate
+   * @param {number} request.temperature - Sampling temperature
+   * @param {number} request.topP - Nucleus sampling probability
+   * @param {number} request.topK - Top-k sampling cutoff
+   * @returns {Promise<string>} - Generated text
+   */
+  async complete({ messages, model, apiMode, maxTokens, temperature, topP, topK }) {
+    const requestBody = {
+      model: model || this.model,
+      max_tokens: maxTokens,
+      temperature,
+      top_p: topP,
+      top_k: topK
+    };
+
+    const chat = (apiMode || this.apiMode) === 'chat';
+    if (chat) {
+      requestBody.messages = messages;
+    } else {
+      requestBody.prompt = flattenMessages(messages);
+      requestBody.stop = COMPLETION_STOP;
+    }
+
+    const endpoint = chat ? 'chat/completions' : 'completions';
+    const response = await axios.post(`${this.baseUrl}/${endpoint}`, requestBody, { headers: this.headers });
+
+    if (!response.data.choices || response.data.choices.length === 0) {
+      throw new Error('No content generated from LLM');
+    }
+
+    const choice = response.data.choices[0];
+    return chat ? choice.message.content : choice.text;
+  }
+}
+
+module.exports = TogetherProvider;
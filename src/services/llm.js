@@ -1,22 +1,59 @@
-const axios = require('axios');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const prompts = require('../utils/prompts');
+const { createProvider } = require('./llm-providers');
+const { validateLength, trimToLength } = require('../utils/tweet-length');
 
 /**
- * Service for interacting with the Together AI LLM API
+ * Service for generating content with the configured LLM providers
  */
 class LLMService {
   constructor() {
-    this.baseUrl = 'https://api.together.xyz/v1/completions';
-    this.headers = {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${config.llm.apiKey}`
+    this.providers = {}; // Provider instances, created on first use
+  }
+
+  /**
+   * Get (or create) a provider instance by name
+   * @param {string} name - Provider name
+   * @returns {Object} - Provider instance
+   */
+  getProvider(name) {
+    if (!this.providers[name]) {
+      this.providers[name] = createProvider(name, config.llm.providers[name] || {});
+    }
+    return this.providers[name];
+  }
+
+  /**
+   * Resolve provider, model and sampling parameters for a prompt
+   * Per-prompt settings override the global defaults
+   * @param {string} promptName - Name of the prompt template
+   * @returns {Object} - Resolved settings
+   */
+  getPromptSettings(promptName) {
+    const overrides = config.llm.prompts[promptName] || {};
+    const settings = {
+      provider: config.llm.provider,
+      model: null,
+      apiMode: null,
+      maxTokens: config.llm.maxTokens,
+      temperature: config.llm.temperature,
+      topP: config.llm.topP,
+      topK: config.llm.topK
     };
+
+    Object.keys(overrides).forEach(key => {
+      if (overrides[key] !== undefined) {
+        settings[key] = overrides[key];
+      }
+    });
+
+    return settings;
   }
 
   /**
    * Generate content using the LLM
+   * Falls back to the configured fallback provider if the primary one fails
    * @param {string} promptName - Name of the prompt template to use
    * @param {Object} context - Context data to inject into the prompt
    * @returns {Promise<string>} - Generated content
@@ -27,30 +64,37 @@ class LLMService {
         throw new Error(`Prompt template "${promptName}" not found`);
       }
 
-      const promptText = prompts[promptName](context);
+      const messages = prompts[promptName](context);
+      const settings = this.getPromptSettings(promptName);
       
-      logger.info(`Generating content with prompt: ${promptName}`);
-      
-      const requestBody = {
-        model: config.llm.model,
-        prompt: promptText,
-        max_tokens: config.llm.maxTokens,
-        temperature: config.llm.temperature,
-        top_p: 0.9,
-        top_k: 50,
-        stop: ["</s>", "Human:", "Assistant:"]
+      const request = {
+        promptName,
+        messages,
+        model: settings.model,
+        apiMode: settings.apiMode,
+        maxTokens: settings.maxTokens,
+        temperature: settings.temperature,
+        topP: settings.topP,
+        topK: settings.topK
       };
 
-      const response = await axios.post(this.baseUrl, requestBody, { headers: this.headers });
-      
-      if (!response.data.choices || response.data.choices.length === 0) {
-        throw new Error('No content generated from LLM');
+      let generatedText;
+      try {
+        logger.info(`Generating content with prompt: ${promptName} (provider: ${settings.provider})`);
+        generatedText = await this.getProvider(settings.provider).complete(request);
+      } catch (error) {
+        const fallback = config.llm.fallbackProvider;
+        if (!fallback || fallback === settings.provider) {
+          throw error;
+        }
+
+        // The prompt-level model belongs to the primary provider, so use the fallback's default
+        logger.warn(`LLM provider ${settings.provider} failed (${error.message}), falling back to ${fallback}`);
+        generatedText = await this.getProvider(fallback).complete({ ...request, model: null, apiMode: null });
       }
       
-      const generatedText = response.data.choices[0].text.trim();
       logger.info('Content generated successfully');
-      
-      return generatedText;
+      return generatedText.trim();
     } catch (error) {
       logger.error('Error generating content with LLM:', error);
       throw error;
@@ -63,7 +107,8 @@ class LLMService {
    * @returns {Promise<string>} - Generated tweet content
    */
   async generateTweet(context = {}) {
-    return this.generateContent('tweet', context);
+    const tweet = await this.generateContent('tweet', context);
+    return this.enforceLength(tweet);
   }
 
   /**
@@ -72,7 +117,57 @@ class LLMService {
    * @returns {Promise<string>} - Generated reply content
    */
   async generateReply(context = {}) {
-    return this.generateContent('reply', context);
+    const reply = await this.generateContent('reply', context);
+    return this.enforceLength(reply, { isReply: true });
+  }
+
+  /**
+   * Make sure generated text fits in a single post
+   * Over-length text is sent back to the LLM to be shortened, and trimmed at a
+   * sentence boundary if it is still too long after the configured attempts
+   * @param {string} text - Generated text
+   * @param {Object} options - Length options
+   * @param {boolean} options.isReply - Whether the text is a reply
+   * @returns {Promise<string>} - Text that fits the length limit
+   */
+  async enforceLength(text, { isReply = false } = {}) {
+    let candidate = text;
+    let check = validateLength(candidate, { isReply });
+    
+    if (check.valid) {
+      logger.info(`Length check passed (${check.weightedLength}/${check.maxLength})`);
+      return candidate;
+    }
+    
+    const originalLength = check.weightedLength;
+    
+    for (let attempt = 1; attempt <= config.llm.shortenAttempts; attempt++) {
+      logger.warn(`Generated text too long (${check.weightedLength}/${check.maxLength}), shortening (attempt ${attempt})`);
+      
+      try {
+        candidate = await this.generateContent('shorten', {
+          text: candidate,
+          weightedLength: check.weightedLength,
+          maxLength: check.maxLength,
+          isReply
+        });
+        // Models often wrap the answer in quotes
+        candidate = candidate.replace(/^"([\s\S]*)"$/, '$1').trim();
+      } catch (error) {
+        logger.error('Error shortening generated text:', error);
+        break;
+      }
+      
+      check = validateLength(candidate, { isReply });
+      if (check.valid) {
+        logger.info(`Length check passed after shortening (${originalLength} -> ${check.weightedLength}/${check.maxLength})`);
+        return candidate;
+      }
+    }
+    
+    const trimmed = trimToLength(candidate, { isReply });
+    logger.warn(`Trimmed generated text at a sentence boundary (${originalLength} -> ${validateLength(trimmed, { isReply }).weightedLength}/${check.maxLength})`);
+    return trimmed;
   }
 
   /**
@@ -0,0 +1,100 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+/**
+ * Parse CoinGecko's formatted money strings such as "$1,234,567"
+ * @param {string|number} value - Value to parse
+ * @returns {number|null}
+ */
+function parseMoney(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const parsed = parseFloat(value.replace(/[$,]/g, ''));
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Market data provider for CoinGecko's trending search
+ */
+class CoinGeckoProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Optional CoinGecko API key
+   */
+  constructor({ apiKey } = {}) {
+    this.name = 'coingecko';
+    this.apiKey = apiKey;
+    // Always use the free API endpoint regardless of API key
+    // Free API also accepts the API key for higher rate limits
+    this.baseUrl = 'https://api.coingecko.com/api/v3';
+  }
+
+  /**
+   * Get trending memecoins
+   * @param {number} limit - Number of tokens to return
+   * @returns {Promise<Array>} - Normalized tokens
+   */
+  async getTrendingTokens(limit = 5) {
+    logger.info('Fetching trending memecoins from CoinGecko');
+
+    const options = {
+      headers: {}
+    };
+
+    if (this.apiKey) {
+      options.headers['x-cg-pro-api-key'] = this.apiKey;
+    }
+
+    const response = await axios.get(`${this.baseUrl}/search/trending`, options);
+
+    if (!response.data || !response.data.coins) {
+      throw new Error('Invalid response from CoinGecko API');
+    }
+
+    // Filter to potential memecoins (this is a simple heuristic that could be improved)
+    return response.data.coins
+      .filter(coin => {
+        const name = coin.item.name.toLowerCase();
+        const symbol = coin.item.symbol.toLowerCase();
+
+        // Basic filter for memecoin-like characteristics
+        return (
+          name.includes('dog') ||
+          name.includes('shib') ||
+          name.includes('pepe') ||
+          name.includes('meme') ||
+          name.includes('elon') ||
+          name.includes('doge') ||
+          symbol.includes('meme') ||
+          (symbol.length <= 4 && !symbol.includes('btc') && !symbol.includes('eth'))
+        );
+      })
+      .slice(0, limit)
+      .map(coin => {
+        const data = coin.item.data || {};
+        const change = data.price_change_percentage_24h || {};
+
+        return {
+          name: coin.item.name,
+          symbol: coin.item.symbol.toUpperCase(),
+          chain: null,
+          address: null,
+          priceUsd: parseMoney(data.price),
+          priceChange24h: typeof change.usd === 'number' ? change.usd : null,
+          liquidityUsd: null,
+          volume24h: parseMoney(data.total_volume),
+          fdv: null,
+          marketCap: parseMoney(data.market_cap),
+          pairCreatedAt: null,
+          rank: coin.item.market_cap_rank || 9999,
+          source: this.name
+        };
+      });
+  }
+}
+
+module.exports = CoinGeckoProvider;
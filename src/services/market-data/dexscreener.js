@@ -0,0 +1,127 @@
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+// DexScreener accepts up to 30 token addresses per request
+const MAX_ADDRESSES = 30;
+
+/**
+ * Market data provider for DexScreener, where memecoin activity shows up first
+ */
+class DexScreenerProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.chain - DexScreener chain ID (e.g. 'solana')
+   * @param {string} options.baseUrl - API base URL
+   */
+  constructor({ chain = 'solana', baseUrl = 'https://api.dexscreener.com' } = {}) {
+    this.name = 'dexscreener';
+    this.chain = chain;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * Get the most-boosted tokens on the configured chain with their best pair's market data
+   * @param {number} limit - Number of tokens to return
+   * @returns {Promise<Array>} - Normalized tokens, highest 24h volume first
+   */
+  async getTrendingTokens(limit = 5) {
+    logger.info(`Fetching trending ${this.chain} tokens from DexScreener`);
+
+    const boosts = await axios.get(`${this.baseUrl}/token-boosts/top/v1`);
+    const addresses = [...new Set(
+      (boosts.data || [])
+        .filter(boost => boost.chainId === this.chain)
+        .map(boost => boost.tokenAddress)
+    )].slice(0, MAX_ADDRESSES);
+
+    if (addresses.length === 0) {
+      return [];
+    }
+
+    const tokens = await this.getTokens(addresses);
+    return tokens
+      .sort((a, b) => (b.volume24h || 0) - (a.volume24h || 0))
+      .slice(0, limit)
+      .map((token, index) => ({ ...token, rank: index + 1 }));
+  }
+
+  /**
+   * Get market data for specific token addresses
+   * @param {Array<string>} addresses - Token addresses on the configured chain
+   * @returns {Promise<Array>} - Normalized tokens
+   */
+  async getTokens(addresses) {
+    const response = await axios.get(`${this.baseUrl}/tokens/v1/${this.chain}/${addresses.join(',')}`);
+    const pairs = Array.isArray(response.data) ? response.data : [];
+
+    // A token trades in several pairs, keep the most liquid one
+    const bestPairs = new Map();
+    pairs.forEach(pair => {
+      const address = pair.baseToken && pair.baseToken.address;
+      if (!address || !addresses.includes(address)) {
+        return;
+      }
+
+      const current = bestPairs.get(address);
+      const liquidity = (pair.liquidity && pair.liquidity.usd) || 0;
+      if (!current || liquidity > ((current.liquidity && current.liquidity.usd) || 0)) {
+        bestPairs.set(address, pair);
+      }
+    });
+
+    return Array.from(bestPairs.values()).map(pair => this.normalizePair(pair));
+  }
+
+  /**
+   * Look up a token by symbol, preferring the most liquid pair on the configured chain
+   * @param {string} symbol - Token symbol
+   * @returns {Promise<Object|null>} - Normalized token, or null if no pair matches
+   */
+  async searchToken(symbol) {
+    const response = await axios.get(`${this.baseUrl}/latest/dex/search`, { params: { q: symbol } });
+    const pairs = ((response.data && response.data.pairs) || [])
+      .filter(pair => pair.baseToken && pair.baseToken.symbol && pair.baseToken.symbol.toUpperCase() === symbol.toUpperCase());
+
+    const onChain = pairs.filter(pair => pair.chainId === this.chain);
+    const candidates = onChain.length > 0 ? onChain : pairs;
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const liquidity = pair => (pair.liquidity && pair.liquidity.usd) || 0;
+    const best = candidates.reduce((a, b) => (liquidity(b) > liquidity(a) ? b : a));
+    return this.normalizePair(best);
+  }
+
+  /**
+   * Convert a DexScreener pair into a normalized token
+   * @param {Object} pair - DexScreener pair
+   * @returns {Object} - Normalized token
+   */
+  normalizePair(pair) {
+    const number = (value) => {
+      const parsed = parseFloat(value);
+      return Number.isNaN(parsed) ? null : parsed;
+    };
+
+    return {
+      name: pair.baseToken.name,
+      symbol: pair.baseToken.symbol.toUpperCase(),
+      chain: pair.chainId,
+      address: pair.baseToken.address,
+      pairAddress: pair.pairAddress,
+      dex: pair.dexId,
+      priceUsd: number(pair.priceUsd),
+      priceChange24h: pair.priceChange ? number(pair.priceChange.h24) : null,
+      liquidityUsd: pair.liquidity ? number(pair.liquidity.usd) : null,
+      volume24h: pair.volume ? number(pair.volume.h24) : null,
+      fdv: number(pair.fdv),
+      marketCap: number(pair.marketCap),
+      pairCreatedAt: pair.pairCreatedAt ? new Date(pair.pairCreatedAt).toISOString() : null,
+      rank: null,
+      source: this.name
+    };
+  }
+}
+
+module.exports = DexScreenerProvider;
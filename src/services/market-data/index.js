@@ -0,0 +1,152 @@
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+const CoinGeckoProvider = require('./coingecko');
+const DexScreenerProvider = require('./dexscreener');
+
+const providerClasses = {
+  coingecko: CoinGeckoProvider,
+  dexscreener: DexScreenerProvider
+};
+
+/**
+ * Format a USD amount compactly, e.g. $1.2M or $0.00001234
+ * @param {number} value - Amount in USD
+ * @returns {string}
+ */
+function formatUsd(value) {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
+  if (abs >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  if (abs >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+  if (abs >= 1) return `$${value.toFixed(2)}`;
+  return `$${value.toPrecision(4)}`;
+}
+
+/**
+ * Service that combines trending token data from several market data providers
+ * Every provider implements `getTrendingTokens(limit)`, and optionally `searchToken(symbol)`,
+ * and resolves to normalized tokens:
+ * { name, symbol, chain, address, priceUsd, priceChange24h, liquidityUsd, volume24h, fdv, marketCap, pairCreatedAt, rank, source }
+ */
+class MarketDataService {
+  constructor() {
+    this.providers = config.marketData.providers.map(name => {
+      const ProviderClass = providerClasses[name];
+      if (!ProviderClass) {
+        throw new Error(`Unknown market data provider "${name}"`);
+      }
+      return new ProviderClass(config.marketData.options[name] || {});
+    });
+  }
+
+  /**
+   * Get trending tokens from all providers, in provider order
+   * Tokens already returned by an earlier provider are skipped
+   * @param {number} limit - Number of tokens to return
+   * @returns {Promise<Array>} - Normalized tokens
+   */
+  async getTrendingTokens(limit = 5) {
+    const tokens = [];
+    const seen = new Set();
+
+    for (const provider of this.providers) {
+      if (tokens.length >= limit) {
+        break;
+      }
+
+      try {
+        const providerTokens = await provider.getTrendingTokens(limit);
+
+        providerTokens.forEach(token => {
+          const key = token.address ? `${token.chain}:${token.address}` : null;
+          // Providers without contract addresses can only be matched by symbol
+          const duplicate = key ? seen.has(key) : tokens.some(t => t.symbol === token.symbol);
+
+          if (!duplicate) {
+            seen.add(key);
+            tokens.push(token);
+          }
+        });
+      } catch (error) {
+        logger.error(`Error fetching trending tokens from ${provider.name}:`, error);
+        // Continue with the next provider
+      }
+    }
+
+    logger.info(`Found ${tokens.length} trending tokens from ${this.providers.map(p => p.name).join(', ')}`);
+    return tokens.slice(0, limit);
+  }
+
+  /**
+   * Look up a single token by symbol using the first provider that supports search
+   * @param {string} symbol - Token symbol
+   * @returns {Promise<Object|null>} - Normalized token, or null if not found
+   */
+  async findToken(symbol) {
+    for (const provider of this.providers.filter(p => typeof p.searchToken === 'function')) {
+      try {
+        const token = await provider.searchToken(symbol);
+        if (token) {
+          return token;
+        }
+      } catch (error) {
+        logger.error(`Error searching ${provider.name} for ${symbol}:`, error);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Age of a token's trading pair in hours
+   * @param {Object} token - Normalized token
+   * @returns {number|null}
+   */
+  getPairAgeHours(token) {
+    if (!token.pairCreatedAt) {
+      return null;
+    }
+    return (Date.now() - new Date(token.pairCreatedAt).getTime()) / (1000 * 60 * 60);
+  }
+
+  /**
+   * Describe a token with its market numbers for use in prompts
+   * e.g. "Bonk (BONK) - $0.00002100, +12.3% 24h, liq $1.2M, vol $3.4M, FDV $800.0M, 36h old, solana"
+   * @param {Object} token - Normalized token
+   * @returns {string}
+   */
+  formatToken(token) {
+    const details = [];
+
+    if (token.priceUsd !== null && token.priceUsd !== undefined) {
+      details.push(formatUsd(token.priceUsd));
+    }
+    if (token.priceChange24h !== null && token.priceChange24h !== undefined) {
+      details.push(`${token.priceChange24h >= 0 ? '+' : ''}${token.priceChange24h.toFixed(1)}% 24h`);
+    }
+    if (token.liquidityUsd) {
+      details.push(`liq ${formatUsd(token.liquidityUsd)}`);
+    }
+    if (token.volume24h) {
+      details.push(`vol ${formatUsd(token.volume24h)}`);
+    }
+    if (token.fdv) {
+      details.push(`FDV ${formatUsd(token.fdv)}`);
+    } else if (token.marketCap) {
+      details.push(`mcap ${formatUsd(token.marketCap)}`);
+    }
+
+    const ageHours = this.getPairAgeHours(token);
+    if (ageHours !== null) {
+      details.push(ageHours < 48 ? `${Math.round(ageHours)}h old` : `${Math.round(ageHours / 24)}d old`);
+    }
+    if (token.chain) {
+      details.push(token.chain);
+    }
+
+    const label = `${token.name} (${token.symbol})`;
+    return details.length > 0 ? `${label} - ${details.join(', ')}` : label;
+  }
+}
+
+module.exports = new MarketDataService();
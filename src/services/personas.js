@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// Jobs that write in a persona's voice
+const JOBS = ['tweet', 'reply', 'trends'];
+
+const EMOJI_DENSITIES = ['none', 'low', 'medium', 'high'];
+
+// 'recent': $ only for tokens from the context's recent tokens, 'never': no $ at all, 'any': no rule
+const CASHTAG_RULES = ['recent', 'never', 'any'];
+
+/**
+ * Check that a field is a list of non-empty strings
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+/**
+ * Service that loads the bot's voice from persona files
+ * Each persona is a YAML or JSON file in the personas directory, named after its ID. Every job
+ * (tweet, reply, trends) has a configured persona. Files are re-read when they change, so a
+ * persona can be tuned without a restart; an edit that doesn't validate is logged and the last
+ * good version stays in use.
+ */
+class PersonaService {
+  constructor() {
+    this.settings = config.personas;
+    this.cache = new Map(); // id -> { file, mtimeMs, persona }
+
+    Object.entries(this.settings.jobs).forEach(([job, id]) => {
+      if (!JOBS.includes(job)) {
+        throw new Error(`Unknown persona job "${job}" (expected ${JOBS.join(', ')})`);
+      }
+      // Fail at startup rather than on the first post
+      this.get(id);
+    });
+  }
+
+  /**
+   * List the persona IDs in the personas directory
+   * @returns {Array<string>}
+   */
+  list() {
+    return fs.readdirSync(this.settings.dir)
+      .filter(file => EXTENSIONS.includes(path.extname(file)))
+      .map(file => path.basename(file, path.extname(file)))
+      .sort();
+  }
+
+  /**
+   * Find the file of a persona
+   * @param {string} id - Persona ID
+   * @returns {string|null} - Path, or null when there is none
+   */
+  findFile(id) {
+    if (!/^[\w-]+$/.test(id)) {
+      return null;
+    }
+
+    return EXTENSIONS
+      .map(extension => path.join(this.settings.dir, `${id}${extension}`))
+      .find(file => fs.existsSync(file)) || null;
+  }
+
+  /**
+   * Get a persona, re-reading its file when it has changed
+   * @param {string} id - Persona ID
+   * @returns {Object} - { id, name, role, voice, slang, emojiDensity, forbiddenTopics, cashtags, examples }
+   */
+  get(id) {
+    const cached = this.cache.get(id);
+    const file = this.findFile(id);
+
+    if (!file) {
+      if (cached) {
+        logger.error(`Persona file for "${id}" is gone, still using the last version`);
+        return cached.persona;
+      }
+      throw new Error(`Persona "${id}" not found in ${this.settings.dir}`);
+    }
+
+    const { mtimeMs } = fs.statSync(file);
+    if (cached && cached.file === file && cached.mtimeMs === mtimeMs) {
+      return cached.persona;
+    }
+
+    try {
+      const persona = this.parse(id, file);
+      this.cache.set(id, { file, mtimeMs, persona });
+      logger.info(`Loaded persona ${id} from ${file}`);
+      return persona;
+    } catch (error) {
+      if (cached) {
+        logger.error(`Invalid persona file ${file}, still using the last version: ${error.message}`);
+        return cached.persona;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read and validate a persona file
+   * @param {string} id - Persona ID
+   * @param {string} file - Path to the file
+   * @returns {Object} - The persona, with defaults for optional fields
+   */
+  parse(id, file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const data = path.extname(file) === '.json' ? JSON.parse(text) : yaml.load(text);
+    const fail = (message) => {
+      throw new Error(`Persona ${file}: ${message}`);
+    };
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      fail('must be an object');
+    }
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      fail('needs a name');
+    }
+    if (typeof data.role !== 'string' || !data.role.trim()) {
+      fail('needs a role, e.g. "a witty memecoin influencer"');
+    }
+
+    const persona = {
+      id,
+      name: data.name.trim(),
+      role: data.role.trim(),
+      voice: typeof data.voice === 'string' ? [data.voice] : (data.voice || []),
+      slang: data.slang || [],
+      emojiDensity: data.emojiDensity || null,
+      forbiddenTopics: data.forbiddenTopics || [],
+      cashtags: data.cashtags || 'any',
+      examples: data.examples || []
+    };
+
+    ['voice', 'slang', 'forbiddenTopics', 'examples'].forEach(field => {
+      if (!isStringList(persona[field])) {
+        fail(`${field} must be a list of strings`);
+      }
+    });
+    if (persona.emojiDensity && !EMOJI_DENSITIES.includes(persona.emojiDensity)) {
+      fail(`emojiDensity must be one of ${EMOJI_DENSITIES.join(', ')}`);
+    }
+    if (!CASHTAG_RULES.includes(persona.cashtags)) {
+      fail(`cashtags must be one of ${CASHTAG_RULES.join(', ')}`);
+    }
+
+    return persona;
+  }
+
+  /**
+   * Get the persona a job writes in
+   * @param {string} job - 'tweet', 'reply' or 'trends'
+   * @param {Object} account - Bot account whose persona to use; without one, the configured default
+   * @param {string} override - Persona ID to use instead, e.g. from a prompt variant
+   * @returns {Object}
+   */
+  forJob(job, account = null, override = null) {
+    return this.get(override || (account ? account.personas[job] : this.settings.jobs[job]));
+  }
+}
+
+module.exports = new PersonaService();
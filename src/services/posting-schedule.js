@@ -0,0 +1,289 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const engagementModel = require('../models/engagement');
+const stateModel = require('../models/state');
+
+// bot_state key holding today's posting plan, after the account ID
+const PLAN_KEY = 'posting.plan';
+
+// Tweet types whose timing is planned and learned from
+const PLANNED_TYPES = ['generated', 'manual'];
+
+// A slot can still be posted this long after its time, e.g. when the bot was restarting
+const LATE_MINUTES = 30;
+
+// How many posts' worth of weight the broader average gets when blending a sparse hour or weekday
+const PRIOR_WEIGHT = 3;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Blend a sample mean with a prior, weighted by how many samples there are
+ * @param {number} sum - Sum of the samples
+ * @param {number} count - Number of samples
+ * @param {number} prior - Mean to fall back on
+ * @returns {number}
+ */
+const shrink = (sum, count, prior) => (sum + PRIOR_WEIGHT * prior) / (count + PRIOR_WEIGHT);
+
+/**
+ * Round to two decimals for reporting
+ * @param {number} value - Value to round
+ * @returns {number}
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Service that plans when each day's tweets go out
+ * Engagement at one tracking horizon is averaged by hour of day and by weekday hour. Each hour's
+ * score is its weekday mean, blended towards the hour's mean across all days and then the overall
+ * mean when there are few posts to go on. The best hours are picked within the daily budget,
+ * keeping the minimum spacing between posts. Until there's enough history, slots are spread evenly.
+ * The plan is kept in bot_state so restarts neither lose nor repeat a day's slots.
+ *
+ * Every account has its own plan, made from its own posts, with its own budget and spacing.
+ */
+class PostingScheduleService {
+  constructor() {
+    this.settings = config.postingSchedule;
+  }
+
+  /**
+   * Average an account's engagement by hour of day and by weekday
+   * @param {Object} account - Bot account
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - { horizon, lookbackDays, samples, meanEngagement, byHour, byWeekday, cells }
+   */
+  async getEvidence(account, now = new Date()) {
+    const since = new Date(now.getTime() - this.settings.lookbackDays * DAY_MS).toISOString();
+    const rows = await engagementModel.getPostingHistory({
+      since,
+      types: PLANNED_TYPES,
+      horizon: this.settings.horizon,
+      account: account.id
+    });
+
+    const empty = () => ({ samples: 0, sum: 0 });
+    const byHour = Array.from({ length: 24 }, empty);
+    const byWeekday = Array.from({ length: 7 }, empty);
+    const cells = Array.from({ length: 7 }, () => Array.from({ length: 24 }, empty));
+    let sum = 0;
+
+    for (const row of rows) {
+      const postedAt = new Date(row.created_at);
+      const hour = postedAt.getUTCHours();
+      const day = postedAt.getUTCDay();
+
+      for (const bucket of [byHour[hour], byWeekday[day], cells[day][hour]]) {
+        bucket.samples += 1;
+        bucket.sum += row.engagement_score;
+      }
+      sum += row.engagement_score;
+    }
+
+    const mean = (bucket) => (bucket.samples > 0 ? round(bucket.sum / bucket.samples) : null);
+
+    return {
+      horizon: this.settings.horizon,
+      lookbackDays: this.settings.lookbackDays,
+      samples: rows.length,
+      meanEngagement: rows.length > 0 ? round(sum / rows.length) : null,
+      byHour: byHour.map((bucket, hour) => ({ hour, samples: bucket.samples, meanEngagement: mean(bucket) })),
+      byWeekday: byWeekday.map((bucket, day) => ({ day: WEEKDAYS[day], samples: bucket.samples, meanEngagement: mean(bucket) })),
+      // Raw sums, used for scoring and left out of the stored plan
+      cells,
+      sums: { overall: sum, byHour }
+    };
+  }
+
+  /**
+   * Plan the rest of an account's slots for today
+   * @param {Object} account - Bot account
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} - The plan: { date, generatedAt, basis, budget, postedToday, slots, evidence }
+   */
+  async planDay(account, now = new Date()) {
+    const { dailyBudget, minSpacingMinutes } = account.schedule;
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const spacingMs = minSpacingMinutes * 60 * 1000;
+
+    // Posts already out today use up the budget, and the latest one counts for spacing
+    const recent = await engagementModel.getPostTimesSince({
+      since: new Date(Math.min(dayStart.getTime(), now.getTime() - spacingMs)).toISOString(),
+      types: PLANNED_TYPES,
+      account: account.id
+    });
+    const postedToday = recent.filter(time => new Date(time) >= dayStart).length;
+    const taken = recent.map(time => new Date(time).getTime());
+    const budget = Math.max(dailyBudget - postedToday, 0);
+
+    const { cells, sums, ...evidence } = await this.getEvidence(account, now);
+    const basis = evidence.samples >= this.settings.minSamples ? 'history' : 'default';
+    const weekday = dayStart.getUTCDay();
+    const overall = evidence.samples > 0 ? sums.overall / evidence.samples : 0;
+
+    const candidates = [];
+    for (let hour = 0; hour < 24; hour++) {
+      const at = dayStart.getTime() + hour * HOUR_MS;
+      if (at <= now.getTime()) {
+        continue;
+      }
+
+      const hourBucket = sums.byHour[hour];
+      const cell = cells[weekday][hour];
+      const hourScore = shrink(hourBucket.sum, hourBucket.samples, overall);
+
+      candidates.push({
+        at,
+        hour,
+        score: round(shrink(cell.sum, cell.samples, hourScore)),
+        samples: cell.samples,
+        hourSamples: hourBucket.samples
+      });
+    }
+
+    if (basis === 'history') {
+      // Best first; on a tie, the hour with less evidence, so it gets tried
+      candidates.sort((a, b) => b.score - a.score || a.hourSamples - b.hourSamples || a.hour - b.hour);
+    } else {
+      // Without enough history, post on the same even grid a fixed interval would use
+      const step = Math.max(Math.floor(24 / Math.max(dailyBudget, 1)), 1);
+      candidates.splice(0, candidates.length, ...candidates.filter(slot => slot.hour % step === 0));
+    }
+
+    const chosen = [];
+    for (const slot of candidates) {
+      if (chosen.length >= budget) {
+        break;
+      }
+      if (taken.every(time => Math.abs(slot.at - time) >= spacingMs)) {
+        chosen.push(slot);
+        taken.push(slot.at);
+      }
+    }
+
+    const plan = {
+      date: dayStart.toISOString().slice(0, 10),
+      generatedAt: now.toISOString(),
+      basis,
+      budget: dailyBudget,
+      minSpacingMinutes,
+      postedToday,
+      slots: chosen
+        .sort((a, b) => a.at - b.at)
+        .map(slot => ({ ...slot, at: new Date(slot.at).toISOString(), status: 'planned' })),
+      evidence
+    };
+
+    await this.savePlan(account, plan);
+    logger.info(`Planned ${plan.slots.length} ${account.id} tweet slots for ${plan.date} from ${basis === 'history' ? `${evidence.samples} measured posts` : 'an even spread'}: ${plan.slots.map(slot => `${slot.hour}:00`).join(', ') || 'none'}`);
+    return plan;
+  }
+
+  /**
+   * Get an account's plan for today, planning the day if it hasn't been yet
+   * @param {Object} account - Bot account
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>}
+   */
+  async getPlan(account, now = new Date()) {
+    const plan = await this.loadPlan(account);
+
+    if (plan && plan.date === now.toISOString().slice(0, 10)) {
+      return plan;
+    }
+    return this.planDay(account, now);
+  }
+
+  /**
+   * Get an account's stored plan, whatever day it is for
+   * @param {Object} account - Bot account
+   * @returns {Promise<Object|null>}
+   */
+  async loadPlan(account) {
+    const stored = await stateModel.get(`${account.id}:${PLAN_KEY}`);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  /**
+   * Store an account's plan
+   * @param {Object} account - Bot account
+   * @param {Object} plan - Plan to store
+   * @returns {Promise<void>}
+   */
+  savePlan(account, plan) {
+    return stateModel.set(`${account.id}:${PLAN_KEY}`, JSON.stringify(plan));
+  }
+
+  /**
+   * Claim an account's slot that is due now, marking slots that were passed by too long as missed
+   * @param {Object} account - Bot account
+   * @param {Date} now - Current time
+   * @returns {Promise<Object|null>} - The claimed slot, or null when nothing is due
+   */
+  async claimDueSlot(account, now = new Date()) {
+    const plan = await this.getPlan(account, now);
+    let due = null;
+    let changed = false;
+
+    for (const slot of plan.slots) {
+      if (slot.status !== 'planned' || new Date(slot.at) > now) {
+        continue;
+      }
+
+      changed = true;
+      if (due || now - new Date(slot.at) > LATE_MINUTES * 60 * 1000) {
+        slot.status = 'missed';
+        logger.warn(`Missed ${account.id} tweet slot at ${slot.at}`);
+      } else {
+        slot.status = 'posting';
+        due = slot;
+      }
+    }
+
+    if (changed) {
+      await this.savePlan(account, plan);
+    }
+    return due;
+  }
+
+  /**
+   * Record how a claimed slot went
+   * Never plans a day: once midnight has passed the stored plan is the next day's, and the outcome is only logged.
+   * @param {Object} account - Bot account
+   * @param {Object} slot - Slot from claimDueSlot
+   * @param {Object} outcome - { status: 'posted', 'drafted' or 'failed', tweetId, draftId, error }
+   * @returns {Promise<void>}
+   */
+  async completeSlot(account, slot, outcome) {
+    const plan = await this.loadPlan(account);
+    const stored = plan && plan.date === slot.at.slice(0, 10)
+      ? plan.slots.find(candidate => candidate.at === slot.at)
+      : null;
+
+    if (!stored) {
+      logger.info(`${account.id} tweet slot at ${slot.at} ended ${outcome.status}, but it is no longer in the stored plan`);
+      return;
+    }
+
+    Object.assign(stored, outcome);
+    await this.savePlan(account, plan);
+  }
+
+  /**
+   * Time of an account's next slot still to be posted
+   * @param {Object} account - Bot account
+   * @param {Date} now - Current time
+   * @returns {Promise<string|null>} - ISO timestamp, or null when today's slots are done
+   */
+  async getNextSlotTime(account, now = new Date()) {
+    const plan = await this.getPlan(account, now);
+    const next = plan.slots.find(slot => slot.status === 'planned' && new Date(slot.at) > now);
+    return next ? next.at : null;
+  }
+}
+
+module.exports = new PostingScheduleService();
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const config = require('../config/config');
+const defaultVariants = require('../config/prompt-variants');
+const logger = require('../utils/logger');
+const engagementModel = require('../models/engagement');
+const personas = require('./personas');
+
+const STRATEGIES = ['weighted', 'epsilon-greedy', 'thompson'];
+
+// z value for 95% confidence intervals
+const Z_95 = 1.96;
+
+/**
+ * Draw from a normal distribution (Box-Muller)
+ * @param {number} mean - Mean
+ * @param {number} sd - Standard deviation
+ * @returns {number}
+ */
+const sampleNormal = (mean, sd) => {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Pick a variant at random in proportion to its weight
+ * @param {Array<Object>} variants - Variants with weights
+ * @returns {Object}
+ */
+const pickWeighted = (variants) => {
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let roll = Math.random() * total;
+
+  for (const variant of variants) {
+    roll -= variant.weight;
+    if (roll < 0) {
+      return variant;
+    }
+  }
+  return variants[variants.length - 1];
+};
+
+/**
+ * Service that runs A/B tests between versions of the tweet and reply prompts
+ * Each generation is assigned a variant; engagement at a fixed tracking horizon is compared per
+ * variant, and traffic can be shifted toward the winner with epsilon-greedy or Thompson sampling.
+ */
+class PromptExperimentService {
+  constructor() {
+    this.settings = config.promptExperiments;
+
+    if (!STRATEGIES.includes(this.settings.strategy)) {
+      throw new Error(`Unknown prompt variant strategy "${this.settings.strategy}" (expected ${STRATEGIES.join(', ')})`);
+    }
+
+    this.variants = this.loadVariants(this.settings.path);
+  }
+
+  /**
+   * Load variants, overriding default prompt lists with those in a JSON file
+   * @param {string} path - Optional path to a JSON variants file
+   * @returns {Object} - Prompt name -> list of variants
+   */
+  loadVariants(path) {
+    const variants = path
+      ? { ...defaultVariants, ...JSON.parse(fs.readFileSync(path, 'utf8')) }
+      : defaultVariants;
+
+    Object.entries(variants).forEach(([prompt, list]) => {
+      const ids = new Set();
+
+      list.forEach(variant => {
+        if (variant.id !== prompt && !String(variant.id).startsWith(`${prompt}:`)) {
+          throw new Error(`Variant "${variant.id}" of the ${prompt} prompt must be named "${prompt}" or "${prompt}:<name>"`);
+        }
+        if (ids.has(variant.id)) {
+          throw new Error(`Duplicate prompt variant "${variant.id}"`);
+        }
+        if (typeof variant.weight !== 'number' || variant.weight < 0) {
+          throw new Error(`Prompt variant "${variant.id}" needs a weight of 0 or more`);
+        }
+        if (variant.persona && !personas.findFile(variant.persona)) {
+          throw new Error(`Prompt variant "${variant.id}" uses unknown persona "${variant.persona}"`);
+        }
+        ids.add(variant.id);
+      });
+    });
+
+    if (path) {
+      logger.info(`Loaded prompt variants from ${path}: ${Object.keys(variants).join(', ')}`);
+    }
+    return variants;
+  }
+
+  /**
+   * Assign a variant to the next generation from a prompt
+   * @param {string} prompt - 'tweet' or 'reply'
+   * @returns {Promise<Object>} - The variant ({ id, persona, system, instructions }), stored in the generation context
+   */
+  async assign(prompt) {
+    const active = (this.variants[prompt] || []).filter(variant => variant.weight > 0);
+
+    if (active.length === 0) {
+      return { id: prompt };
+    }
+
+    let variant = pickWeighted(active);
+
+    if (active.length > 1 && this.settings.strategy !== 'weighted') {
+      try {
+        variant = await this.pickAdaptive(prompt, active);
+      } catch (error) {
+        // Fall back to the weighted pick rather than not posting
+        logger.error(`Error picking an adaptive ${prompt} prompt variant:`, error);
+      }
+    }
+
+    logger.info(`Using ${prompt} prompt variant ${variant.id}`);
+    const { weight, ...assigned } = variant;
+    return assigned;
+  }
+
+  /**
+   * Pick a variant using engagement so far
+   * Variants with fewer than minSamples measured posts are explored first.
+   * @param {string} prompt - Prompt name
+   * @param {Array<Object>} active - Variants with a weight above 0
+   * @returns {Promise<Object>}
+   */
+  async pickAdaptive(prompt, active) {
+    const stats = await this.getStats(prompt);
+    const statsFor = (variant) => stats.get(variant.id) || { samples: 0, mean: 0, sd: 0 };
+
+    const untested = active.filter(variant => statsFor(variant).samples < this.settings.minSamples);
+    if (untested.length > 0) {
+      return pickWeighted(untested);
+    }
+
+    if (this.settings.strategy === 'epsilon-greedy') {
+      if (Math.random() < this.settings.epsilon) {
+        return pickWeighted(active);
+      }
+      return active.reduce((best, variant) => (statsFor(variant).mean > statsFor(best).mean ? variant : best));
+    }
+
+    // Thompson sampling: draw each variant's mean from its posterior and take the highest draw
+    const draws = active.map(variant => {
+      const { samples, mean, sd } = statsFor(variant);
+      return { variant, draw: sampleNormal(mean, sd / Math.sqrt(samples)) };
+    });
+    return draws.reduce((best, draw) => (draw.draw > best.draw ? draw : best)).variant;
+  }
+
+  /**
+   * Engagement statistics of every variant of a prompt at the comparison horizon
+   * @param {string} prompt - Prompt name
+   * @returns {Promise<Map>} - Variant ID -> { samples, mean, sd, ci: [low, high] }
+   */
+  async getStats(prompt) {
+    const rows = await engagementModel.getVariantEngagement(prompt, this.settings.horizon);
+    const scores = new Map();
+
+    rows.forEach(row => {
+      if (!scores.has(row.prompt_used)) {
+        scores.set(row.prompt_used, []);
+      }
+      scores.get(row.prompt_used).push(row.engagement_score);
+    });
+
+    const stats = new Map();
+    scores.forEach((values, id) => {
+      const samples = values.length;
+      const mean = values.reduce((sum, value) => sum + value, 0) / samples;
+      const variance = samples > 1
+        ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (samples - 1)
+        : 0;
+      const sd = Math.sqrt(variance);
+      const margin = samples > 1 ? Z_95 * sd / Math.sqrt(samples) : null;
+
+      stats.set(id, {
+        samples,
+        mean,
+        sd,
+        ci: margin === null ? null : [mean - margin, mean + margin]
+      });
+    });
+
+    return stats;
+  }
+
+  /**
+   * Report per-variant engagement for every prompt under test
+   * @returns {Promise<Object>} - { strategy, horizon, prompts: { [prompt]: [variant report] } }
+   */
+  async getReport() {
+    const prompts = {};
+
+    for (const [prompt, variants] of Object.entries(this.variants)) {
+      const stats = await this.getStats(prompt);
+      const configured = variants.map(variant => variant.id);
+      // Variants no longer configured still have history worth showing
+      const ids = [...configured, ...[...stats.keys()].filter(id => !configured.includes(id))];
+
+      prompts[prompt] = ids.map(id => {
+        const variant = variants.find(v => v.id === id);
+        const { samples = 0, mean = null, ci = null } = stats.get(id) || {};
+
+        return {
+          id,
+          active: Boolean(variant && variant.weight > 0),
+          weight: variant ? variant.weight : 0,
+          samples,
+          meanEngagement: mean,
+          ci95: ci
+        };
+      });
+    }
+
+    return { strategy: this.settings.strategy, horizon: this.settings.horizon, prompts };
+  }
+}
+
+module.exports = new PromptExperimentService();
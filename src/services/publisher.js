@@ -0,0 +1,352 @@
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const engagementModel = require('../models/engagement');
+const draftModel = require('../models/draft');
+const tokenRegistry = require('./token-registry');
+const contentPolicy = require('./content-policy');
+const engagementTracker = require('./engagement-tracker');
+const templates = require('./templates');
+const { validateLength } = require('../utils/tweet-length');
+const { composeThread } = require('../utils/thread');
+
+/**
+ * Service that decides whether outbound content is posted directly or queued for approval
+ * Every outbound post goes through the content policy once on its way out: in submit* for direct
+ * posts, and in publish* for approved drafts, whose text may have been edited since. Posts are
+ * posted with and recorded under the bot account passed in the options.
+ */
+class PublisherService {
+  /**
+   * Whether generated content must be approved before posting
+   * @returns {boolean}
+   */
+  isApprovalRequired() {
+    return config.approval.enabled;
+  }
+
+  /**
+   * Get the version of the template a post was generated from, storing the template text
+   * @param {string} promptUsed - Prompt name or variant ID (e.g. 'tweet:question'); null for manual posts
+   * @returns {Promise<string|null>} - Template version, or null when it can't be told
+   */
+  async getTemplateVersion(promptUsed) {
+    if (!promptUsed) {
+      return null;
+    }
+
+    try {
+      return await templates.record(promptUsed.split(':')[0]);
+    } catch (error) {
+      // Losing the version is better than losing the post
+      logger.error(`Error recording the template version of ${promptUsed}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Submit a tweet for posting, or queue it as a draft in approval mode
+   * @param {string} content - The tweet content
+   * @param {Object} options - Posting options
+   * @param {Object} options.account - Bot account to post as
+   * @param {string} options.type - Tweet type recorded in the database
+   * @param {string} options.promptUsed - The prompt template used
+   * @param {Object} options.context - Context data provided to the LLM
+   * @param {Function} options.regenerate - Produces a new version when the content policy asks for one
+   * @returns {Promise<Object>} - { status: 'posted', tweet } or { status: 'drafted', draft }
+   */
+  async submitTweet(content, { account, type = 'generated', promptUsed = 'tweet', context = null, regenerate = null }) {
+    const policy = await contentPolicy.enforce(content, { kind: 'tweet', context, regenerate, account: account.id });
+    content = policy.text;
+    const templateVersion = await this.getTemplateVersion(promptUsed);
+    
+    if (this.isApprovalRequired()) {
+      const draft = await draftModel.createDraft({
+        account: account.id,
+        type: 'tweet',
+        content,
+        tweetType: type,
+        promptUsed,
+        templateVersion,
+        context
+      });
+      return { status: 'drafted', draft };
+    }
+
+    const tweet = await this.publishTweet(content, { account, type, promptUsed, templateVersion, context, policy });
+    return { status: 'posted', tweet };
+  }
+
+  /**
+   * Submit a reply for posting, or queue it as a draft in approval mode
+   * @param {string} inReplyToId - The ID of the tweet to reply to
+   * @param {string} content - The reply content
+   * @param {Object} options - Posting options
+   * @param {Object} options.account - Bot account to post as
+   * @param {string} options.promptUsed - The prompt template used
+   * @param {Object} options.context - Context data provided to the LLM
+   * @param {Function} options.regenerate - Produces a new version when the content policy asks for one
+   * @returns {Promise<Object>} - { status: 'posted', tweet } or { status: 'drafted', draft }
+   */
+  async submitReply(inReplyToId, content, { account, promptUsed = 'reply', context = null, regenerate = null }) {
+    const policy = await contentPolicy.enforce(content, { kind: 'reply', context, regenerate, account: account.id });
+    content = policy.text;
+    const templateVersion = await this.getTemplateVersion(promptUsed);
+    
+    if (this.isApprovalRequired()) {
+      const draft = await draftModel.createDraft({
+        account: account.id,
+        type: 'reply',
+        content,
+        tweetType: 'reply',
+        promptUsed,
+        templateVersion,
+        context,
+        inReplyToId
+      });
+      return { status: 'drafted', draft };
+    }
+
+    const tweet = await this.publishReply(inReplyToId, content, { account, promptUsed, templateVersion, context, policy });
+    return { status: 'posted', tweet };
+  }
+
+  /**
+   * Submit long content as a thread, or queue it as a draft in approval mode
+   * @param {string} content - Full content, split into numbered tweets when posted
+   * @param {Object} options - Posting options
+   * @param {Object} options.account - Bot account to post as
+   * @param {string} options.type - Thread type recorded in the database
+   * @param {string} options.promptUsed - The prompt template used
+   * @param {Object} options.context - Context data provided to the LLM
+   * @param {Function} options.regenerate - Produces a new version when the content policy asks for one
+   * @returns {Promise<Object>} - { status: 'posted', thread } or { status: 'drafted', draft }
+   */
+  async submitThread(content, { account, type = 'thread', promptUsed = null, context = null, regenerate = null }) {
+    const policy = await contentPolicy.enforce(content, { kind: 'thread', context, regenerate, account: account.id });
+    content = policy.text;
+    const templateVersion = await this.getTemplateVersion(promptUsed);
+    
+    if (this.isApprovalRequired()) {
+      const draft = await draftModel.createDraft({
+        account: account.id,
+        type: 'thread',
+        content,
+        tweetType: type,
+        promptUsed,
+        templateVersion,
+        context
+      });
+      return { status: 'drafted', draft };
+    }
+
+    const thread = await this.publishThread(content, { account, type, promptUsed, templateVersion, context, policy });
+    return { status: 'posted', thread };
+  }
+
+  /**
+   * Refuse to post text that X would reject for its length
+   * @param {string} content - Text to post
+   * @param {Object} options - Length options
+   * @param {boolean} options.isReply - Whether the text is a reply
+   */
+  assertValidLength(content, { isReply = false } = {}) {
+    const check = validateLength(content, { isReply });
+    
+    if (!check.valid) {
+      throw new Error(`Post length ${check.weightedLength} is outside the allowed 1-${check.maxLength} characters`);
+    }
+  }
+
+  /**
+   * Post a tweet and record it in the engagement database
+   * The content policy is applied here unless submitTweet already applied it; content without a prompt is checked as manual.
+   * @param {string} content - The tweet content
+   * @param {Object} options - See submitTweet, plus the templateVersion the content was generated from and the
+   *   policy decision already made for this text, if any ({ text, similarity } from contentPolicy.enforce)
+   * @returns {Promise<Object>} - Posted tweet data
+   */
+  async publishTweet(content, { account, type = 'generated', promptUsed = 'tweet', templateVersion = null, context = null, policy = null }) {
+    let similarity;
+    ({ text: content, similarity } = policy || await contentPolicy.enforce(content, { kind: promptUsed ? 'tweet' : 'manual', context, account: account.id }));
+    this.assertValidLength(content);
+    const tweet = await account.twitter.postTweet(content);
+
+    const createdAt = new Date().toISOString();
+    await engagementModel.saveTweet(
+      {
+        id: tweet.id,
+        text: content,
+        created_at: createdAt,
+        type,
+        similarity_score: similarity ? similarity.score : null,
+        template_version: templateVersion,
+        account: account.id
+      },
+      promptUsed,
+      context
+    );
+    await tokenRegistry.linkTweet(tweet.id, content, context);
+    await engagementTracker.enroll(tweet.id, createdAt);
+
+    return tweet;
+  }
+
+  /**
+   * Post a reply and record it in the engagement database
+   * The content policy is applied here unless submitReply already applied it.
+   * @param {string} inReplyToId - The ID of the tweet to reply to
+   * @param {string} content - The reply content
+   * @param {Object} options - See publishTweet
+   * @returns {Promise<Object>} - Posted reply data
+   */
+  async publishReply(inReplyToId, content, { account, promptUsed = 'reply', templateVersion = null, context = null, policy = null }) {
+    let similarity;
+    ({ text: content, similarity } = policy || await contentPolicy.enforce(content, { kind: 'reply', context, account: account.id }));
+    this.assertValidLength(content, { isReply: true });
+    const reply = await account.twitter.replyToTweet(inReplyToId, content);
+
+    const createdAt = new Date().toISOString();
+    await engagementModel.saveTweet(
+      {
+        id: reply.id,
+        text: content,
+        created_at: createdAt,
+        type: 'reply',
+        similarity_score: similarity ? similarity.score : null,
+        template_version: templateVersion,
+        account: account.id
+      },
+      promptUsed,
+      context
+    );
+    await tokenRegistry.linkTweet(reply.id, content, context);
+    await engagementTracker.enroll(reply.id, createdAt);
+
+    logger.info(`Recorded reply ${reply.id} to tweet ${inReplyToId}`);
+    return reply;
+  }
+
+  /**
+   * Post content as a numbered reply chain and record it as one thread
+   * The root tweet is also recorded in the tweets table so its engagement is tracked. The content policy is
+   * applied here unless submitThread already applied it.
+   * @param {string} content - Full content to split into tweets
+   * @param {Object} options - See publishTweet
+   * @returns {Promise<Object>} - The saved thread record
+   */
+  async publishThread(content, { account, type = 'thread', promptUsed = null, templateVersion = null, context = null, policy = null }) {
+    let similarity;
+    ({ text: content, similarity } = policy || await contentPolicy.enforce(content, { kind: 'thread', context, account: account.id }));
+    const similarityScore = similarity ? similarity.score : null;
+    const parts = composeThread(content);
+    
+    if (parts.length === 0) {
+      throw new Error('Cannot post an empty thread');
+    }
+    
+    logger.info(`Posting thread of ${parts.length} tweets`);
+    
+    const tweetIds = [];
+    try {
+      await this.postThreadParts(account, parts, tweetIds);
+    } catch (error) {
+      // Keep a record of whatever made it out so the partial thread can be found and finished
+      if (tweetIds.length === 0) {
+        throw error;
+      }
+      await this.recordThread(tweetIds, parts.slice(0, tweetIds.length), { account, type, promptUsed, templateVersion, context, similarityScore });
+      error.partialThread = { rootTweetId: tweetIds[0], content };
+      throw error;
+    }
+    
+    return this.recordThread(tweetIds, parts, { account, type, promptUsed, templateVersion, context, similarityScore });
+  }
+
+  /**
+   * Post the rest of a thread that stopped partway, replying to its last posted tweet
+   * The content is not checked against the policy again: it passed when the thread was started,
+   * and the novelty check would now match the thread's own first tweets.
+   * @param {string} rootTweetId - Root tweet of the partly posted thread
+   * @param {string} content - Full content the thread was posted from (partialThread.content of the error)
+   * @param {Object} options - Posting options
+   * @param {Object} options.account - Bot account that posted the thread
+   * @returns {Promise<Object>} - The updated thread record
+   */
+  async resumeThread(rootTweetId, content, { account }) {
+    const thread = await engagementModel.getThreadByRoot(rootTweetId);
+    if (!thread) {
+      throw new Error(`Thread ${rootTweetId} not found`);
+    }
+    
+    const parts = composeThread(content);
+    const tweetIds = [...thread.tweetIds];
+    if (thread.parts.some((part, index) => part !== parts[index])) {
+      throw new Error(`Thread ${rootTweetId} no longer matches its content`);
+    }
+    
+    logger.info(`Resuming thread ${rootTweetId} at tweet ${tweetIds.length + 1} of ${parts.length}`);
+    
+    try {
+      await this.postThreadParts(account, parts, tweetIds);
+    } catch (error) {
+      if (tweetIds.length > thread.tweetIds.length) {
+        await engagementModel.updateThread(thread.id, { tweetIds, parts: parts.slice(0, tweetIds.length) });
+      }
+      error.partialThread = { rootTweetId, content };
+      throw error;
+    }
+    
+    return engagementModel.updateThread(thread.id, { tweetIds, parts });
+  }
+
+  /**
+   * Post the parts of a thread that aren't out yet as a reply chain
+   * @param {Object} account - Bot account to post as
+   * @param {Array<string>} parts - Text of every tweet in the thread
+   * @param {Array<string>} tweetIds - IDs of the tweets posted so far; each new tweet's ID is added as it goes out
+   */
+  async postThreadParts(account, parts, tweetIds) {
+    try {
+      for (const part of parts.slice(tweetIds.length)) {
+        const tweet = tweetIds.length === 0
+          ? await account.twitter.postTweet(part)
+          : await account.twitter.replyToTweet(tweetIds[tweetIds.length - 1], part);
+        tweetIds.push(tweet.id);
+      }
+    } catch (error) {
+      logger.error(`Thread stopped after ${tweetIds.length} of ${parts.length} tweets:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a posted thread and its root tweet
+   * @param {Array<string>} tweetIds - Posted tweet IDs, root first
+   * @param {Array<string>} parts - Text of each posted tweet
+   * @param {Object} options - See publishThread, plus the similarityScore of the full content
+   * @returns {Promise<Object>} - The saved thread record
+   */
+  async recordThread(tweetIds, parts, { account, type, promptUsed, templateVersion = null, context, similarityScore = null }) {
+    const createdAt = new Date().toISOString();
+    await engagementModel.saveTweet(
+      {
+        id: tweetIds[0],
+        text: parts[0],
+        created_at: createdAt,
+        type,
+        similarity_score: similarityScore,
+        template_version: templateVersion,
+        account: account.id
+      },
+      promptUsed,
+      context
+    );
+    await tokenRegistry.linkTweet(tweetIds[0], parts.join('\n'), context);
+    // Tracked by its root tweet, like the tweets table records it
+    await engagementTracker.enroll(tweetIds[0], createdAt);
+    
+    return engagementModel.saveThread({ tweetIds, parts, type, templateVersion, account: account.id }, promptUsed, context);
+  }
+}
+
+module.exports = new PublisherService();
@@ -0,0 +1,315 @@
+const logger = require('../utils/logger');
+const stateModel = require('../models/state');
+const { httpError } = require('../utils/errors');
+
+// Call priorities, most urgent first: replies go out before new posts, and both before any reads
+const PRIORITIES = ['reply', 'post', 'read', 'background'];
+
+// Endpoint every tweet, reply and thread part is posted to; these count towards the monthly post cap
+const POST_ENDPOINT = 'POST /2/tweets';
+
+// bot_state key holding the month's post count, after the account ID
+const MONTHLY_POSTS_KEY = 'x.monthly_posts';
+
+// X API calls an account makes at the same time; the rest wait in the queue by priority
+const CONCURRENCY = 2;
+
+/**
+ * Name an X API endpoint the way its rate limits are tracked, with IDs replaced by :id
+ * @param {string} method - HTTP method
+ * @param {URL|string} url - Request URL
+ * @returns {string} - e.g. 'GET /2/users/:id/tweets'
+ */
+function endpointKey(method, url) {
+  const { pathname } = typeof url === 'string' ? new URL(url) : url;
+  // The leading segment is the API version (/2), not an ID
+  return `${method.toUpperCase()} ${pathname.replace(/(?!^)\/\d+(?=\/|$)/g, '/:id')}`;
+}
+
+/**
+ * Read one rate-limit window from response headers, e.g. x-user-limit-24hour-*
+ * @param {Object} headers - Response headers
+ * @param {string} prefix - Header name prefix
+ * @returns {Object|null} - { limit, remaining, reset } with reset in epoch seconds
+ */
+function headerLimit(headers, prefix) {
+  if (!headers || headers[`${prefix}-limit`] === undefined) {
+    return null;
+  }
+
+  return {
+    limit: Number(headers[`${prefix}-limit`]),
+    remaining: Number(headers[`${prefix}-remaining`]),
+    reset: Number(headers[`${prefix}-reset`])
+  };
+}
+
+/**
+ * Error for a call that was not made because its quota is used up
+ * @param {string} message - Error message
+ * @param {number} retryAt - When the quota frees up, in epoch milliseconds
+ * @returns {Error}
+ */
+function rateLimitError(message, retryAt) {
+  const error = httpError(429, message);
+  error.rateLimited = true;
+  error.retryAt = new Date(retryAt).toISOString();
+  return error;
+}
+
+/**
+ * Rate-limit and quota manager for one account's X API client
+ * Every call goes through a priority queue. The x-rate-limit-* headers of each response are recorded per
+ * endpoint, and a call whose window is used up is held until the window resets. Background reads are
+ * deferred instead, and leave part of every window to the more urgent calls. Posts also count towards a
+ * monthly cap, which survives restarts.
+ */
+class RateLimitManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {string} options.account - ID of the account the client belongs to
+   * @param {number} options.monthlyPostCap - Posts allowed per calendar month (UTC)
+   * @param {number} options.backgroundReserve - Share of each window background reads leave unused
+   * @param {number} options.maxWaitMinutes - Longest a call is held for its window before it fails
+   */
+  constructor({ account, monthlyPostCap, backgroundReserve, maxWaitMinutes }) {
+    this.account = account;
+    this.settings = { monthlyPostCap, backgroundReserve, maxWaitMs: maxWaitMinutes * 60 * 1000 };
+    this.windows = new Map(); // endpoint -> { limit, remaining, reset, day, updatedAt }, times in epoch ms
+    this.queue = [];
+    this.waiting = 0; // held calls waiting for their window
+    this.active = 0;
+    this.sequence = 0;
+    this.posts = null; // { month, count }, loaded from bot_state on first use
+    this.counters = { deferred: 0, held: 0, rateLimited: 0 }; // totals since startup
+  }
+
+  /**
+   * twitter-api-v2 plugin that records the rate limits of every response, 429s included
+   * @returns {Object} - Client plugin
+   */
+  plugin() {
+    return {
+      onAfterRequest: ({ url, params, response }) => {
+        this.record(endpointKey(params.method, url), response.rateLimit, response.headers);
+      },
+      onResponseError: ({ url, params, error }) => {
+        const endpoint = endpointKey(params.method, url);
+        this.record(endpoint, error.rateLimit, error.headers);
+
+        if (error.code === 429) {
+          this.counters.rateLimited++;
+          logger.warn(`X API rate limit hit on ${endpoint} for ${this.account}`);
+        }
+      }
+    };
+  }
+
+  /**
+   * Record the rate-limit windows of an endpoint
+   * @param {string} endpoint - Endpoint key
+   * @param {Object} rateLimit - Window parsed by twitter-api-v2, if any
+   * @param {Object} headers - Response headers, for the 24-hour user limit on posts
+   */
+  record(endpoint, rateLimit, headers) {
+    const day = (rateLimit && rateLimit.day) || headerLimit(headers, 'x-user-limit-24hour');
+    if (!rateLimit && !day) {
+      return;
+    }
+
+    const window = this.windows.get(endpoint) || {};
+    if (rateLimit) {
+      window.limit = rateLimit.limit;
+      window.remaining = rateLimit.remaining;
+      window.reset = rateLimit.reset * 1000;
+    }
+    if (day) {
+      window.day = { limit: day.limit, remaining: day.remaining, reset: day.reset * 1000 };
+    }
+    window.updatedAt = Date.now();
+    this.windows.set(endpoint, window);
+  }
+
+  /**
+   * When a call may go ahead, if its endpoint's quota is used up for now
+   * @param {string} endpoint - Endpoint key
+   * @param {string} priority - Call priority
+   * @returns {number} - Epoch ms the call has to wait for, or 0 when it can go now
+   */
+  blockedUntil(endpoint, priority) {
+    const window = this.windows.get(endpoint);
+    if (!window) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const reserve = priority === 'background' ? Math.floor(window.limit * this.settings.backgroundReserve) : 0;
+    let until = 0;
+
+    if (window.reset > now && window.remaining <= reserve) {
+      until = window.reset;
+    }
+    if (window.day && window.day.reset > now && window.day.remaining <= 0) {
+      until = Math.max(until, window.day.reset);
+    }
+    return until;
+  }
+
+  /**
+   * Run an X API call through the queue
+   * @param {string} endpoint - Endpoint key the call uses, e.g. 'GET /2/users/:id/tweets'
+   * @param {string} priority - 'reply', 'post', 'read' or 'background'
+   * @param {Function} call - Makes the call
+   * @returns {Promise<*>} - The call's result; rejects with status 429 when the call is deferred
+   */
+  async schedule(endpoint, priority, call) {
+    if (endpoint === POST_ENDPOINT) {
+      await this.checkPostCap();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ endpoint, priority, sequence: this.sequence++, call, resolve, reject });
+      this.drain();
+    });
+  }
+
+  /**
+   * Start queued calls, most urgent first, while there is room
+   */
+  drain() {
+    const rank = (entry) => PRIORITIES.indexOf(entry.priority);
+
+    while (this.active < CONCURRENCY && this.queue.length > 0) {
+      this.queue.sort((a, b) => rank(a) - rank(b) || a.sequence - b.sequence);
+      const entry = this.queue.shift();
+      const until = this.blockedUntil(entry.endpoint, entry.priority);
+
+      if (until) {
+        this.hold(entry, until);
+      } else {
+        this.run(entry);
+      }
+    }
+  }
+
+  /**
+   * Put a call aside until its window resets, or defer it when it is a background read or the wait is too long
+   * @param {Object} entry - Queued call
+   * @param {number} until - Epoch ms the window resets
+   */
+  hold(entry, until) {
+    const wait = until - Date.now();
+
+    if (entry.priority === 'background' || wait > this.settings.maxWaitMs) {
+      this.counters.deferred++;
+      logger.warn(`Deferred ${entry.priority} call to ${entry.endpoint} for ${this.account} until ${new Date(until).toISOString()}`);
+      entry.reject(rateLimitError(`X API quota for ${entry.endpoint} is used up until ${new Date(until).toISOString()}`, until));
+      return;
+    }
+
+    this.counters.held++;
+    this.waiting++;
+    logger.info(`Holding ${entry.priority} call to ${entry.endpoint} for ${this.account} for ${Math.ceil(wait / 1000)}s`);
+
+    // A second of slack so the window has really reset on X's side
+    setTimeout(() => {
+      this.waiting--;
+      this.queue.push(entry);
+      this.drain();
+    }, wait + 1000);
+  }
+
+  /**
+   * Make a call and start the next one once it is done
+   * @param {Object} entry - Queued call
+   */
+  async run(entry) {
+    this.active++;
+    try {
+      const result = await entry.call();
+      if (entry.endpoint === POST_ENDPOINT) {
+        // The post is out whatever happens to the count, so a failed write must not report it as failed
+        await this.countPost().catch(error => logger.error(`Error counting a post towards the monthly cap of ${this.account}:`, error));
+      }
+      entry.resolve(result);
+    } catch (error) {
+      entry.reject(error);
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+
+  /**
+   * Get this month's post count, starting over when a new month begins
+   * @returns {Promise<Object>} - { month, count }
+   */
+  async loadPosts() {
+    const month = new Date().toISOString().slice(0, 7);
+
+    if (!this.posts || this.posts.month !== month) {
+      const stored = JSON.parse(await stateModel.get(`${this.account}:${MONTHLY_POSTS_KEY}`) || 'null');
+      this.posts = stored && stored.month === month ? stored : { month, count: 0 };
+    }
+    return this.posts;
+  }
+
+  /**
+   * Refuse to post once the month's cap is reached
+   */
+  async checkPostCap() {
+    const { count } = await this.loadPosts();
+
+    if (count >= this.settings.monthlyPostCap) {
+      const now = new Date();
+      const nextMonth = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+      this.counters.deferred++;
+      throw rateLimitError(`Monthly X post cap of ${this.settings.monthlyPostCap} reached for ${this.account}`, nextMonth);
+    }
+  }
+
+  /**
+   * Count a successful post towards the monthly cap
+   */
+  async countPost() {
+    const posts = await this.loadPosts();
+    posts.count++;
+    await stateModel.set(`${this.account}:${MONTHLY_POSTS_KEY}`, JSON.stringify(posts));
+  }
+
+  /**
+   * Current quota usage, for the dashboard
+   * @returns {Promise<Object>} - Monthly posts, the windows of every endpoint called so far and the queue
+   */
+  async getUsage() {
+    const { month, count } = await this.loadPosts();
+    const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+    return {
+      posts: {
+        month,
+        count,
+        cap: this.settings.monthlyPostCap,
+        remaining: Math.max(this.settings.monthlyPostCap - count, 0)
+      },
+      endpoints: [...this.windows.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([endpoint, window]) => ({
+          endpoint,
+          limit: window.limit === undefined ? null : window.limit,
+          remaining: window.remaining === undefined ? null : window.remaining,
+          resetAt: iso(window.reset),
+          day: window.day ? { limit: window.day.limit, remaining: window.day.remaining, resetAt: iso(window.day.reset) } : null,
+          updatedAt: iso(window.updatedAt)
+        })),
+      queue: {
+        active: this.active,
+        queued: this.queue.length,
+        waiting: this.waiting
+      },
+      ...this.counters
+    };
+  }
+}
+
+module.exports = RateLimitManager;
@@ -0,0 +1,281 @@
+const logger = require('../utils/logger');
+const sandboxModel = require('../models/sandbox');
+
+// Bot users of every sandbox client, by username, so tweets injected as one of them get its ID
+const botUsers = new Map();
+
+// Shared by every client so two accounts posting in the same millisecond get different IDs
+let lastTimestamp = 0n;
+let sequence = 0n;
+
+/**
+ * Generate a snowflake-like tweet ID that increases over time
+ * @returns {string} - New tweet ID
+ */
+function nextId() {
+  const timestamp = BigInt(Date.now());
+
+  if (timestamp === lastTimestamp) {
+    sequence += 1n;
+  } else {
+    lastTimestamp = timestamp;
+    sequence = 0n;
+  }
+
+  return ((timestamp << 22n) + sequence).toString();
+}
+
+/**
+ * Local stand-in for the X API used in sandbox mode.
+ * Exposes the subset of the twitter-api-v2 read-write client that TwitterService uses,
+ * with the same response shapes, backed by the sandbox_tweets table. Each bot account
+ * gets its own client, posting as its own user, on the same shared timeline.
+ */
+class SandboxClient {
+  /**
+   * @param {Object} user - The bot user: { id, username, name }
+   */
+  constructor(user) {
+    this.user = { ...user };
+    botUsers.set(this.user.username, this.user);
+
+    // Mirror the client.v2 namespace of twitter-api-v2
+    this.v2 = {
+      me: () => this.me(),
+      tweet: (text) => this.tweet(text),
+      reply: (text, inReplyToId) => this.reply(text, inReplyToId),
+      search: (query, params) => this.search(query, params),
+      singleTweet: (id, params) => this.singleTweet(id, params),
+      following: (userId, params) => this.following(userId, params),
+      userTimeline: (userId, params) => this.userTimeline(userId, params)
+    };
+  }
+
+  /**
+   * Build a stable author ID for a sandbox username
+   * @param {string} username - Username without the @
+   * @returns {string} - Author ID
+   */
+  authorIdFor(username) {
+    return botUsers.has(username) ? botUsers.get(username).id : `sandbox-${username.toLowerCase()}`;
+  }
+
+  /**
+   * Convert a stored row into an X API v2 tweet object
+   * @param {Object} row - sandbox_tweets row
+   * @returns {Object} - Tweet object
+   */
+  toApiTweet(row) {
+    return {
+      id: row.id,
+      text: row.text,
+      author_id: row.author_id,
+      conversation_id: row.conversation_id,
+      created_at: row.created_at,
+      referenced_tweets: row.in_reply_to_tweet_id
+        ? [{ type: 'replied_to', id: row.in_reply_to_tweet_id }]
+        : undefined,
+      public_metrics: {
+        like_count: row.like_count,
+        retweet_count: row.retweet_count,
+        reply_count: row.reply_count,
+        quote_count: row.quote_count,
+        impression_count: row.impression_count
+      }
+    };
+  }
+
+  /**
+   * Wrap tweets the way a twitter-api-v2 paginator exposes its raw response
+   * @param {Array} rows - sandbox_tweets rows
+   * @param {string} nextToken - Token of the next page, if there is one
+   * @returns {Object} - Paginator-like object
+   */
+  toPage(rows, nextToken = null) {
+    const users = new Map();
+    rows.forEach(row => {
+      users.set(row.author_id, { id: row.author_id, username: row.author_username, name: row.author_name });
+    });
+
+    return {
+      data: {
+        data: rows.map(row => this.toApiTweet(row)),
+        includes: { users: Array.from(users.values()) },
+        meta: nextToken ? { result_count: rows.length, next_token: nextToken } : { result_count: rows.length }
+      }
+    };
+  }
+
+  async me() {
+    return { data: { ...this.user } };
+  }
+
+  async tweet(text) {
+    const id = nextId();
+    await sandboxModel.insertTweet({
+      id,
+      text,
+      author_id: this.user.id,
+      author_username: this.user.username,
+      author_name: this.user.name,
+      conversation_id: id,
+      created_at: new Date().toISOString()
+    });
+
+    logger.info(`[sandbox] Stored tweet ${id}`);
+    return { data: { id, text } };
+  }
+
+  async reply(text, inReplyToId) {
+    const parent = await sandboxModel.getTweet(inReplyToId);
+    const id = nextId();
+
+    await sandboxModel.insertTweet({
+      id,
+      text,
+      author_id: this.user.id,
+      author_username: this.user.username,
+      author_name: this.user.name,
+      in_reply_to_tweet_id: inReplyToId,
+      conversation_id: parent ? parent.conversation_id : inReplyToId,
+      created_at: new Date().toISOString()
+    });
+
+    if (parent) {
+      await sandboxModel.incrementReplyCount(inReplyToId);
+    }
+
+    logger.info(`[sandbox] Stored reply ${id} to ${inReplyToId}`);
+    return { data: { id, text } };
+  }
+
+  async search(query, params = {}) {
+    const limit = params.max_results || 10;
+    const filters = {
+      sinceId: params.since_id,
+      // Page tokens are the ID of the last tweet on the previous page
+      untilId: params.next_token,
+      startTime: params.start_time,
+      limit: limit + 1
+    };
+
+    const conversationMatch = query.match(/conversation_id:(\S+)/);
+    const mentionMatch = query.match(/@(\w+)/);
+
+    if (conversationMatch) {
+      filters.conversationId = conversationMatch[1];
+    } else if (mentionMatch) {
+      filters.mentioning = mentionMatch[1];
+    } else {
+      throw new Error(`Sandbox search does not support query "${query}"`);
+    }
+
+    const rows = await sandboxModel.findTweets(filters);
+    const page = rows.slice(0, limit);
+    return this.toPage(page, rows.length > limit ? page[page.length - 1].id : null);
+  }
+
+  async singleTweet(id) {
+    const row = await sandboxModel.getTweet(id);
+
+    if (!row) {
+      const error = new Error(`Sandbox tweet ${id} not found`);
+      error.code = 404;
+      throw error;
+    }
+
+    return { data: this.toApiTweet(row) };
+  }
+
+  async following() {
+    // Every other account that has posted in the sandbox counts as followed
+    const authors = await sandboxModel.getAuthors(this.user.id);
+    return { data: authors };
+  }
+
+  async userTimeline(userId, params = {}) {
+    const rows = await sandboxModel.findTweets({
+      authorId: userId,
+      startTime: params.start_time,
+      limit: params.max_results || 10
+    });
+    return this.toPage(rows);
+  }
+
+  /**
+   * Inject a tweet from another account, e.g. a mention of the bot
+   * @param {Object} tweet - Tweet to inject
+   * @param {string} tweet.text - Tweet text (include @username to mention the bot)
+   * @param {string} tweet.authorUsername - Username of the fake author
+   * @param {string} tweet.authorName - Display name of the fake author
+   * @param {string} tweet.inReplyToId - Optional ID of the tweet being replied to
+   * @returns {Promise<Object>} - The stored tweet
+   */
+  async injectTweet({ text, authorUsername, authorName = null, inReplyToId = null }) {
+    if (!text || !authorUsername) {
+      throw new Error('Sandbox tweets need text and authorUsername');
+    }
+
+    const parent = inReplyToId ? await sandboxModel.getTweet(inReplyToId) : null;
+    const id = nextId();
+
+    const row = await sandboxModel.insertTweet({
+      id,
+      text,
+      author_id: this.authorIdFor(authorUsername),
+      author_username: authorUsername,
+      author_name: authorName || authorUsername,
+      in_reply_to_tweet_id: inReplyToId,
+      conversation_id: parent ? parent.conversation_id : id,
+      created_at: new Date().toISOString()
+    });
+
+    if (parent) {
+      await sandboxModel.incrementReplyCount(inReplyToId);
+    }
+
+    logger.info(`[sandbox] Injected tweet ${id} from @${authorUsername}`);
+    return row;
+  }
+
+  /**
+   * Inject a mention of the bot
+   * @param {Object} mention - See injectTweet; @username is prepended when missing
+   * @returns {Promise<Object>} - The stored mention
+   */
+  async injectMention(mention) {
+    const handle = `@${this.user.username}`;
+    const text = mention.text && mention.text.includes(handle)
+      ? mention.text
+      : `${handle} ${mention.text || ''}`.trim();
+
+    return this.injectTweet({ ...mention, text });
+  }
+
+  /**
+   * Set engagement numbers on a sandbox tweet
+   * @param {string} id - Tweet ID
+   * @param {Object} metrics - public_metrics style counts
+   * @returns {Promise<Object|null>} - The updated tweet, or null if not found
+   */
+  async setMetrics(id, metrics) {
+    const row = await sandboxModel.updateMetrics(id, metrics);
+
+    if (row) {
+      logger.info(`[sandbox] Updated metrics for tweet ${id}`);
+    }
+
+    return row;
+  }
+
+  /**
+   * List stored sandbox tweets
+   * @param {Object} filters - See SandboxModel.findTweets
+   * @returns {Promise<Array>} - Stored tweets
+   */
+  async listTweets(filters = {}) {
+    return sandboxModel.findTweets(filters);
+  }
+}
+
+module.exports = SandboxClient;
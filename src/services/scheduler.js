@@ -1,137 +1,282 @@
 const cron = require('node-cron');
 const logger = require('../utils/logger');
 const config = require('../config/config');
-const twitterService = require('./twitter');
 const llmService = require('./llm');
 const contentService = require('./content');
+const publisher = require('./publisher');
+const mentionModel = require('../models/mention');
+const stateModel = require('../models/state');
+const engagementTracker = require('./engagement-tracker');
+const postingSchedule = require('./posting-schedule');
 const metricsTracker = require('../utils/metrics');
 
+// bot_state key holding the newest mention ID that has been fully processed, after the account ID
+const MENTION_CURSOR_KEY = 'mentions.since_id';
+
+// bot_state key holding where an unfinished read of the mentions since the cursor left off, after the account ID
+const MENTION_BACKLOG_KEY = 'mentions.backlog';
+
+// Pages of mentions read per check, back to the cursor; without a cursor only the newest mentions are answered
+const MENTION_PAGES = { pageSize: 100, maxPages: 5 };
+const FIRST_MENTION_PAGES = { pageSize: 20, maxPages: 1 };
+
 /**
  * Service for scheduling bot tasks
+ * Every bot account has its own set of jobs, so accounts are started and stopped independently.
  */
 class SchedulerService {
   constructor() {
-    this.jobs = {};
-    this.tweetInterval = config.scheduler.tweetIntervalHours;
-    this.metricsCheckHours = config.scheduler.metricsCheckHours;
-    this.recentTweets = []; // Store recent tweet IDs for tracking
-    this.repliedToMentions = new Set(); // Track mentions we've already replied to
+    this.jobs = {}; // account ID -> { tweet, mentions, metrics, trendThread }
+    this.runs = {}; // account ID -> job name -> { lastRunAt, lastError }
+    this.metricsCheckMinutes = config.tracking.checkMinutes;
+    this.mentionMaxAttempts = config.scheduler.mentionMaxAttempts;
+  }
+
+  /**
+   * Start all scheduled jobs of an account
+   * @param {Object} account - Bot account
+   */
+  startAllJobs(account) {
+    logger.info(`Starting all scheduled jobs for ${account.id}`);
+    this.stopAllJobs(account);
+    this.jobs[account.id] = {};
+    this.startTweetJob(account);
+    this.startMentionsCheckJob(account);
+    this.startMetricsTrackingJob(account);
+    this.startTrendThreadJob(account);
+  }
+
+  /**
+   * Stop the scheduled jobs of an account, or of every account
+   * @param {Object} account - Bot account; all accounts when not given
+   */
+  stopAllJobs(account = null) {
+    const ids = account ? [account.id] : Object.keys(this.jobs);
+    
+    ids.filter(id => this.jobs[id]).forEach(id => {
+      logger.info(`Stopping all scheduled jobs for ${id}`);
+      Object.values(this.jobs[id]).forEach(job => job.stop());
+      delete this.jobs[id];
+    });
   }
 
   /**
-   * Start all scheduled jobs
+   * Whether an account's jobs are running
+   * @param {Object} account - Bot account
+   * @returns {boolean}
    */
-  startAllJobs() {
-    logger.info('Starting all scheduled jobs');
-    this.startTweetJob();
-    this.startMentionsCheckJob();
-    this.startMetricsTrackingJob();
+  isRunning(account) {
+    return Boolean(this.jobs[account.id]);
   }
 
   /**
-   * Stop all scheduled jobs
+   * Cron expressions of an account's jobs
+   * @param {Object} account - Bot account
+   * @returns {Object} - Job name -> cron expression ('off' when disabled)
    */
-  stopAllJobs() {
-    logger.info('Stopping all scheduled jobs');
-    Object.values(this.jobs).forEach(job => job.stop());
-    this.jobs = {};
+  getJobSchedules(account) {
+    return {
+      // Checks every minute whether a planned slot is due
+      tweet: '* * * * *',
+      mentions: '*/15 * * * *',
+      metrics: `*/${this.metricsCheckMinutes} * * * *`,
+      trendThread: account.schedule.trendThreadCron
+    };
   }
 
   /**
-   * Start the job that posts tweets periodically
+   * Status of each of an account's jobs
+   * @param {Object} account - Bot account
+   * @returns {Array<Object>} - { name, schedule, isRunning, lastRunAt, lastError } per job
    */
-  startTweetJob() {
-    logger.info(`Scheduling tweets every ${this.tweetInterval} hours`);
+  getJobStatus(account) {
+    const jobs = this.jobs[account.id] || {};
+    const runs = this.runs[account.id] || {};
     
-    // Schedule using cron
-    // For every X hours: `0 */${this.tweetInterval} * * *`
-    this.jobs.tweet = cron.schedule(`0 */${this.tweetInterval} * * *`, async () => {
+    return Object.entries(this.getJobSchedules(account)).map(([name, schedule]) => ({
+      name,
+      schedule,
+      isRunning: Boolean(jobs[name]),
+      lastRunAt: runs[name] ? runs[name].lastRunAt : null,
+      lastError: runs[name] ? runs[name].lastError : null
+    }));
+  }
+
+  /**
+   * Record that a job ran, and whether it failed
+   * @param {Object} account - Bot account
+   * @param {string} name - Job name
+   * @param {Error} error - Error the run failed with, if any
+   */
+  recordRun(account, name, error = null) {
+    this.runs[account.id] = this.runs[account.id] || {};
+    this.runs[account.id][name] = {
+      lastRunAt: new Date().toISOString(),
+      lastError: error ? error.message : null
+    };
+  }
+
+  /**
+   * Start the job that posts tweets at the slots of the daily posting plan
+   * @param {Object} account - Bot account
+   */
+  startTweetJob(account) {
+    logger.info(`Scheduling up to ${account.schedule.dailyBudget} ${account.id} tweets a day at planned times`);
+    
+    // Today's plan is made on the first check
+    this.jobs[account.id].tweet = cron.schedule(this.getJobSchedules(account).tweet, async () => {
       try {
-        logger.info('Executing scheduled tweet job');
-        await this.postScheduledTweet();
+        await this.postPlannedTweet(account);
+        this.recordRun(account, 'tweet');
       } catch (error) {
-        logger.error('Error in scheduled tweet job:', error);
+        this.recordRun(account, 'tweet', error);
+        logger.error(`Error in scheduled tweet job for ${account.id}:`, error);
       }
     });
-    
-    // Also run immediately
-    this.postScheduledTweet().catch(error => {
-      logger.error('Error in initial tweet job:', error);
-    });
   }
 
   /**
    * Start the job that checks for mentions
+   * @param {Object} account - Bot account
    */
-  startMentionsCheckJob() {
-    logger.info('Scheduling mentions check every 15 minutes');
+  startMentionsCheckJob(account) {
+    logger.info(`Scheduling mentions check for ${account.id} every 15 minutes`);
     
     // Schedule for every 15 minutes
-    this.jobs.mentions = cron.schedule('*/15 * * * *', async () => {
+    this.jobs[account.id].mentions = cron.schedule(this.getJobSchedules(account).mentions, async () => {
       try {
-        logger.info('Executing mentions check job');
-        await this.checkAndReplyToMentions();
+        logger.info(`Executing mentions check job for ${account.id}`);
+        await this.checkAndReplyToMentions(account);
+        this.recordRun(account, 'mentions');
       } catch (error) {
-        logger.error('Error in mentions check job:', error);
+        this.recordRun(account, 'mentions', error);
+        logger.error(`Error in mentions check job for ${account.id}:`, error);
       }
     });
     
     // Also run immediately
-    this.checkAndReplyToMentions().catch(error => {
-      logger.error('Error in initial mentions check:', error);
+    this.checkAndReplyToMentions(account)
+      .then(() => this.recordRun(account, 'mentions'))
+      .catch(error => {
+        this.recordRun(account, 'mentions', error);
+        logger.error(`Error in initial mentions check for ${account.id}:`, error);
+      });
+  }
+
+  /**
+   * Start the job that takes due metrics snapshots of previous posts
+   * @param {Object} account - Bot account
+   */
+  startMetricsTrackingJob(account) {
+    logger.info(`Scheduling metrics tracking for ${account.id} every ${this.metricsCheckMinutes} minutes`);
+    
+    // For every X minutes: `*/${this.metricsCheckMinutes} * * * *`
+    this.jobs[account.id].metrics = cron.schedule(this.getJobSchedules(account).metrics, async () => {
+      try {
+        logger.info(`Executing metrics tracking job for ${account.id}`);
+        await this.trackTweetMetrics(account);
+        this.recordRun(account, 'metrics');
+      } catch (error) {
+        this.recordRun(account, 'metrics', error);
+        logger.error(`Error in metrics tracking job for ${account.id}:`, error);
+      }
     });
+    
+    // Also run immediately, picking up snapshots that came due while the bot was down
+    this.trackTweetMetrics(account)
+      .then(() => this.recordRun(account, 'metrics'))
+      .catch(error => {
+        this.recordRun(account, 'metrics', error);
+        logger.error(`Error in initial metrics tracking for ${account.id}:`, error);
+      });
   }
 
   /**
-   * Start the job that tracks metrics for previous tweets
+   * Start the job that posts the trend summary as a thread (daily market recap)
+   * @param {Object} account - Bot account
    */
-  startMetricsTrackingJob() {
-    logger.info(`Scheduling metrics tracking every ${this.metricsCheckHours} hours`);
+  startTrendThreadJob(account) {
+    const { trendThreadCron } = account.schedule;
+    
+    if (trendThreadCron === 'off') {
+      logger.info(`Trend summary thread job disabled for ${account.id}`);
+      return;
+    }
     
-    // Schedule using cron
-    // For every X hours: `0 */${this.metricsCheckHours} * * *`
-    this.jobs.metrics = cron.schedule(`0 */${this.metricsCheckHours} * * *`, async () => {
+    if (!cron.validate(trendThreadCron)) {
+      logger.error(`Invalid trend thread cron expression for ${account.id}: ${trendThreadCron}`);
+      return;
+    }
+    
+    logger.info(`Scheduling trend summary thread for ${account.id} with cron: ${trendThreadCron}`);
+    
+    this.jobs[account.id].trendThread = cron.schedule(trendThreadCron, async () => {
       try {
-        logger.info('Executing metrics tracking job');
-        await this.trackTweetMetrics();
+        logger.info(`Executing trend summary thread job for ${account.id}`);
+        await this.postTrendThread(account);
+        this.recordRun(account, 'trendThread');
       } catch (error) {
-        logger.error('Error in metrics tracking job:', error);
+        this.recordRun(account, 'trendThread', error);
+        logger.error(`Error in trend summary thread job for ${account.id}:`, error);
       }
     });
   }
 
+  /**
+   * Post a tweet if a slot of today's plan is due, and record the outcome on the slot
+   * @param {Object} account - Bot account
+   * @returns {Promise<Object|null>} - The posted tweet or queued draft, or null when no slot is due
+   */
+  async postPlannedTweet(account) {
+    const slot = await postingSchedule.claimDueSlot(account);
+    if (!slot) {
+      return null;
+    }
+    
+    logger.info(`Executing scheduled tweet job for the ${account.id} ${slot.at} slot`);
+    
+    try {
+      const result = await this.postScheduledTweet(account);
+      await postingSchedule.completeSlot(account, slot, result.status === 'pending'
+        ? { status: 'drafted', draftId: result.id }
+        : { status: 'posted', tweetId: result.id });
+      return result;
+    } catch (error) {
+      await postingSchedule.completeSlot(account, slot, { status: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Post a scheduled tweet
+   * @param {Object} account - Bot account
    */
-  async postScheduledTweet() {
+  async postScheduledTweet(account) {
     try {
-      logger.info('Posting scheduled tweet');
+      logger.info(`Posting scheduled tweet for ${account.id}`);
       
       // Gather context data for the tweet
-      const context = await contentService.gatherTweetContext();
+      const context = await contentService.gatherTweetContext(account);
       
       // Generate tweet content
       const tweetContent = await llmService.generateTweet(context);
       
-      // Clean the content to ensure no hashtags
-      const cleanedContent = this.removeHashtags(tweetContent);
-      
-      // Post to Twitter
-      const tweet = await twitterService.postTweet(cleanedContent);
-      
-      // Store the tweet ID for later metrics tracking
-      this.recentTweets.push({
-        id: tweet.id,
-        createdAt: new Date(),
-        content: cleanedContent,
-        context
+      // Post to Twitter, or queue for approval, once the content policy is satisfied
+      const result = await publisher.submitTweet(tweetContent, {
+        account,
+        type: 'generated',
+        promptUsed: context.promptVariant.id,
+        context,
+        regenerate: (feedback) => llmService.generateTweet({ ...context, feedback })
       });
       
-      // Keep only the last 20 tweets in memory
-      if (this.recentTweets.length > 20) {
-        this.recentTweets.shift();
+      if (result.status === 'drafted') {
+        logger.info(`Queued scheduled tweet as draft ${result.draft.id}`);
+        return result.draft;
       }
       
+      const tweet = result.tweet;
+      
       logger.info(`Posted scheduled tweet with ID: ${tweet.id}`);
       return tweet;
     } catch (error) {
@@ -141,50 +286,141 @@ class SchedulerService {
   }
 
   /**
-   * Remove hashtags from content
-   * @param {string} content - The content to clean
-   * @returns {string} - Content without hashtags
+   * Generate the trend summary and post it as a thread
+   * @param {Object} account - Bot account
+   * @returns {Promise<Object>} - The saved thread, or the queued draft in approval mode
    */
-  removeHashtags(content) {
-    // Replace hashtags with plain text versions
-    return content.replace(/#(\w+)/g, '$1');
+  async postTrendThread(account) {
+    try {
+      logger.info(`Posting trend summary thread for ${account.id}`);
+      
+      const context = await contentService.gatherTrendSummaryContext(account);
+      const summary = await llmService.generateTrendSummary(context);
+      
+      // Post as a thread, or queue for approval
+      const result = await publisher.submitThread(summary, {
+        account,
+        type: 'trend_summary',
+        promptUsed: 'trends',
+        context,
+        regenerate: (feedback) => llmService.generateTrendSummary({ ...context, feedback })
+      });
+      
+      if (result.status === 'drafted') {
+        logger.info(`Queued trend summary thread as draft ${result.draft.id}`);
+        return result.draft;
+      }
+      
+      logger.info(`Posted trend summary thread starting at ${result.thread.rootTweetId}`);
+      return result.thread;
+    } catch (error) {
+      logger.error('Error posting trend summary thread:', error);
+      throw error;
+    }
   }
 
   /**
-   * Check for mentions and reply to them
+   * Check for mentions of an account and reply to them
+   * Only mentions newer than the stored cursor are fetched, and every handled mention is
+   * recorded in the database so restarts never lead to duplicate replies
+   * @param {Object} account - Bot account
    */
-  async checkAndReplyToMentions() {
+  async checkAndReplyToMentions(account) {
     try {
-      logger.info('Checking for mentions');
+      logger.info(`Checking for mentions of ${account.id}`);
+      
+      // Get mentions newer than the last one we fully processed, carrying on from the pages
+      // an earlier check had to leave unread
+      const cursorKey = `${account.id}:${MENTION_CURSOR_KEY}`;
+      const backlogKey = `${account.id}:${MENTION_BACKLOG_KEY}`;
+      const cursor = await stateModel.get(cursorKey);
+      const stored = JSON.parse(await stateModel.get(backlogKey) || 'null');
+      const backlog = cursor && stored && stored.sinceId === cursor ? stored : null;
+      
+      let page;
+      try {
+        page = await account.twitter.getMentionsSince(cursor, cursor ? { ...MENTION_PAGES, nextToken: backlog && backlog.nextToken } : FIRST_MENTION_PAGES);
+      } catch (error) {
+        if (backlog && !error.rateLimited) {
+          // The page token may have expired; reading again from the cursor is safe, as handled mentions are skipped
+          logger.warn(`Dropping the unfinished mention read of ${account.id}: ${error.message}`);
+          await stateModel.set(backlogKey, 'null');
+        }
+        throw error;
+      }
+      const { mentions, nextToken } = page;
+      
+      // Process oldest first so the cursor can advance in order
+      mentions.sort((a, b) => account.twitter.compareTweetIds(a.id, b.id));
       
-      // Get recent mentions
-      const mentions = await twitterService.getMentions(20);
+      const processed = await mentionModel.getProcessed(account.id, mentions.map(mention => mention.id));
+      const isHandled = (record) => Boolean(record) && (
+        record.status !== 'failed' || record.attempts >= this.mentionMaxAttempts
+      );
       
       // Filter out mentions we've already replied to
-      const newMentions = mentions.filter(mention => {
-        return !twitterService.hasRepliedToMention(mention.id) && 
-               !this.repliedToMentions.has(mention.id);
-      });
+      const newMentions = mentions.filter(mention => !isHandled(processed.get(mention.id)));
       
       logger.info(`Found ${newMentions.length} new mentions to reply to`);
       
       // Reply to each mention
       for (const mention of newMentions) {
         try {
-          await this.replyToMention(mention);
-          // Mark as replied so we don't process it again
-          this.repliedToMentions.add(mention.id);
+          const result = await this.replyToMention(account, mention);
+          
+          // Mark as processed so we don't reply again, even after a restart
+          await mentionModel.markProcessed(account.id, mention, {
+            status: result.status === 'drafted' ? 'drafted' : 'replied',
+            replyId: result.tweet ? result.tweet.id : null,
+            draftId: result.draft ? result.draft.id : null
+          });
+          processed.set(mention.id, { status: 'replied' });
         } catch (err) {
           logger.error(`Error replying to mention ${mention.id}:`, err);
+          await mentionModel.markFailed(account.id, mention, err);
+          
+          const record = processed.get(mention.id);
+          processed.set(mention.id, {
+            status: 'failed',
+            attempts: (record && record.attempts ? record.attempts : 0) + 1
+          });
           // Continue with next mention
         }
       }
       
-      // Keep the set of replied-to mentions from growing too large
-      if (this.repliedToMentions.size > 100) {
-        // Convert to array, take the last 50 items, convert back to set
-        const mentionsArray = Array.from(this.repliedToMentions);
-        this.repliedToMentions = new Set(mentionsArray.slice(-50));
+      // Pages are read newest first. While older pages are left between these mentions and the
+      // cursor, the cursor stays put and the next check carries on from them. Once the cursor is
+      // reached it advances past every mention that is fully handled, stopping just before the
+      // oldest one that still needs a retry so it is fetched again next time.
+      const firstUnhandled = mentions.find(mention => !isHandled(processed.get(mention.id)));
+      const retryFrom = firstUnhandled ? firstUnhandled.id : (backlog && backlog.retryFrom);
+      let newCursor = cursor;
+      
+      if (cursor && nextToken) {
+        await stateModel.set(backlogKey, JSON.stringify({
+          sinceId: cursor,
+          nextToken,
+          newestId: backlog ? backlog.newestId : mentions[mentions.length - 1].id,
+          retryFrom
+        }));
+        logger.warn(`More than ${MENTION_PAGES.pageSize * MENTION_PAGES.maxPages} new mentions of ${account.id}, keeping the cursor at ${cursor} and reading older pages next check`);
+      } else {
+        if (backlog) {
+          await stateModel.set(backlogKey, 'null');
+        }
+        
+        if (retryFrom) {
+          newCursor = account.twitter.previousTweetId(retryFrom);
+        } else if (backlog) {
+          newCursor = backlog.newestId;
+        } else if (mentions.length > 0) {
+          newCursor = mentions[mentions.length - 1].id;
+        }
+      }
+      
+      if (newCursor && newCursor !== cursor) {
+        await stateModel.set(cursorKey, newCursor);
+        logger.info(`Mention cursor of ${account.id} advanced to ${newCursor}`);
       }
       
       return newMentions.length;
@@ -196,26 +432,35 @@ class SchedulerService {
 
   /**
    * Reply to a specific mention
+   * @param {Object} account - Bot account that was mentioned
    * @param {Object} mention - The mention tweet
+   * @returns {Promise<Object>} - { status: 'posted', tweet } or { status: 'drafted', draft }
    */
-  async replyToMention(mention) {
+  async replyToMention(account, mention) {
     try {
-      logger.info(`Replying to mention ${mention.id} from @${mention.author_username}`);
+      logger.info(`Replying as ${account.id} to mention ${mention.id} from @${mention.author_username}`);
       
       // Gather context for the reply
-      const context = await contentService.gatherReplyContext(mention.text, mention);
+      const context = await contentService.gatherReplyContext(account, mention.text, mention);
       
       // Generate reply content
       const replyContent = await llmService.generateReply(context);
       
-      // Clean the content - remove hashtags, ensure only recent tokens are mentioned
-      const cleanedContent = this.cleanReplyContent(replyContent, context.recentTokens);
+      // Post the reply, or queue for approval; the content policy strips hashtags and stale cashtags
+      const result = await publisher.submitReply(mention.id, replyContent, {
+        account,
+        promptUsed: context.promptVariant.id,
+        context,
+        regenerate: (feedback) => llmService.generateReply({ ...context, feedback })
+      });
       
-      // Post the reply
-      const reply = await twitterService.replyToTweet(mention.id, cleanedContent);
+      if (result.status === 'drafted') {
+        logger.info(`Queued reply to mention ${mention.id} as draft ${result.draft.id}`);
+      } else {
+        logger.info(`Posted reply to mention ${mention.id} with ID: ${result.tweet.id}`);
+      }
       
-      logger.info(`Posted reply to mention ${mention.id} with ID: ${reply.id}`);
-      return reply;
+      return result;
     } catch (error) {
       logger.error(`Error replying to mention ${mention.id}:`, error);
       throw error;
@@ -223,76 +468,23 @@ class SchedulerService {
   }
   
   /**
-   * Clean reply content to match our requirements
-   * @param {string} content - The original content
-   * @param {Array} recentTokens - List of tokens that are recent (< 120 hours old)
-   * @returns {string} - The cleaned content
+   * Take the metrics snapshots that are due for an account's recent posts
+   * @param {Object} account - Bot account
+   * @returns {Promise<number>} - Number of snapshots taken
    */
-  cleanReplyContent(content, recentTokens) {
-    // 1. Remove all hashtags
-    let cleaned = this.removeHashtags(content);
-    
-    // 2. Extract all token mentions
-    const tokenRegex = /\$([A-Z]{2,6})\b/g;
-    const tokenMatches = [...cleaned.matchAll(tokenRegex)];
-    const mentionedTokens = tokenMatches.map(match => match[1]);
-    
-    // 3. Get list of allowed token symbols (from the recentTokens array)
-    const allowedTokens = new Set(
-      recentTokens.map(tokenString => {
-        // Extract the symbol from strings like "TokenName (SYMBOL)"
-        const match = tokenString.match(/\(([A-Z]{2,6})\)/);
-        return match ? match[1] : null;
-      }).filter(Boolean) // Remove nulls
-    );
-    
-    // 4. Replace mentions of tokens that aren't in the allowed list
-    mentionedTokens.forEach(token => {
-      if (!allowedTokens.has(token)) {
-        // Replace with non-$ version to avoid mentioning old tokens
-        cleaned = cleaned.replace(new RegExp(`\\$${token}\\b`, 'g'), token);
-      }
-    });
-    
-    return cleaned;
-  }
-
-  /**
-   * Track metrics for recent tweets
-   */
-  async trackTweetMetrics() {
+  async trackTweetMetrics(account) {
     try {
-      logger.info('Tracking metrics for recent tweets');
-      
-      // Filter to tweets that are old enough to have gathered engagement
-      const cutoffTime = new Date();
-      cutoffTime.setHours(cutoffTime.getHours() - this.metricsCheckHours);
-      
-      const tweetsToTrack = this.recentTweets.filter(tweet => {
-        return new Date(tweet.createdAt) < cutoffTime;
-      });
+      logger.info(`Tracking metrics for recent ${account.id} tweets`);
       
-      logger.info(`Found ${tweetsToTrack.length} tweets to track metrics for`);
-      
-      // Track metrics for each tweet
-      for (const tweet of tweetsToTrack) {
-        await metricsTracker.trackTweetMetrics(tweet.id);
-        
-        // After tracking metrics, analyze performance
-        await metricsTracker.analyzeTweetPerformance(tweet.id);
-        
-        // Remove from tracking list after processing
-        const index = this.recentTweets.findIndex(t => t.id === tweet.id);
-        if (index !== -1) {
-          this.recentTweets.splice(index, 1);
-        }
-      }
+      const captured = await engagementTracker.captureDue(account);
       
       // After tracking, get insights to inform future tweets
-      const insights = await metricsTracker.getPerformanceInsights();
-      logger.info('Performance insights generated', { insights });
+      if (captured > 0) {
+        const insights = await metricsTracker.getPerformanceInsights(account.id);
+        logger.info('Performance insights generated', { insights });
+      }
       
-      return tweetsToTrack.length;
+      return captured;
     } catch (error) {
       logger.error('Error tracking tweet metrics:', error);
       throw error;
@@ -0,0 +1,136 @@
+const axios = require('axios');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// getSignaturesForAddress returns at most 1000 signatures per call
+const SIGNATURE_PAGE_SIZE = 1000;
+
+/**
+ * Minimal JSON-RPC client for a Solana RPC endpoint such as Helius
+ */
+class SolanaRpcService {
+  constructor() {
+    this.url = config.apis.heliusRpc;
+    this.maxSignaturePages = config.tokenAge.maxSignaturePages;
+    this.requestId = 0;
+  }
+
+  /**
+   * Whether an RPC endpoint is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(this.url);
+  }
+
+  /**
+   * Call an RPC method
+   * @param {string} method - RPC method name
+   * @param {Array} params - Method parameters
+   * @returns {Promise<any>} - The result field of the response
+   */
+  async call(method, params = []) {
+    if (!this.isConfigured()) {
+      throw new Error('HELIUS_RPC_URL is not configured');
+    }
+
+    const response = await axios.post(this.url, {
+      jsonrpc: '2.0',
+      id: ++this.requestId,
+      method,
+      params
+    });
+
+    if (response.data.error) {
+      throw new Error(`Solana RPC ${method} failed: ${response.data.error.message}`);
+    }
+
+    return response.data.result;
+  }
+
+  /**
+   * Find when a token mint was created from the oldest transaction that touched it
+   * Busy mints have more history than we page through; the oldest signature found is
+   * then returned with `complete: false`, meaning the mint is at least that old.
+   * @param {string} address - Mint address
+   * @returns {Promise<Object|null>} - { createdAt, complete }, or null if the mint has no history
+   */
+  async getMintCreationTime(address) {
+    let before;
+    let oldest = null;
+
+    for (let page = 0; page < this.maxSignaturePages; page++) {
+      const options = { limit: SIGNATURE_PAGE_SIZE };
+      if (before) {
+        options.before = before;
+      }
+
+      const signatures = await this.call('getSignaturesForAddress', [address, options]) || [];
+      const last = signatures[signatures.length - 1];
+      if (last && last.blockTime) {
+        oldest = last.blockTime;
+      }
+
+      if (signatures.length < SIGNATURE_PAGE_SIZE) {
+        return oldest ? { createdAt: new Date(oldest * 1000).toISOString(), complete: true } : null;
+      }
+      before = last.signature;
+    }
+
+    if (!oldest) {
+      return null;
+    }
+
+    logger.info(`Mint ${address} has more than ${this.maxSignaturePages * SIGNATURE_PAGE_SIZE} transactions, using the oldest one found`);
+    return { createdAt: new Date(oldest * 1000).toISOString(), complete: false };
+  }
+
+  /**
+   * Get a token mint's authorities and supply
+   * @param {string} address - Mint address
+   * @returns {Promise<Object|null>} - { mintAuthority, freezeAuthority, supply, decimals }, or null if not a mint
+   */
+  async getMintInfo(address) {
+    const result = await this.call('getAccountInfo', [address, { encoding: 'jsonParsed' }]);
+    const parsed = result && result.value && result.value.data && result.value.data.parsed;
+
+    if (!parsed || parsed.type !== 'mint') {
+      return null;
+    }
+
+    return {
+      mintAuthority: parsed.info.mintAuthority || null,
+      freezeAuthority: parsed.info.freezeAuthority || null,
+      supply: parsed.info.supply,
+      decimals: parsed.info.decimals
+    };
+  }
+
+  /**
+   * Get the share of supply held by a mint's largest token accounts
+   * @param {string} address - Mint address
+   * @param {number} count - Number of top accounts to add up (at most 20)
+   * @returns {Promise<Object|null>} - { topShare, largestShare }, or null if supply is zero
+   */
+  async getHolderConcentration(address, count = 10) {
+    const [largest, supply] = await Promise.all([
+      this.call('getTokenLargestAccounts', [address]),
+      this.call('getTokenSupply', [address])
+    ]);
+
+    const total = Number(supply.value.amount);
+    if (!total) {
+      return null;
+    }
+
+    const amounts = largest.value.map(account => Number(account.amount));
+    const top = amounts.slice(0, count).reduce((sum, amount) => sum + amount, 0);
+
+    return {
+      topShare: top / total,
+      largestShare: (amounts[0] || 0) / total
+    };
+  }
+}
+
+module.exports = new SolanaRpcService();
@@ -0,0 +1,153 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const engagementModel = require('../models/engagement');
+const metricsTracker = require('../utils/metrics');
+
+// Longest guidance line or example passed to the LLM, in characters
+const MAX_ITEM_LENGTH = 200;
+
+/**
+ * Turn an analysis field (a list, a single string or nothing) into a list of strings
+ * @param {*} value - Parsed analysis field
+ * @returns {Array<string>}
+ */
+const toList = (value) => {
+  if (Array.isArray(value)) {
+    return value.filter(item => typeof item === 'string');
+  }
+  return typeof value === 'string' && value.trim() ? [value] : [];
+};
+
+/**
+ * Shorten text to the item length limit
+ * @param {string} text - Text to shorten
+ * @returns {string}
+ */
+const clip = (text) => {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_ITEM_LENGTH ? `${clean.slice(0, MAX_ITEM_LENGTH - 1).trim()}…` : clean;
+};
+
+/**
+ * Service that condenses what the bot has learned from its own engagement into prompt guidance
+ * Recent performance analyses become short guidance lines, and the best recent posts become
+ * few-shot examples. Each account learns only from its own posts. The result is stored in each
+ * post's context, so the guidance applied to any tweet can be looked up later.
+ */
+class StrategyMemoryService {
+  constructor() {
+    this.settings = config.strategy;
+  }
+
+  /**
+   * Build the strategy for the next post
+   * @param {string} kind - 'tweet' or 'reply'; examples are taken from posts of the same kind
+   * @param {string} account - Account ID
+   * @returns {Promise<Object|null>} - { guidance, examples, analysisIds, generatedAt }, or null when
+   * disabled or there is nothing to learn from yet
+   */
+  async getStrategy(kind, account) {
+    if (!this.settings.enabled) {
+      return null;
+    }
+
+    try {
+      const since = new Date(Date.now() - this.settings.lookbackDays * 24 * 60 * 60 * 1000).toISOString();
+      const [analyses, topPosts] = await Promise.all([
+        engagementModel.getRecentAnalyses({ since, account, limit: this.settings.maxAnalyses }),
+        engagementModel.getTopTweetsSince({
+          since,
+          types: kind === 'reply' ? ['reply'] : ['generated', 'manual'],
+          account,
+          limit: this.settings.maxExamples
+        })
+      ]);
+
+      const guidance = this.condenseGuidance(analyses, topPosts);
+      const examples = topPosts
+        .filter(post => post.engagement_score > 0)
+        .map(post => ({
+          tweetId: post.id,
+          text: clip(post.content),
+          likes: post.likes,
+          retweets: post.retweets,
+          replies: post.replies
+        }));
+
+      if (guidance.length === 0 && examples.length === 0) {
+        return null;
+      }
+
+      return {
+        guidance,
+        examples,
+        analysisIds: analyses.map(analysis => analysis.id),
+        generatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      // Posting goes on without guidance rather than not at all
+      logger.error('Error building strategy memory:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Condense analyses and patterns in the top posts into a few distinct guidance lines
+   * Recommended approaches come first, newest first, then success factors, things to improve
+   * and patterns seen in the top posts.
+   * @param {Array<Object>} analyses - Recent analyses, newest first
+   * @param {Array<Object>} topPosts - Best recent posts
+   * @returns {Array<string>}
+   */
+  condenseGuidance(analyses, topPosts) {
+    const candidates = [
+      ...analyses.flatMap(analysis => toList(analysis.recommended_approach)),
+      ...analyses.flatMap(analysis => toList(analysis.success_factors).map(factor => `Worked before: ${factor}`)),
+      ...analyses.flatMap(analysis => toList(analysis.improvement_areas).map(area => `Improve: ${area}`)),
+      ...this.describePatterns(topPosts)
+    ];
+
+    const seen = new Set();
+    const guidance = [];
+
+    for (const candidate of candidates) {
+      const line = clip(candidate);
+      const key = line.toLowerCase();
+
+      if (line && !seen.has(key)) {
+        seen.add(key);
+        guidance.push(line);
+      }
+      if (guidance.length >= this.settings.maxGuidance) {
+        break;
+      }
+    }
+
+    return guidance;
+  }
+
+  /**
+   * Describe what the top posts have in common
+   * @param {Array<Object>} topPosts - Best recent posts
+   * @returns {Array<string>}
+   */
+  describePatterns(topPosts) {
+    if (topPosts.length === 0) {
+      return [];
+    }
+
+    const patterns = metricsTracker.identifyPatterns(topPosts);
+    const lines = [`Top posts average ${Math.round(patterns.avgCharCount)} characters`];
+
+    if (patterns.questionsPercentage >= 50) {
+      lines.push('Top posts often ask a question');
+    }
+    if (patterns.emojisPercentage >= 50) {
+      lines.push('Top posts usually include emojis');
+    }
+
+    return lines;
+  }
+}
+
+module.exports = new StrategyMemoryService();
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const Handlebars = require('handlebars');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const promptTemplateModel = require('../models/prompt-template');
+
+const PARTIALS_DIR = 'partials';
+
+/**
+ * List the files in a directory with one of the given extensions, with their modification times
+ * @param {string} dir - Directory
+ * @param {Array<string>} extensions - Extensions to include
+ * @returns {Array<Object>} - { name, file, mtimeMs }, sorted by name
+ */
+const listFiles = (dir, extensions) => {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => extensions.includes(path.extname(file)))
+    .sort()
+    .map(file => ({
+      name: path.basename(file, path.extname(file)),
+      file: path.join(dir, file),
+      mtimeMs: fs.statSync(path.join(dir, file)).mtimeMs
+    }));
+};
+
+/**
+ * Service that renders the LLM prompts from template files
+ * Each prompt is a YAML file in the templates directory with a `system` and a `user` template,
+ * written in Handlebars. Shared pieces live in `partials/*.hbs`. Files are re-read when they
+ * change; an edit that doesn't parse is logged and the last good version stays in use.
+ *
+ * A template's version is a hash of its file and the partials, so the exact text behind any post
+ * can be found in the `prompt_templates` table.
+ */
+class TemplateService {
+  constructor() {
+    this.settings = config.templates;
+    this.cache = new Map(); // name -> { signature, template }
+
+    this.handlebars = Handlebars.create();
+    this.handlebars.registerHelper({
+      // 1-based position in an #each loop: {{inc @index}}
+      inc: (value) => value + 1,
+      join: (list, separator) => (Array.isArray(list) ? list.join(typeof separator === 'string' ? separator : ', ') : ''),
+      json: (value) => JSON.stringify(value),
+      eq: (a, b) => a === b
+    });
+
+    // Fail at startup rather than on the first post
+    this.list().forEach(name => this.get(name));
+  }
+
+  /**
+   * List the prompt templates
+   * @returns {Array<string>} - Prompt names
+   */
+  list() {
+    return listFiles(this.settings.dir, ['.yaml', '.yml']).map(entry => entry.name);
+  }
+
+  /**
+   * Get a template, re-reading its files when any of them changed
+   * @param {string} name - Prompt name
+   * @returns {Object} - { name, version, source, system, user }
+   */
+  get(name) {
+    const entry = listFiles(this.settings.dir, ['.yaml', '.yml']).find(candidate => candidate.name === name);
+    const partials = listFiles(path.join(this.settings.dir, PARTIALS_DIR), ['.hbs']);
+    const cached = this.cache.get(name);
+
+    if (!entry) {
+      if (cached) {
+        logger.error(`Template file for "${name}" is gone, still using version ${cached.template.version}`);
+        return cached.template;
+      }
+      throw new Error(`Prompt template "${name}" not found in ${this.settings.dir}`);
+    }
+
+    const signature = [entry, ...partials].map(file => `${file.file}:${file.mtimeMs}`).join('|');
+    if (cached && cached.signature === signature) {
+      return cached.template;
+    }
+
+    try {
+      const template = this.compile(name, entry.file, partials);
+      this.cache.set(name, { signature, template });
+      logger.info(`Loaded ${name} template version ${template.version}`);
+      return template;
+    } catch (error) {
+      if (cached) {
+        logger.error(`Invalid template ${entry.file}, still using version ${cached.template.version}: ${error.message}`);
+        // Don't log the same broken edit on every render
+        cached.signature = signature;
+        return cached.template;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read, check and compile a template and the partials it can use
+   * @param {string} name - Prompt name
+   * @param {string} file - Template file
+   * @param {Array<Object>} partialFiles - Partial files from listFiles
+   * @returns {Object} - { name, version, source, system, user }
+   */
+  compile(name, file, partialFiles) {
+    const text = fs.readFileSync(file, 'utf8');
+    const data = yaml.load(text);
+
+    if (!data || typeof data.system !== 'string' || typeof data.user !== 'string') {
+      throw new Error(`Template ${file} needs a system and a user template`);
+    }
+
+    // Partials are inserted inline, so their final newline is dropped
+    const partials = {};
+    partialFiles.forEach(partial => {
+      partials[partial.name] = fs.readFileSync(partial.file, 'utf8').replace(/\n$/, '');
+    });
+
+    const options = { noEscape: true, strict: false };
+    const compiled = {};
+    Object.entries({ ...partials, system: data.system, user: data.user }).forEach(([key, source]) => {
+      // Parse now so syntax errors show up on load instead of on the next post
+      this.handlebars.parse(source);
+      compiled[key] = this.handlebars.compile(source, options);
+    });
+
+    const source = { template: text, partials };
+    const version = crypto.createHash('sha256').update(JSON.stringify(source)).digest('hex').slice(0, 12);
+
+    return {
+      name,
+      version,
+      source,
+      system: compiled.system,
+      user: compiled.user,
+      partials: Object.fromEntries(Object.keys(partials).map(key => [key, compiled[key]]))
+    };
+  }
+
+  /**
+   * Render a prompt as chat messages
+   * @param {string} name - Prompt name
+   * @param {Object} view - Values used by the template
+   * @returns {Array<Object>} - Messages with role and content
+   */
+  render(name, view) {
+    const template = this.get(name);
+    const options = { partials: template.partials };
+
+    return [
+      { role: 'system', content: template.system(view, options).trim() },
+      { role: 'user', content: template.user(view, options).trim() }
+    ];
+  }
+
+  /**
+   * Get the current version of a template, storing its source the first time it is used
+   * @param {string} name - Prompt name
+   * @returns {Promise<string>} - Version hash
+   */
+  async record(name) {
+    const template = this.get(name);
+
+    if (!template.recorded) {
+      await promptTemplateModel.save({ version: template.version, name, source: template.source });
+      template.recorded = true;
+    }
+    return template.version;
+  }
+}
+
+module.exports = new TemplateService();
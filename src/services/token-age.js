@@ -0,0 +1,119 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const tokenModel = require('../models/token');
+const solanaRpc = require('./solana-rpc');
+
+// Creation times from these sources are final and never looked up again
+const FINAL_SOURCES = ['mint', 'pair'];
+
+// Oldest mint transaction found when the history was too long to page through; the mint may be much older
+const PARTIAL_SOURCE = 'mint_partial';
+
+/**
+ * Service that works out how old a registered token is
+ * Sources, best first: the mint's first on-chain transaction (Solana RPC), the DEX pair
+ * creation time, and finally the first time the bot saw the token. Results are stored
+ * on the token in the registry.
+ */
+class TokenAgeService {
+  constructor() {
+    this.recentHours = config.tokenAge.recentHours;
+    this.partialRecheckHours = config.tokenAge.partialRecheckHours;
+  }
+
+  /**
+   * Get the creation time of a token, resolving and storing it if needed
+   * @param {Object} token - Token from the registry
+   * @returns {Promise<Object>} - { symbol, createdAt, source, ageHours, known }
+   */
+  async getTokenAge(token) {
+    if (token.createdAt && (FINAL_SOURCES.includes(token.createdAtSource) || this.isPartialFresh(token))) {
+      return this.describe(token.symbol, token.createdAt, token.createdAtSource);
+    }
+
+    const { createdAt, source } = await this.resolveCreationTime(token);
+    // Partial times are stored on every lookup, so the check time moves on too
+    if (createdAt !== token.createdAt || source !== token.createdAtSource || source === PARTIAL_SOURCE) {
+      await tokenModel.setCreationTime(token.id, createdAt, source);
+    }
+
+    return this.describe(token.symbol, createdAt, source);
+  }
+
+  /**
+   * Whether a partial creation time was looked up recently enough to be used as it is
+   * @param {Object} token - Token from the registry
+   * @returns {boolean}
+   */
+  isPartialFresh(token) {
+    return token.createdAtSource === PARTIAL_SOURCE && Boolean(token.createdAtCheckedAt) &&
+      Date.now() - new Date(token.createdAtCheckedAt).getTime() < this.partialRecheckHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Work out the best available creation time for a token
+   * @param {Object} token - Token from the registry
+   * @returns {Promise<Object>} - { createdAt, source }
+   */
+  async resolveCreationTime(token) {
+    if (token.chain === 'solana' && token.address && solanaRpc.isConfigured()) {
+      try {
+        const mint = await solanaRpc.getMintCreationTime(token.address);
+
+        if (mint && mint.complete) {
+          return { createdAt: mint.createdAt, source: 'mint' };
+        }
+        if (mint) {
+          // With incomplete history the mint is at least as old as the oldest time seen so far, pair included
+          const earliest = [mint.createdAt, token.pairCreatedAt, token.createdAtSource === PARTIAL_SOURCE && token.createdAt]
+            .filter(Boolean)
+            .reduce((a, b) => (new Date(b) < new Date(a) ? b : a));
+          return { createdAt: earliest, source: PARTIAL_SOURCE };
+        }
+      } catch (error) {
+        logger.error(`Error fetching mint creation time for ${token.symbol}:`, error);
+        // Keep the bound found earlier until the lookup works again; otherwise fall back to the pair creation time
+        if (token.createdAtSource === PARTIAL_SOURCE) {
+          return { createdAt: token.createdAt, source: PARTIAL_SOURCE };
+        }
+      }
+    }
+
+    if (token.pairCreatedAt) {
+      return { createdAt: token.pairCreatedAt, source: 'pair' };
+    }
+
+    if (token.createdAtSource !== 'first_seen') {
+      logger.info(`No creation time found for ${token.symbol}, using first-seen time`);
+    }
+    return { createdAt: token.firstSeenAt, source: 'first_seen' };
+  }
+
+  /**
+   * Build the age result
+   * @param {string} symbol - Token symbol
+   * @param {string} createdAt - Creation time (ISO string)
+   * @param {string} source - Where the creation time came from
+   * @returns {Object} - { symbol, createdAt, source, ageHours, known }, where known is false while ageHours is only a lower bound
+   */
+  describe(symbol, createdAt, source) {
+    return {
+      symbol,
+      createdAt,
+      source,
+      ageHours: (Date.now() - new Date(createdAt).getTime()) / (1000 * 60 * 60),
+      known: source !== PARTIAL_SOURCE
+    };
+  }
+
+  /**
+   * Whether a token counts as recent; tokens whose true age isn't known yet never do
+   * @param {Object} age - Result of getTokenAge
+   * @returns {boolean}
+   */
+  isRecent(age) {
+    return age.known && age.ageHours < this.recentHours;
+  }
+}
+
+module.exports = new TokenAgeService();
@@ -0,0 +1,188 @@
+const logger = require('../utils/logger');
+const tokenModel = require('../models/token');
+const marketData = require('./market-data');
+const tokenAge = require('./token-age');
+
+// How long to wait before searching market data again for a token known only by its symbol
+const RECHECK_MINUTES = 60;
+
+/**
+ * Service that keeps the token registry up to date and resolves tickers to exact tokens
+ * Several tokens can share a ticker, so everything downstream works with registry IDs.
+ */
+class TokenRegistryService {
+  /**
+   * Store tokens from market data and attach their age
+   * @param {Array<Object>} tokens - Normalized tokens from market data
+   * @returns {Promise<Array>} - Registry tokens with createdAt and isRecent
+   */
+  async recordTokens(tokens) {
+    const recorded = [];
+
+    for (const token of tokens) {
+      const stored = await tokenModel.upsertToken(token);
+      recorded.push(await this.withAge(stored));
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Find the token a ticker most likely refers to
+   * Preferred IDs (e.g. tokens given to the LLM as context) win, then the most liquid
+   * token with a known address. Unknown tickers are looked up in market data and
+   * registered, under their symbol alone if nothing is found.
+   * @param {string} symbol - Token symbol
+   * @param {Object} options - Resolution options
+   * @param {Array<number>} options.preferIds - Token IDs to pick first when they match
+   * @returns {Promise<Object>} - Registry token with createdAt and isRecent
+   */
+  async resolveSymbol(symbol, { preferIds = [] } = {}) {
+    const candidates = await tokenModel.findBySymbol(symbol);
+
+    const preferred = candidates.find(token => preferIds.includes(token.id));
+    if (preferred) {
+      return this.withAge(preferred);
+    }
+
+    const addressed = candidates.filter(token => token.address);
+    if (addressed.length > 0) {
+      const best = addressed.reduce((a, b) => ((b.liquidityUsd || 0) > (a.liquidityUsd || 0) ? b : a));
+      return this.withAge(best);
+    }
+
+    const symbolOnly = candidates[0];
+    if (symbolOnly && !this.isRecheckDue(symbolOnly)) {
+      return this.withAge(symbolOnly);
+    }
+
+    const found = await marketData.findToken(symbol);
+    if (found) {
+      const [recorded] = await this.recordTokens([found]);
+      return recorded;
+    }
+
+    // Register (or touch) the bare ticker so the first-seen time and recheck interval persist
+    const stored = await tokenModel.upsertToken({ symbol });
+    return this.withAge(stored);
+  }
+
+  /**
+   * Extract cashtags such as $BONK from text and resolve them to registry tokens
+   * @param {string} text - Text to analyze
+   * @param {Object} options - See resolveSymbol
+   * @returns {Promise<Array>} - Registry tokens with createdAt and isRecent
+   */
+  async extractTokens(text, options = {}) {
+    // Common patterns: $SYMBOL, #SYMBOL (3-5 letters usually)
+    const symbolRegex = /[$#]([A-Z]{2,6})\b/g;
+    const symbols = new Set([...(text || '').toUpperCase().matchAll(symbolRegex)].map(match => match[1]));
+
+    const tokens = [];
+    for (const symbol of symbols) {
+      tokens.push(await this.resolveSymbol(symbol, options));
+    }
+    return tokens;
+  }
+
+  /**
+   * Get registry tokens by ID with their age
+   * @param {Array<number>} ids - Token IDs
+   * @returns {Promise<Array>} - Registry tokens with createdAt and isRecent
+   */
+  async getTokens(ids) {
+    const tokens = await tokenModel.getTokens(ids || []);
+    const withAges = [];
+    for (const token of tokens) {
+      withAges.push(await this.withAge(token));
+    }
+    return withAges;
+  }
+
+  /**
+   * Symbols that may be cashtagged: the recent tokens among those given as context
+   * @param {Array<number>} tokenIds - Token IDs from the generation context
+   * @returns {Promise<Set<string>>}
+   */
+  async getAllowedCashtags(tokenIds) {
+    const tokens = await this.getTokens(tokenIds);
+    return new Set(tokens.filter(token => token.isRecent).map(token => token.symbol));
+  }
+
+  /**
+   * Record which tokens a posted tweet talked about
+   * Context tokens are matched by symbol or name anywhere in the text, and any other
+   * cashtags are resolved through the registry, preferring the context tokens.
+   * @param {string} tweetId - Posted tweet ID
+   * @param {string} text - Posted text
+   * @param {Object} context - Generation context, with tokenIds when generated from market data
+   * @returns {Promise<Array<number>>} - Linked token IDs
+   */
+  async linkTweet(tweetId, text, context = null) {
+    try {
+      const contextIds = (context && context.tokenIds) || [];
+      const contextTokens = await tokenModel.getTokens(contextIds);
+      const lower = (text || '').toLowerCase();
+
+      const ids = new Set(
+        contextTokens
+          .filter(token => [token.symbol, token.name].some(label => label && this.containsWord(lower, label.toLowerCase())))
+          .map(token => token.id)
+      );
+
+      const cashtagged = await this.extractTokens(text, { preferIds: contextIds });
+      cashtagged.forEach(token => ids.add(token.id));
+
+      await tokenModel.linkTweet(tweetId, Array.from(ids));
+      logger.info(`Linked tweet ${tweetId} to ${ids.size} tokens`);
+      return Array.from(ids);
+    } catch (error) {
+      logger.error(`Error linking tokens to tweet ${tweetId}:`, error);
+      // Token links are bookkeeping, never fail the post over them
+      return [];
+    }
+  }
+
+  /**
+   * Whether text contains a word or phrase, not just as part of a longer word
+   * @param {string} text - Lowercased text
+   * @param {string} word - Lowercased word
+   * @returns {boolean}
+   */
+  containsWord(text, word) {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+  }
+
+  /**
+   * Attach age information to a registry token
+   * @param {Object} token - Registry token
+   * @returns {Promise<Object>} - The token with createdAt, createdAtSource and isRecent
+   */
+  async withAge(token) {
+    try {
+      const age = await tokenAge.getTokenAge(token);
+      return {
+        ...token,
+        createdAt: age.createdAt,
+        createdAtSource: age.source,
+        isRecent: tokenAge.isRecent(age)
+      };
+    } catch (error) {
+      logger.error(`Error checking age of ${token.symbol}:`, error);
+      // Unknown age, so don't promote the token
+      return { ...token, isRecent: false };
+    }
+  }
+
+  /**
+   * Whether a token known only by its ticker should be searched for again
+   * @param {Object} token - Registry token
+   * @returns {boolean}
+   */
+  isRecheckDue(token) {
+    return Date.now() - new Date(token.updatedAt).getTime() > RECHECK_MINUTES * 60 * 1000;
+  }
+}
+
+module.exports = new TokenRegistryService();
@@ -0,0 +1,193 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const tokenRiskModel = require('../models/token-risk');
+const solanaRpc = require('./solana-rpc');
+
+// Points added to a token's risk score (0-100) by each failed check
+const WEIGHTS = {
+  mintAuthority: 35,
+  freezeAuthority: 35,
+  holderConcentration: 25,
+  lowLiquidity: 25,
+  unknownLiquidity: 10,
+  newPair: 15,
+  unverifiedAuthorities: 10
+};
+
+/**
+ * Format a share of supply as a percentage
+ * @param {number} share - Share between 0 and 1
+ * @returns {string}
+ */
+const percent = (share) => `${Math.round(share * 100)}%`;
+
+/**
+ * Service that scores how likely a token is to be a rug pull or honeypot
+ * Solana tokens are checked on-chain for mint/freeze authority and holder concentration;
+ * every token is checked against a liquidity floor and a minimum pair age.
+ */
+class TokenRiskService {
+  constructor() {
+    this.settings = config.tokenRisk;
+  }
+
+  /**
+   * Assess a token, reusing a recent assessment when there is one
+   * @param {Object} token - Registry token with market data
+   * @returns {Promise<Object>} - { tokenId, score, reasons, checks, assessedAt }
+   */
+  async assessToken(token) {
+    const cached = await tokenRiskModel.get(token.id);
+    if (cached && Date.now() - new Date(cached.assessedAt).getTime() < this.settings.cacheMinutes * 60 * 1000) {
+      return cached;
+    }
+
+    const reasons = [];
+    const checks = {};
+    let score = 0;
+    const flag = (weight, reason) => {
+      score += weight;
+      reasons.push(reason);
+    };
+
+    if (token.chain === 'solana' && token.address && solanaRpc.isConfigured()) {
+      await this.checkOnChain(token, checks, flag);
+    } else if (token.chain === 'solana' && token.address) {
+      flag(WEIGHTS.unverifiedAuthorities, 'Mint and freeze authority not verified (no Solana RPC configured)');
+    }
+
+    this.checkMarket(token, checks, flag);
+
+    const assessment = {
+      tokenId: token.id,
+      score: Math.min(score, 100),
+      reasons,
+      checks,
+      assessedAt: new Date().toISOString()
+    };
+
+    await tokenRiskModel.save(token.id, assessment);
+    logger.info(`Risk score for ${token.symbol}: ${assessment.score}${reasons.length > 0 ? ` (${reasons.join('; ')})` : ''}`);
+    return assessment;
+  }
+
+  /**
+   * Check mint/freeze authority and holder concentration on-chain
+   * @param {Object} token - Registry token
+   * @param {Object} checks - Raw check results, filled in
+   * @param {Function} flag - Adds a weighted reason to the score
+   */
+  async checkOnChain(token, checks, flag) {
+    try {
+      const mint = await solanaRpc.getMintInfo(token.address);
+
+      if (!mint) {
+        flag(WEIGHTS.unverifiedAuthorities, 'Address is not a token mint');
+        return;
+      }
+
+      checks.mintAuthority = mint.mintAuthority;
+      checks.freezeAuthority = mint.freezeAuthority;
+
+      if (mint.mintAuthority) {
+        flag(WEIGHTS.mintAuthority, 'Mint authority is still enabled, so supply can be inflated');
+      }
+      if (mint.freezeAuthority) {
+        flag(WEIGHTS.freezeAuthority, 'Freeze authority is enabled, so holders can be blocked from selling');
+      }
+    } catch (error) {
+      logger.error(`Error checking mint authorities for ${token.symbol}:`, error);
+      flag(WEIGHTS.unverifiedAuthorities, 'Mint and freeze authority could not be verified');
+    }
+
+    try {
+      const concentration = await solanaRpc.getHolderConcentration(token.address);
+
+      if (concentration) {
+        checks.topHolderShare = concentration.topShare;
+        checks.largestHolderShare = concentration.largestShare;
+
+        if (concentration.topShare > this.settings.maxTopHolderShare) {
+          flag(WEIGHTS.holderConcentration, `Top 10 holders own ${percent(concentration.topShare)} of supply`);
+        }
+      }
+    } catch (error) {
+      // Concentration is a softer signal, so an RPC failure here doesn't add risk
+      logger.error(`Error checking holder concentration for ${token.symbol}:`, error);
+    }
+  }
+
+  /**
+   * Check liquidity and pair age from DEX data
+   * @param {Object} token - Registry token with market data
+   * @param {Object} checks - Raw check results, filled in
+   * @param {Function} flag - Adds a weighted reason to the score
+   */
+  checkMarket(token, checks, flag) {
+    if (typeof token.liquidityUsd === 'number') {
+      checks.liquidityUsd = token.liquidityUsd;
+
+      if (token.liquidityUsd < this.settings.minLiquidityUsd) {
+        flag(WEIGHTS.lowLiquidity, `Liquidity of $${Math.round(token.liquidityUsd)} is below $${this.settings.minLiquidityUsd}`);
+      }
+    } else if (token.address) {
+      flag(WEIGHTS.unknownLiquidity, 'No DEX liquidity data');
+    }
+
+    if (token.pairCreatedAt) {
+      const pairAgeHours = (Date.now() - new Date(token.pairCreatedAt).getTime()) / (1000 * 60 * 60);
+      checks.pairAgeHours = pairAgeHours;
+
+      if (pairAgeHours < this.settings.minPairAgeHours) {
+        flag(WEIGHTS.newPair, `Trading pair is only ${pairAgeHours.toFixed(1)}h old`);
+      }
+    }
+  }
+
+  /**
+   * Whether an assessment keeps its token out of generation contexts
+   * An enabled freeze authority, thin liquidity and a brand-new pair exclude a token on their own, whatever its score.
+   * @param {Object} assessment - Token assessment
+   * @returns {boolean}
+   */
+  isExcluded({ score, checks }) {
+    return score > this.settings.maxScore ||
+      Boolean(checks.freezeAuthority) ||
+      (typeof checks.liquidityUsd === 'number' && checks.liquidityUsd < this.settings.minLiquidityUsd) ||
+      (typeof checks.pairAgeHours === 'number' && checks.pairAgeHours < this.settings.minPairAgeHours);
+  }
+
+  /**
+   * Drop tokens whose risk score is over the configured threshold, that have a freeze authority, or that fail the liquidity or pair-age floor
+   * @param {Array<Object>} tokens - Registry tokens with market data
+   * @returns {Promise<Object>} - { safe: tokens that passed, excluded: [{ symbol, score, reasons }] }
+   */
+  async screenTokens(tokens) {
+    const safe = [];
+    const excluded = [];
+
+    for (const token of tokens) {
+      try {
+        const assessment = await this.assessToken(token);
+
+        if (this.isExcluded(assessment)) {
+          excluded.push({ symbol: token.symbol, score: assessment.score, reasons: assessment.reasons });
+        } else {
+          safe.push({ ...token, riskScore: assessment.score });
+        }
+      } catch (error) {
+        logger.error(`Error assessing risk of ${token.symbol}:`, error);
+        // Never promote a token we couldn't assess
+        excluded.push({ symbol: token.symbol, score: null, reasons: ['Risk assessment failed'] });
+      }
+    }
+
+    if (excluded.length > 0) {
+      logger.info(`Excluded risky tokens from context: ${excluded.map(t => `${t.symbol} (${t.score})`).join(', ')}`);
+    }
+
+    return { safe, excluded };
+  }
+}
+
+module.exports = new TokenRiskService();
@@ -0,0 +1,117 @@
+const engagementModel = require('../models/engagement');
+const tokenModel = require('../models/token');
+const promptTemplateModel = require('../models/prompt-template');
+const { httpError } = require('../utils/errors');
+
+const TWEET_TYPES = ['generated', 'manual', 'reply', 'thread', 'trend_summary', 'legacy'];
+const SORTS = ['recent', 'engagement'];
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parse a positive integer query parameter
+ * @param {string} value - Raw value
+ * @param {string} name - Parameter name, for the error message
+ * @param {number} fallback - Value when the parameter is missing
+ * @returns {number}
+ */
+function parsePositiveInt(value, name, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw httpError(400, `${name} must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Parse a date query parameter into an ISO timestamp
+ * @param {string} value - Raw value (anything Date understands, e.g. 2024-05-01 or a full ISO timestamp)
+ * @param {string} name - Parameter name, for the error message
+ * @returns {string|null}
+ */
+function parseDate(value, name) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(400, `${name} must be a date`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Service behind the tweet history API
+ */
+class TweetService {
+  /**
+   * List posted tweets
+   * @param {Object} query - Query parameters: page, pageSize, account, from, to, type, sort
+   * @returns {Promise<Object>} - { tweets, pagination: { page, pageSize, total, totalPages } }
+   */
+  async listTweets(query = {}) {
+    const page = parsePositiveInt(query.page, 'page', 1);
+    const pageSize = Math.min(parsePositiveInt(query.pageSize, 'pageSize', 20), MAX_PAGE_SIZE);
+    const from = parseDate(query.from, 'from');
+    const to = parseDate(query.to, 'to');
+    const sort = query.sort || 'recent';
+
+    if (query.type && !TWEET_TYPES.includes(query.type)) {
+      throw httpError(400, `type must be one of ${TWEET_TYPES.join(', ')}`);
+    }
+    if (!SORTS.includes(sort)) {
+      throw httpError(400, `sort must be one of ${SORTS.join(', ')}`);
+    }
+
+    const { tweets, total } = await engagementModel.listTweets({
+      account: query.account,
+      type: query.type,
+      from,
+      to,
+      sort,
+      limit: pageSize,
+      offset: (page - 1) * pageSize
+    });
+
+    return {
+      tweets,
+      pagination: { page, pageSize, total, totalPages: Math.ceil(total / pageSize) }
+    };
+  }
+
+  /**
+   * Get everything recorded about one tweet
+   * @param {string} id - Tweet ID
+   * @returns {Promise<Object>} - The tweet (content, prompt, template, context, persona and strategy guidance used)
+   * with its metrics history, performance analyses, linked tokens and, for thread roots, the thread
+   */
+  async getTweet(id) {
+    const tweet = await engagementModel.getTweetById(id);
+
+    if (!tweet) {
+      throw httpError(404, `Tweet ${id} not found`);
+    }
+
+    const [metrics, analyses, tokens, thread, template] = await Promise.all([
+      engagementModel.getMetricsHistory(id),
+      engagementModel.getAnalyses(id),
+      tokenModel.getTweetTokens(id),
+      engagementModel.getThreadByRoot(id),
+      // The template text it was generated from; tweets from before template files have none
+      tweet.template_version ? promptTemplateModel.get(tweet.template_version) : null
+    ]);
+
+    // The strategy memory guidance that was in the prompt, if any
+    const strategy = (tweet.context && tweet.context.strategy) || null;
+    // ID of the persona it was written in; tweets from before persona files have none
+    const persona = (tweet.context && tweet.context.persona && tweet.context.persona.id) || null;
+
+    return { ...tweet, persona, strategy, template, metrics, analyses, tokens, thread };
+  }
+}
+
+module.exports = new TweetService();
@@ -1,25 +1,62 @@
 const { TwitterApi } = require('twitter-api-v2');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const SandboxClient = require('./sandbox');
+const RateLimitManager = require('./rate-limits');
 
-// Create a client instance
-const client = new TwitterApi({
-  appKey: config.twitter.apiKey,
-  appSecret: config.twitter.apiSecret,
-  accessToken: config.twitter.accessToken,
-  accessSecret: config.twitter.accessSecret,
-});
-
-// Get a read-write client
-const rwClient = client.readWrite;
+/**
+ * Create the read-write client, or the local sandbox backend in sandbox mode
+ * @param {Object} credentials - { apiKey, apiSecret, accessToken, accessSecret }
+ * @param {Object} sandboxUser - { id, username, name } the sandbox posts as
+ * @param {RateLimitManager} limits - Records the rate limits of every response
+ * @returns {Object} - Client exposing the twitter-api-v2 v2 interface
+ */
+function createClient(credentials, sandboxUser, limits) {
+  if (config.twitter.sandbox) {
+    logger.info(`Twitter sandbox mode enabled for @${sandboxUser.username}, nothing will be posted to X`);
+    return new SandboxClient(sandboxUser);
+  }
+  
+  // Create a client instance
+  const client = new TwitterApi({
+    appKey: credentials.apiKey,
+    appSecret: credentials.apiSecret,
+    accessToken: credentials.accessToken,
+    accessSecret: credentials.accessSecret,
+  }, { plugins: [limits.plugin()] });
+  
+  // Get a read-write client
+  return client.readWrite;
+}
 
 /**
- * Service for interacting with the Twitter API
+ * Service for interacting with the Twitter API as one bot account
+ * Every call goes through the account's rate-limit manager, with a priority that says how urgent it is.
  */
 class TwitterService {
-  constructor() {
-    this.repliedToMentions = new Set(); // Track mentions we've already replied to
-    this.recentTokens = new Map(); // Map of token symbols to their first seen timestamp
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.account - ID of the account
+   * @param {Object} options.credentials - X API credentials of the account
+   * @param {Object} options.sandboxUser - User the account posts as in sandbox mode
+   */
+  constructor({ account, credentials, sandboxUser }) {
+    this.limits = new RateLimitManager({ account, ...config.xApi });
+    this.client = createClient(credentials, sandboxUser, this.limits);
+    this.user = null;
+  }
+
+  /**
+   * Get the authenticated user, which is only fetched once
+   * @param {string} priority - Priority of the call that needs the user
+   * @returns {Promise<Object>} - { id, username, name }
+   */
+  async getMe(priority) {
+    if (!this.user) {
+      const response = await this.limits.schedule('GET /2/users/me', priority, () => this.client.v2.me());
+      this.user = response.data;
+    }
+    return this.user;
   }
 
   /**
@@ -30,7 +67,7 @@ class TwitterService {
   async postTweet(content) {
     try {
       logger.info('Posting tweet');
-      const response = await rwClient.v2.tweet(content);
+      const response = await this.limits.schedule('POST /2/tweets', 'post', () => this.client.v2.tweet(content));
       logger.info(`Tweet posted with ID: ${response.data.id}`);
       return response.data;
     } catch (error) {
@@ -48,12 +85,8 @@ class TwitterService {
   async replyToTweet(tweetId, content) {
     try {
       logger.info(`Replying to tweet ${tweetId}`);
-      const response = await rwClient.v2.reply(content, tweetId);
+      const response = await this.limits.schedule('POST /2/tweets', 'reply', () => this.client.v2.reply(content, tweetId));
       logger.info(`Reply posted with ID: ${response.data.id}`);
-      
-      // Record that we've replied to this tweet
-      this.repliedToMentions.add(tweetId);
-      
       return response.data;
     } catch (error) {
       logger.error(`Error replying to tweet ${tweetId}:`, error);
@@ -64,38 +97,43 @@ class TwitterService {
   /**
    * Fetch recent mentions of the user
    * @param {number} count - Number of mentions to fetch (default 10)
+   * @param {string} sinceId - Only return mentions newer than this tweet ID
    * @returns {Promise<Array>} - Array of mention tweets
    */
-  async getMentions(count = 10) {
+  async getMentions(count = 10, sinceId = null) {
     try {
-      logger.info(`Fetching ${count} recent mentions`);
-      // Get user ID of the authenticated user
-      const user = await rwClient.v2.me();
-      const userId = user.data.id;
+      logger.info(`Fetching ${count} recent mentions${sinceId ? ` since ${sinceId}` : ''}`);
+      const { mentions } = await this.fetchMentionPage(count, sinceId);
       
-      // Search for mentions
-      const mentions = await rwClient.v2.search(`@${user.data.username}`, {
-        max_results: count,
-        'tweet.fields': ['created_at', 'public_metrics', 'conversation_id', 'author_id', 'text'],
-        'user.fields': ['username', 'name'],
-        expansions: ['author_id']
-      });
-      
-      // Enhance tweets with author information
-      const tweets = mentions.data.data || [];
-      const users = mentions.data.includes?.users || [];
+      logger.info(`Retrieved ${mentions.length} mentions`);
+      return mentions;
+    } catch (error) {
+      logger.error('Error fetching mentions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch every mention newer than a tweet ID, following the result pages back to it
+   * @param {string} sinceId - Only return mentions newer than this tweet ID; without it only the newest pages are read
+   * @param {Object} options - { pageSize, maxPages, nextToken }, nextToken carrying on from where an earlier call stopped
+   * @returns {Promise<Object>} - { mentions, complete, nextToken }, where complete is false and nextToken set if pages were left unread
+   */
+  async getMentionsSince(sinceId, { pageSize = 100, maxPages = 5, nextToken = null } = {}) {
+    try {
+      logger.info(`Fetching mentions${sinceId ? ` since ${sinceId}` : ''}${nextToken ? ', carrying on from an earlier page' : ''}`);
+      const mentions = [];
+      let pages = 0;
       
-      const enhancedTweets = tweets.map(tweet => {
-        const author = users.find(user => user.id === tweet.author_id);
-        return {
-          ...tweet,
-          author_username: author ? author.username : 'unknown',
-          author_name: author ? author.name : 'Unknown User'
-        };
-      });
+      do {
+        const page = await this.fetchMentionPage(pageSize, sinceId, nextToken);
+        mentions.push(...page.mentions);
+        nextToken = page.nextToken;
+        pages++;
+      } while (nextToken && pages < maxPages);
       
-      logger.info(`Retrieved ${enhancedTweets.length} mentions`);
-      return enhancedTweets;
+      logger.info(`Retrieved ${mentions.length} mentions in ${pages} pages${nextToken ? ', more left unread' : ''}`);
+      return { mentions, complete: !nextToken, nextToken };
     } catch (error) {
       logger.error('Error fetching mentions:', error);
       throw error;
@@ -103,12 +141,68 @@ class TwitterService {
   }
 
   /**
-   * Check if we've already replied to a mention
-   * @param {string} tweetId - The ID of the mention tweet
-   * @returns {boolean} - Whether we've already replied
+   * Fetch one page of mentions, newest first
+   * @param {number} count - Mentions per page
+   * @param {string} sinceId - Only return mentions newer than this tweet ID
+   * @param {string} nextToken - Page to fetch, from the previous page
+   * @returns {Promise<Object>} - { mentions, nextToken }, nextToken being null on the last page
+   */
+  async fetchMentionPage(count, sinceId = null, nextToken = null) {
+    // Get the authenticated user
+    const user = await this.getMe('read');
+    
+    const params = {
+      max_results: count,
+      'tweet.fields': ['created_at', 'public_metrics', 'conversation_id', 'author_id', 'text'],
+      'user.fields': ['username', 'name'],
+      expansions: ['author_id']
+    };
+    
+    if (sinceId) {
+      params.since_id = sinceId;
+    }
+    if (nextToken) {
+      params.next_token = nextToken;
+    }
+    
+    // Search for mentions
+    const response = await this.limits.schedule('GET /2/tweets/search/recent', 'read', () => this.client.v2.search(`@${user.username}`, params));
+    
+    // Enhance tweets with author information
+    const tweets = response.data.data || [];
+    const users = response.data.includes?.users || [];
+    
+    const mentions = tweets.map(tweet => {
+      const author = users.find(user => user.id === tweet.author_id);
+      return {
+        ...tweet,
+        author_username: author ? author.username : 'unknown',
+        author_name: author ? author.name : 'Unknown User'
+      };
+    });
+    
+    return { mentions, nextToken: response.data.meta?.next_token || null };
+  }
+
+  /**
+   * Compare two tweet IDs chronologically
+   * Tweet IDs are 64-bit snowflakes, too large to compare as numbers
+   * @param {string} a - First tweet ID
+   * @param {string} b - Second tweet ID
+   * @returns {number} - Negative if a is older, positive if a is newer, 0 if equal
+   */
+  compareTweetIds(a, b) {
+    const diff = BigInt(a) - BigInt(b);
+    return diff === 0n ? 0 : (diff < 0n ? -1 : 1);
+  }
+
+  /**
+   * The tweet ID just before another, for a since_id that still includes that tweet
+   * @param {string} id - Tweet ID
+   * @returns {string}
    */
-  hasRepliedToMention(tweetId) {
-    return this.repliedToMentions.has(tweetId);
+  previousTweetId(id) {
+    return (BigInt(id) - 1n).toString();
   }
 
   /**
@@ -122,12 +216,12 @@ class TwitterService {
       logger.info(`Getting popular tweets from following from the last ${hours} hours`);
       
       // Get the authenticated user
-      const me = await rwClient.v2.me();
+      const me = await this.getMe('background');
       
       // Get accounts the user follows
-      const following = await rwClient.v2.following(me.data.id, {
+      const following = await this.limits.schedule('GET /2/users/:id/following', 'background', () => this.client.v2.following(me.id, {
         max_results: 100 // Maximum allowed by Twitter API
-      });
+      }));
       
       const followingIds = (following.data || []).map(user => user.id);
       
@@ -146,13 +240,13 @@ class TwitterService {
       // Due to API limitations, we need to request tweets for each user separately
       for (const userId of followingIds.slice(0, 10)) { // Limit to 10 users to avoid rate limits
         try {
-          const userTweets = await rwClient.v2.userTimeline(userId, {
+          const userTweets = await this.limits.schedule('GET /2/users/:id/tweets', 'background', () => this.client.v2.userTimeline(userId, {
             start_time: startTime.toISOString(),
             max_results: 10,
             'tweet.fields': ['created_at', 'public_metrics', 'author_id', 'text'],
             'user.fields': ['username', 'name'],
             expansions: ['author_id']
-          });
+          }));
           
           if (userTweets.data.data) {
             const userData = userTweets.data.includes?.users?.find(user => user.id === userId);
@@ -168,6 +262,11 @@ class TwitterService {
             tweets.push(...enhancedTweets);
           }
         } catch (err) {
+          // The rest of the timelines would be deferred too
+          if (err.rateLimited) {
+            logger.warn(`Stopped reading timelines after ${tweets.length} tweets: ${err.message}`);
+            break;
+          }
           logger.error(`Error fetching tweets for user ${userId}:`, err);
           // Continue with other users
         }
@@ -200,42 +299,6 @@ class TwitterService {
     );
   }
 
-  /**
-   * Track a cryptocurrency token and check if it's recent
-   * @param {string} symbol - The token symbol
-   * @returns {boolean} - Whether this is a recent token (< 120 hours old)
-   */
-  isRecentToken(symbol) {
-    const normalizedSymbol = symbol.toUpperCase();
-    const now = Date.now();
-    
-    // If we haven't seen this token before, add it to our tracking
-    if (!this.recentTokens.has(normalizedSymbol)) {
-      this.recentTokens.set(normalizedSymbol, now);
-      return true; // First time we've seen it, so consider it recent
-    }
-    
-    // Check how old the token is in our tracking
-    const firstSeen = this.recentTokens.get(normalizedSymbol);
-    const hoursSinceSeen = (now - firstSeen) / (1000 * 60 * 60);
-    
-    return hoursSinceSeen < 120; // Less than 120 hours (5 days) old
-  }
-
-  /**
-   * Extract potential token symbols from text
-   * @param {string} text - Text to analyze
-   * @returns {Array<string>} - Array of potential token symbols
-   */
-  extractTokenSymbols(text) {
-    // Look for patterns that match token symbols
-    // Common patterns: $SYMBOL, #SYMBOL (3-5 letters usually)
-    const symbolRegex = /[$#]([A-Z]{2,6})\b/g;
-    const matches = [...text.toUpperCase().matchAll(symbolRegex)];
-    
-    return matches.map(match => match[1]); // Extract just the symbol part
-  }
-
   /**
    * Get metrics for a specific tweet
    * @param {string} tweetId - The ID of the tweet
@@ -244,9 +307,9 @@ class TwitterService {
   async getTweetMetrics(tweetId) {
     try {
       logger.info(`Fetching metrics for tweet ${tweetId}`);
-      const tweet = await rwClient.v2.singleTweet(tweetId, {
+      const tweet = await this.limits.schedule('GET /2/tweets/:id', 'background', () => this.client.v2.singleTweet(tweetId, {
         'tweet.fields': ['created_at', 'public_metrics'],
-      });
+      }));
       
       logger.info(`Retrieved metrics for tweet ${tweetId}`);
       return tweet.data.public_metrics;
@@ -264,9 +327,9 @@ class TwitterService {
   async getConversation(conversationId) {
     try {
       logger.info(`Fetching conversation ${conversationId}`);
-      const conversation = await rwClient.v2.search(`conversation_id:${conversationId}`, {
+      const conversation = await this.limits.schedule('GET /2/tweets/search/recent', 'read', () => this.client.v2.search(`conversation_id:${conversationId}`, {
         'tweet.fields': ['created_at', 'public_metrics', 'conversation_id', 'in_reply_to_user_id'],
-      });
+      }));
       
       logger.info(`Retrieved ${conversation.data.meta.result_count} tweets from conversation ${conversationId}`);
       return conversation.data.data || [];
@@ -277,4 +340,4 @@ class TwitterService {
   }
 }
 
-module.exports = new TwitterService();
+module.exports = TwitterService;
@@ -0,0 +1,30 @@
+const logger = require('./logger');
+
+/**
+ * Create an error carrying an HTTP status code for the API layer
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Send an error response using the status code attached by the service, if any
+ * Content policy violations are included when the error carries them.
+ * @param {Object} res - Express response
+ * @param {Error} error - The error
+ * @param {string} action - What was being done, for the log line (e.g. 'listing drafts')
+ */
+function sendError(res, error, action) {
+  logger.error(`Error ${action}: ${error.message}`);
+  res.status(error.statusCode || 500).json({ success: false, error: error.message, violations: error.violations });
+}
+
+module.exports = {
+  httpError,
+  sendError
+};
@@ -1,4 +1,3 @@
-const twitterService = require('../services/twitter');
 const engagementModel = require('../models/engagement');
 const llmService = require('../services/llm');
 const logger = require('./logger');
@@ -9,20 +8,29 @@ const logger = require('./logger');
 class MetricsTracker {
   /**
    * Track metrics for a tweet
+   * @param {Object} account - Bot account that posted the tweet
    * @param {string} tweetId - The ID of the tweet to track
-   * @returns {Promise<Object>} - Metrics data
+   * @param {string} horizon - Tracking horizon the reading is taken for (e.g. '24h'), if any
+   * @returns {Promise<Object>} - The saved metrics
    */
-  async trackTweetMetrics(tweetId) {
+  async trackTweetMetrics(account, tweetId, horizon = null) {
     try {
       logger.info(`Tracking metrics for tweet ${tweetId}`);
       
       // Fetch metrics from Twitter
-      const metrics = await twitterService.getTweetMetrics(tweetId);
+      const publicMetrics = await account.twitter.getTweetMetrics(tweetId);
+      
+      // Map X's public_metrics names onto our metrics columns
+      const metrics = {
+        likes: publicMetrics.like_count || 0,
+        retweets: publicMetrics.retweet_count || 0,
+        replies: publicMetrics.reply_count || 0,
+        impressions: publicMetrics.impression_count || 0,
+        horizon
+      };
       
       // Save metrics to database
-      await engagementModel.saveMetrics(tweetId, metrics);
-      
-      return metrics;
+      return await engagementModel.saveMetrics(tweetId, metrics);
     } catch (error) {
       logger.error(`Error tracking metrics for tweet ${tweetId}:`, error);
       throw error;
@@ -39,21 +47,19 @@ class MetricsTracker {
       logger.info(`Analyzing performance for tweet ${tweetId}`);
       
       // Get tweet data
-      const tweetRows = await engagementModel.getRecentTweetsWithMetrics(1);
-      if (tweetRows.length === 0 || tweetRows[0].id !== tweetId) {
+      const tweet = await engagementModel.getTweetById(tweetId);
+      if (!tweet) {
         throw new Error(`Tweet ${tweetId} not found in database`);
       }
       
-      const tweet = tweetRows[0];
-      
       // Get metrics
       const metrics = await engagementModel.getLatestMetrics(tweetId);
       if (!metrics) {
         throw new Error(`No metrics found for tweet ${tweetId}`);
       }
       
-      // Get previous tweets for comparison
-      const previousTweets = await engagementModel.getRecentTweetsWithMetrics(5);
+      // Get previous tweets of the same account for comparison
+      const previousTweets = await engagementModel.getRecentTweetsWithMetrics(5, tweet.account);
       
       // Format previous tweet data for LLM
       const previousPerformance = previousTweets
@@ -91,17 +97,18 @@ class MetricsTracker {
 
   /**
    * Get insights from recent tweet performance
+   * @param {string} account - Only look at this account's tweets
    * @returns {Promise<Object>} - Performance insights
    */
-  async getPerformanceInsights() {
+  async getPerformanceInsights(account = null) {
     try {
-      logger.info('Getting performance insights');
+      logger.info(`Getting performance insights${account ? ` for ${account}` : ''}`);
       
       // Get top performing tweets
-      const topTweets = await engagementModel.getTopPerformingTweets(5);
+      const topTweets = await engagementModel.getTopPerformingTweets(5, account);
       
       // Get recent tweets
-      const recentTweets = await engagementModel.getRecentTweetsWithMetrics(10);
+      const recentTweets = await engagementModel.getRecentTweetsWithMetrics(10, account);
       
       // Calculate average engagement
       const avgEngagement = recentTweets.reduce((acc, tweet) => {
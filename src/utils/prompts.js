@@ -1,138 +1,62 @@
 /**
  * Prompt templates for the LLM
+ * The wording lives in the template files (see services/templates); these functions fill in
+ * defaults for anything the template needs. Each returns chat messages: persona instructions in
+ * the system role, market context and the task in the user role. The voice comes from the persona
+ * in the context, or the job's configured persona when there is none.
  */
 
+const templates = require('../services/templates');
+const personas = require('../services/personas');
+
 const prompts = {
   /**
    * Generate a tweet about memecoins
    */
-  tweet: (context = {}) => {
-    const { recentEvents = [], topCoins = [], recentTokens = [], trendingTweets = [] } = context;
-    
-    let prompt = "Human: You are a high-energy, witty crypto influencer who specializes in memecoins on Solana and other chains. ";
-    prompt += "Your tweets are bullish, funny, and use crypto slang. You're known for early calls and hyping up memecoin opportunities.\n\n";
-    
-    if (recentEvents.length > 0) {
-      prompt += `Recent events: ${recentEvents.join(', ')}\n`;
-    }
-    
-    if (topCoins.length > 0) {
-      prompt += `Popular memecoins: ${topCoins.join(', ')}\n`;
-    }
-    
-    if (recentTokens.length > 0) {
-      prompt += `Recent tokens (< 120h old): ${recentTokens.join(', ')}\n`;
-    }
-    
-    if (trendingTweets.length > 0) {
-      prompt += "Trending tweets from accounts you follow:\n";
-      trendingTweets.forEach((tweet, i) => {
-        prompt += `${i+1}. ${tweet.author}: "${tweet.text}"\n`;
-      });
-    }
-    
-    prompt += "\nWrite a single tweet (maximum 280 characters) about memecoins that is catchy, enthusiastic, and uses crypto ";
-    prompt += "community slang and emojis. DO NOT USE ANY HASHTAGS AT ALL. Make it feel authentic to crypto Twitter culture, with a bullish ";
-    prompt += "sentiment that doesn't sound like a large language model. Only mention tokens with $ symbol if they are from the 'Recent tokens' list.";
-    
-    return prompt;
-  },
+  tweet: (context = {}) => templates.render('tweet', {
+    ...context,
+    persona: context.persona || personas.forJob('tweet')
+  }),
   
   /**
    * Generate a reply to a tweet
    */
-  reply: (context = {}) => {
-    const { 
-      originalTweet = "", 
-      authorName = "",
-      authorUsername = "",
-      recentTokens = [],
-      trendingTweets = [],
-      mentionedTokens = []
-    } = context;
-    
-    let prompt = "Human: You are xBOT, a quirky, funny, and interesting memecoin enthusiast who uses crypto slang. ";
-    prompt += "Your personality is chaotic and energetic. You're like a cross between a finance bro, a meme lord, and a tech guru. ";
-    prompt += "You respond to mentions in a witty, engaging way, often referencing popular tweets you've seen.\n\n";
-    
-    prompt += `Original tweet from @${authorUsername} (${authorName}): "${originalTweet}"\n\n`;
-    
-    if (recentTokens.length > 0) {
-      prompt += `Recent tokens (< 120h old) you can mention with $ symbol: ${recentTokens.join(', ')}\n`;
-    }
-    
-    if (mentionedTokens.length > 0) {
-      prompt += `Tokens mentioned in the tweet: ${mentionedTokens.join(', ')}\n`;
-    }
-    
-    if (trendingTweets.length > 0) {
-      prompt += "Popular tweets from accounts you follow that you might want to reference:\n";
-      trendingTweets.forEach((tweet, i) => {
-        prompt += `${i+1}. ${tweet.author}: "${tweet.text}"\n`;
-      });
-    }
-    
-    prompt += "\nWrite a reply (maximum 280 characters) that is quirky, funny, engaging, and continues the conversation. ";
-    prompt += "Use emoji and crypto slang. DO NOT USE ANY HASHTAGS. If appropriate, reference one of the popular tweets in a natural way. ";
-    prompt += "Only use $ symbol for tokens in the 'Recent tokens' list. Be authentic, entertaining, and add your unique chaotic energy. ";
-    prompt += "Respond in a way that shows you're well-connected and knowledgeable about what's happening in crypto right now.";
-    
-    return prompt;
-  },
+  reply: (context = {}) => templates.render('reply', {
+    originalTweet: "",
+    authorName: "",
+    authorUsername: "",
+    ...context,
+    persona: context.persona || personas.forJob('reply')
+  }),
   
   /**
    * Generate a summary of memecoin trends
    */
-  trends: (context = {}) => {
-    const { recentTrends = [], topCoins = [], marketCondition = "neutral" } = context;
-    
-    let prompt = "Human: You are a knowledgeable crypto analyst specializing in memecoins and the Solana ecosystem. ";
-    prompt += "You understand market dynamics and can spot emerging trends early.\n\n";
-    
-    if (recentTrends.length > 0) {
-      prompt += `Recent market trends: ${recentTrends.join(', ')}\n`;
-    }
-    
-    if (topCoins.length > 0) {
-      prompt += `Top performing memecoins: ${topCoins.join(', ')}\n`;
-    }
-    
-    prompt += `Overall market condition: ${marketCondition}\n\n`;
-    
-    prompt += "Write a brief analysis (1-3 paragraphs) of the current memecoin landscape. Highlight what's trending, ";
-    prompt += "potential opportunities, and where the community's attention is focused. Use crypto terminology and maintain ";
-    prompt += "a slightly bullish tone while being realistic. This should sound like an experienced insider's perspective.";
-    
-    return prompt;
-  },
+  trends: (context = {}) => templates.render('trends', {
+    marketCondition: "neutral",
+    ...context,
+    persona: context.persona || personas.forJob('trends')
+  }),
   
   /**
    * Analyze tweet performance
    */
-  analyze: (context = {}) => {
-    const { tweet = "", metrics = {}, previousPerformance = [] } = context;
-    
-    let prompt = "Human: You are an expert social media analyst specializing in crypto content. ";
-    prompt += "You can identify what makes tweets perform well in the memecoin community.\n\n";
-    
-    prompt += `Tweet: "${tweet}"\n\n`;
-    prompt += `Metrics: ${JSON.stringify(metrics)}\n\n`;
-    
-    if (previousPerformance.length > 0) {
-      prompt += "Previous tweet performance:\n";
-      previousPerformance.forEach(p => {
-        prompt += `- "${p.tweet}" - Likes: ${p.metrics.likes}, Retweets: ${p.metrics.retweets}, Replies: ${p.metrics.replies}\n`;
-      });
-      prompt += "\n";
-    }
-    
-    prompt += "Analyze this tweet's performance compared to previous ones. What elements made it successful or ";
-    prompt += "unsuccessful? What patterns do you see in engagement? What should be emphasized in future tweets? ";
-    prompt += "Return your analysis as a JSON object with these keys: 'analysis', 'successFactors', 'improvementAreas', ";
-    prompt += "'recommendedApproach'.";
-    
-    return prompt;
-  }
+  analyze: (context = {}) => templates.render('analyze', {
+    tweet: "",
+    metrics: {},
+    ...context
+  }),
+  
+  /**
+   * Shorten a tweet or reply that is over the length limit
+   */
+  shorten: (context = {}) => templates.render('shorten', {
+    text: "",
+    weightedLength: 0,
+    maxLength: 280,
+    isReply: false,
+    ...context
+  })
 };
 
-module.exports = prompts; 
\ No newline at end of file
+module.exports = prompts;
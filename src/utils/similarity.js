@@ -0,0 +1,97 @@
+/**
+ * Local text similarity for spotting near-duplicate posts
+ * Texts are compared as sets of character 5-grams (shingles) using Jaccard similarity,
+ * which catches reworded copies as well as exact repeats.
+ */
+
+const SHINGLE_SIZE = 5;
+
+/**
+ * Normalize text so formatting differences don't count: lowercase, no links or punctuation
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+function normalize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[^\p{L}\p{N}$@\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split text into overlapping character shingles
+ * @param {string} text - Text to split
+ * @param {number} size - Shingle length
+ * @returns {Set<string>}
+ */
+function shingles(text, size = SHINGLE_SIZE) {
+  const normalized = normalize(text);
+  const result = new Set();
+
+  if (normalized.length <= size) {
+    if (normalized) {
+      result.add(normalized);
+    }
+    return result;
+  }
+
+  for (let i = 0; i <= normalized.length - size; i++) {
+    result.add(normalized.slice(i, i + size));
+  }
+  return result;
+}
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} - Between 0 (nothing shared) and 1 (identical)
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) {
+      shared++;
+    }
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Similarity of two texts
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} - Between 0 and 1
+ */
+function similarity(a, b) {
+  return jaccard(shingles(a), shingles(b));
+}
+
+/**
+ * Find the post most similar to a candidate
+ * @param {string} candidate - Text about to be posted
+ * @param {Array<Object>} posts - Earlier posts with id and text
+ * @returns {Object} - { score, id, text } of the closest post, score 0 and id null when there are none
+ */
+function mostSimilar(candidate, posts) {
+  const candidateShingles = shingles(candidate);
+
+  return posts.reduce((best, post) => {
+    const score = jaccard(candidateShingles, shingles(post.text));
+    return score > best.score ? { score, id: post.id, text: post.text } : best;
+  }, { score: 0, id: null, text: null });
+}
+
+module.exports = {
+  normalize,
+  shingles,
+  jaccard,
+  similarity,
+  mostSimilar
+};
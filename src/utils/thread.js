@@ -0,0 +1,113 @@
+const { weightedLength, MAX_WEIGHTED_LENGTH } = require('./tweet-length');
+
+/**
+ * Split text into sentences, remembering which paragraph each one came from
+ * @param {string} text - Text to split
+ * @returns {Array<Object>} - Units with text and paragraph index
+ */
+function splitSentences(text) {
+  const paragraphs = text.split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+  return paragraphs.flatMap((paragraph, index) => {
+    const sentences = paragraph.match(/[^.!?…]+(?:[.!?…]+["')\]]*|$)\s*/g) || [paragraph];
+    return sentences.map(sentence => sentence.trim()).filter(Boolean).map(sentence => ({ text: sentence, paragraph: index }));
+  });
+}
+
+/**
+ * Break a unit that is too long for one post into word chunks
+ * @param {Object} unit - Sentence unit
+ * @param {number} limit - Maximum weighted length
+ * @returns {Array<Object>} - Smaller units
+ */
+function splitWords(unit, limit) {
+  const chunks = [];
+  let current = '';
+
+  unit.text.split(' ').forEach(word => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && weightedLength(candidate) > limit) {
+      chunks.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  });
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks.map(text => ({ text, paragraph: unit.paragraph }));
+}
+
+/**
+ * Greedily pack sentences into posts that fit the limit
+ * @param {Array<Object>} units - Sentence units
+ * @param {number} limit - Maximum weighted length of each post body
+ * @returns {Array<string>} - Post bodies
+ */
+function pack(units, limit) {
+  const parts = [];
+  let current = null;
+
+  units.flatMap(unit => (weightedLength(unit.text) > limit ? splitWords(unit, limit) : [unit])).forEach(unit => {
+    if (current) {
+      const separator = unit.paragraph === current.paragraph ? ' ' : '\n\n';
+      const candidate = `${current.text}${separator}${unit.text}`;
+
+      if (weightedLength(candidate) <= limit) {
+        current = { text: candidate, paragraph: unit.paragraph };
+        return;
+      }
+
+      parts.push(current.text);
+    }
+    current = { ...unit };
+  });
+
+  if (current) {
+    parts.push(current.text);
+  }
+
+  return parts;
+}
+
+/**
+ * Split long content into a numbered thread of posts that each fit X's length limit
+ * Sentences are never split unless a single sentence is longer than a post.
+ * @param {string} text - Content to split
+ * @param {Object} options - Composer options
+ * @param {number} options.maxLength - Maximum weighted length of each post (default 280)
+ * @returns {Array<string>} - Posts in order, prefixed with "1/n" when there is more than one
+ */
+function composeThread(text, { maxLength = MAX_WEIGHTED_LENGTH } = {}) {
+  const units = splitSentences(text || '');
+
+  if (units.length === 0) {
+    return [];
+  }
+
+  let parts = pack(units, maxLength);
+  if (parts.length === 1) {
+    return parts;
+  }
+
+  // Reserve room for the "n/n " prefix, repacking if the count changes its width
+  let count = parts.length;
+  for (let i = 0; i < 3; i++) {
+    const reserve = weightedLength(`${count}/${count} `);
+    parts = pack(units, maxLength - reserve);
+
+    if (String(parts.length).length === String(count).length) {
+      break;
+    }
+    count = parts.length;
+  }
+
+  return parts.map((part, index) => `${index + 1}/${parts.length} ${part}`);
+}
+
+module.exports = {
+  composeThread
+};
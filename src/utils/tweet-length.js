@@ -0,0 +1,164 @@
+/**
+ * Tweet length counting that follows X's weighted character rules (twitter-text v3):
+ * - most Latin, Cyrillic, Greek etc. code points weigh 1
+ * - CJK and every other code point outside the light ranges weigh 2
+ * - an emoji sequence (including ZWJ sequences, skin tones and flags) weighs 2
+ * - every URL counts as 23 characters
+ * - in replies, leading @mentions are not counted
+ */
+
+const MAX_WEIGHTED_LENGTH = 280;
+const SCALE = 100;
+const DEFAULT_WEIGHT = 200;
+const URL_LENGTH = 23;
+
+// Code point ranges that weigh 1 character (weights are scaled by 100)
+const LIGHT_RANGES = [
+  [0, 4351],
+  [8192, 8205],
+  [8208, 8223],
+  [8242, 8247]
+];
+
+const URL_REGEX = /\bhttps?:\/\/[^\s]+|\b(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|xyz|fun|app|ai|co|gg|so|me|tv|ly|finance|exchange)\b(?:\/[^\s]*)?/gi;
+
+const EMOJI_REGEX = /\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})?(?:\u200D\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})?)*/gu;
+
+const LEADING_MENTIONS_REGEX = /^(?:\s*@\w{1,15})+\s*/;
+
+/**
+ * Weight of a single code point
+ * @param {number} codePoint - Unicode code point
+ * @returns {number} - Scaled weight
+ */
+function codePointWeight(codePoint) {
+  const light = LIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end);
+  return light ? SCALE : DEFAULT_WEIGHT;
+}
+
+/**
+ * Scaled weight of plain text without URLs or emoji
+ * @param {string} text - Text to weigh
+ * @returns {number} - Scaled weight
+ */
+function plainWeight(text) {
+  let weight = 0;
+  for (const char of text) {
+    weight += codePointWeight(char.codePointAt(0));
+  }
+  return weight;
+}
+
+/**
+ * Scaled weight of text, treating URLs and emoji as X does
+ * @param {string} text - Text to weigh
+ * @returns {number} - Scaled weight
+ */
+function scaledWeight(text) {
+  let weight = 0;
+
+  // URLs first, then emoji inside what remains
+  const withoutUrls = text.replace(URL_REGEX, () => {
+    weight += URL_LENGTH * SCALE;
+    return '\u0000';
+  });
+
+  const withoutEmoji = withoutUrls.replace(EMOJI_REGEX, () => {
+    weight += DEFAULT_WEIGHT;
+    return '\u0000';
+  });
+
+  return weight + plainWeight(withoutEmoji.replace(/\u0000/g, ''));
+}
+
+/**
+ * Count the weighted length of a tweet
+ * @param {string} text - Tweet text
+ * @param {Object} options - Counting options
+ * @param {boolean} options.isReply - Whether the text is a reply (leading @mentions are free)
+ * @returns {number} - Weighted length in characters
+ */
+function weightedLength(text, { isReply = false } = {}) {
+  let counted = (text || '').normalize('NFC');
+
+  if (isReply) {
+    counted = counted.replace(LEADING_MENTIONS_REGEX, '');
+  }
+
+  return Math.ceil(scaledWeight(counted) / SCALE);
+}
+
+/**
+ * Validate tweet length
+ * @param {string} text - Tweet text
+ * @param {Object} options - See weightedLength
+ * @param {number} options.maxLength - Maximum weighted length (default 280)
+ * @returns {Object} - { valid, weightedLength, maxLength }
+ */
+function validateLength(text, { isReply = false, maxLength = MAX_WEIGHTED_LENGTH } = {}) {
+  const length = weightedLength(text, { isReply });
+  return {
+    valid: length > 0 && length <= maxLength,
+    weightedLength: length,
+    maxLength
+  };
+}
+
+/**
+ * Trim text to a valid length, preferring sentence boundaries, then word boundaries
+ * @param {string} text - Text to trim
+ * @param {Object} options - See validateLength
+ * @returns {string} - Trimmed text
+ */
+function trimToLength(text, { isReply = false, maxLength = MAX_WEIGHTED_LENGTH } = {}) {
+  const fits = (candidate) => weightedLength(candidate, { isReply }) <= maxLength;
+  const trimmedText = (text || '').trim();
+
+  if (fits(trimmedText)) {
+    return trimmedText;
+  }
+
+  // Keep as many whole sentences as fit
+  const sentences = trimmedText.match(/[^.!?…\n]+(?:[.!?…]+["')\]]*|\n|$)\s*/g) || [];
+  let result = '';
+  for (const sentence of sentences) {
+    if (!fits((result + sentence).trim())) {
+      break;
+    }
+    result += sentence;
+  }
+
+  if (result.trim()) {
+    return result.trim();
+  }
+
+  // The first sentence alone is too long, so cut at a word boundary
+  const words = trimmedText.split(/\s+/);
+  result = '';
+  for (const word of words) {
+    const candidate = result ? `${result} ${word}` : word;
+    if (!fits(`${candidate}…`)) {
+      break;
+    }
+    result = candidate;
+  }
+
+  if (result) {
+    return `${result}…`;
+  }
+
+  // A single giant word: cut by code point
+  const chars = Array.from(trimmedText);
+  while (chars.length > 0 && !fits(`${chars.join('')}…`)) {
+    chars.pop();
+  }
+  return `${chars.join('')}…`;
+}
+
+module.exports = {
+  MAX_WEIGHTED_LENGTH,
+  URL_LENGTH,
+  weightedLength,
+  validateLength,
+  trimToLength
+};
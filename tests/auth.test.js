@@ -0,0 +1,109 @@
+const express = require('express');
+const database = require('../src/services/database');
+const authService = require('../src/services/auth');
+const auditLog = require('../src/models/audit-log');
+const draftModel = require('../src/models/draft');
+const draftRoutes = require('../src/routes/drafts');
+const accountRoutes = require('../src/routes/accounts');
+const { authenticate, authorize } = require('../src/middleware/auth');
+
+let server;
+let baseUrl;
+let viewer;
+let operator;
+
+/**
+ * Call the test API with a key
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under /api
+ * @param {string} key - API key, if any
+ * @returns {Promise<Response>}
+ */
+const call = (method, path, key = null) => fetch(`${baseUrl}/api${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json', ...(key ? { Authorization: `Bearer ${key}` } : {}) },
+  body: method === 'GET' ? undefined : '{}'
+});
+
+// Audit entries are written once the response has finished
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+beforeAll(async () => {
+  await database.migrate();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticate, authorize);
+  app.use('/api/accounts', accountRoutes);
+  app.use('/api/drafts', draftRoutes);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  viewer = (await authService.createKey('test-viewer', 'viewer')).key;
+  operator = (await authService.createKey('test-operator', 'operator')).key;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await database.close();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('API key roles', () => {
+  test('turns away requests without a valid key', async () => {
+    expect((await call('GET', '/drafts')).status).toBe(401);
+    expect((await call('GET', '/drafts', 'xbot_not-a-real-key')).status).toBe(401);
+  });
+
+  test('lets viewers read', async () => {
+    const res = await call('GET', '/drafts', viewer);
+
+    expect(res.status).toBe(200);
+    expect((await res.json()).success).toBe(true);
+  });
+
+  test('keeps viewers from changing anything, and audits the attempt', async () => {
+    const draft = await draftModel.createDraft({ type: 'tweet', content: 'Viewers look, operators touch', tweetType: 'generated' });
+
+    expect((await call('POST', `/drafts/${draft.id}/reject`, viewer)).status).toBe(403);
+    expect((await draftModel.getDraft(draft.id)).status).toBe('pending');
+
+    await settle();
+    const [entry] = await auditLog.listEntries({ key: 'test-viewer', limit: 1 });
+    expect(entry).toMatchObject({ method: 'POST', path: `/api/drafts/${draft.id}/reject`, status_code: 403, key_role: 'viewer' });
+  });
+
+  test('lets operators change drafts, and audits it', async () => {
+    const draft = await draftModel.createDraft({ type: 'tweet', content: 'Operators get the final say', tweetType: 'generated' });
+
+    expect((await call('POST', `/drafts/${draft.id}/reject`, operator)).status).toBe(200);
+    expect((await draftModel.getDraft(draft.id)).status).toBe('rejected');
+
+    await settle();
+    const [entry] = await auditLog.listEntries({ key: 'test-operator', limit: 1 });
+    expect(entry).toMatchObject({ action: 'POST /api/drafts/:id/reject', status_code: 200 });
+  });
+
+  test('keeps viewers off reads that spend X API quota', async () => {
+    expect((await call('GET', '/accounts/default/trends', viewer)).status).toBe(403);
+  });
+
+  test('stops accepting a key once it is revoked', async () => {
+    const { key } = await authService.createKey('test-revoked', 'operator');
+    expect((await call('GET', '/drafts', key)).status).toBe(200);
+
+    await authService.revokeKey('test-revoked');
+    expect((await call('GET', '/drafts', key)).status).toBe(401);
+  });
+
+  test('ranks operator above viewer', () => {
+    expect(authService.allows('operator', 'viewer')).toBe(true);
+    expect(authService.allows('operator', 'operator')).toBe(true);
+    expect(authService.allows('viewer', 'viewer')).toBe(true);
+    expect(authService.allows('viewer', 'operator')).toBe(false);
+  });
+});
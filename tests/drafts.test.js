@@ -0,0 +1,84 @@
+const database = require('../src/services/database');
+const draftService = require('../src/services/drafts');
+const draftModel = require('../src/models/draft');
+const engagementModel = require('../src/models/engagement');
+const sandboxModel = require('../src/models/sandbox');
+const accounts = require('../src/services/accounts');
+const { composeThread } = require('../src/utils/thread');
+
+const account = accounts.get('default');
+
+const botTweets = () => sandboxModel.findTweets({ authorId: 'sandbox-bot' });
+
+const THREAD = [
+  'Solana memecoins had a loud week, with volume rotating from the old dogs into a fresh batch of frog tokens.',
+  'Liquidity stayed thin on most of the new pairs, so the price moves looked far bigger than the money behind them.',
+  'Holders of the older names mostly sat tight, and their charts went sideways while the new tickers did the running.',
+  'Funding on the majors cooled off towards the weekend, which usually means the casino takes a breather for a bit.',
+  'Watch the new pairs that keep their liquidity through a quiet weekend, because those tend to be the ones still standing.'
+].join(' ');
+
+beforeAll(() => database.migrate());
+afterAll(() => database.close());
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('draft approval', () => {
+  test('posts a draft once when two approvals arrive together', async () => {
+    const draft = await draftModel.createDraft({ type: 'tweet', content: 'Two approvals walk into a bar, one tweet walks out', tweetType: 'generated' });
+    const before = (await botTweets()).length;
+
+    const results = await Promise.allSettled([draftService.approveDraft(draft.id), draftService.approveDraft(draft.id)]);
+
+    expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(r => r.status === 'rejected').reason.statusCode).toBe(409);
+    expect((await botTweets()).length).toBe(before + 1);
+    expect(await draftModel.getDraft(draft.id)).toMatchObject({ status: 'posted' });
+  });
+
+  test('refuses drafts that were already posted or rejected', async () => {
+    const draft = await draftModel.createDraft({ type: 'tweet', content: 'Nobody gets to post this one', tweetType: 'generated' });
+    await draftService.rejectDraft(draft.id, 'off topic');
+
+    await expect(draftService.approveDraft(draft.id)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('answers 404 for a draft that does not exist', async () => {
+    await expect(draftService.approveDraft(999999)).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('carries a failed thread on from its last posted tweet', async () => {
+    const draft = await draftModel.createDraft({ type: 'thread', content: THREAD, tweetType: 'trend_thread' });
+    const before = (await botTweets()).length;
+    jest.spyOn(account.twitter, 'replyToTweet').mockRejectedValueOnce(new Error('X is down'));
+
+    await expect(draftService.approveDraft(draft.id)).rejects.toThrow('X is down');
+
+    const failed = await draftModel.getDraft(draft.id);
+    expect(failed).toMatchObject({ status: 'failed', error: 'X is down' });
+    expect(failed.posted_tweet_id).toBeTruthy();
+    expect((await botTweets()).length).toBe(before + 1);
+    await expect(draftService.editDraft(draft.id, 'Something else')).rejects.toMatchObject({ statusCode: 409 });
+
+    const posted = await draftService.approveDraft(draft.id);
+
+    const parts = composeThread(failed.content);
+    const thread = await engagementModel.getThreadByRoot(failed.posted_tweet_id);
+    expect(parts.length).toBeGreaterThan(2);
+    expect(posted).toMatchObject({ status: 'posted', posted_tweet_id: failed.posted_tweet_id });
+    expect(thread.tweetIds).toHaveLength(parts.length);
+    expect(thread.parts).toEqual(parts);
+    expect((await botTweets()).length).toBe(before + parts.length);
+  });
+});
+
+describe('draft edits', () => {
+  test('answers 400 for content that is missing, not text or blank', async () => {
+    const draft = await draftModel.createDraft({ type: 'tweet', content: 'Edit me', tweetType: 'generated' });
+
+    await expect(draftService.editDraft(draft.id, undefined)).rejects.toMatchObject({ statusCode: 400 });
+    await expect(draftService.editDraft(draft.id, { text: 'hi' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(draftService.editDraft(draft.id, '   ')).rejects.toMatchObject({ statusCode: 400 });
+    expect((await draftService.editDraft(draft.id, ' Edited ')).content).toBe('Edited');
+  });
+});
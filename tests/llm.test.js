@@ -0,0 +1,109 @@
+const axios = require('axios');
+const config = require('../src/config/config');
+const llmService = require('../src/services/llm');
+const { createProvider, TogetherProvider, OpenAICompatibleProvider, StubProvider } = require('../src/services/llm-providers');
+
+const MESSAGES = [
+  { role: 'system', content: 'You are a memecoin bot.' },
+  { role: 'user', content: 'Write a tweet.' }
+];
+
+const completion = (text) => ({ data: { choices: [{ message: { content: text }, text }] } });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('LLM providers', () => {
+  test('creates providers by name', () => {
+    expect(createProvider('stub')).toBeInstanceOf(StubProvider);
+    expect(createProvider('together', { apiKey: 'key' })).toBeInstanceOf(TogetherProvider);
+    expect(createProvider('openai', { baseUrl: 'http://localhost:11434/v1' })).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(() => createProvider('gpt-at-home')).toThrow('Unknown LLM provider "gpt-at-home"');
+    expect(() => createProvider('openai')).toThrow(/requires a base URL/);
+  });
+
+  test('the stub answers the same prompt the same way, without the network', async () => {
+    const post = jest.spyOn(axios, 'post');
+    const stub = createProvider('stub');
+
+    const first = await stub.complete({ promptName: 'reply', messages: MESSAGES });
+
+    expect(await stub.complete({ promptName: 'reply', messages: MESSAGES })).toBe(first);
+    expect(typeof first).toBe('string');
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  test('sends chat messages, or a flattened prompt in completion mode', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue(completion('gm'));
+    const together = createProvider('together', { apiKey: 'key', model: 'llama' });
+
+    expect(await together.complete({ messages: MESSAGES, maxTokens: 100 })).toBe('gm');
+    expect(post).toHaveBeenLastCalledWith('https://api.together.xyz/v1/chat/completions',
+      expect.objectContaining({ model: 'llama', messages: MESSAGES, max_tokens: 100 }),
+      { headers: expect.objectContaining({ Authorization: 'Bearer key' }) });
+
+    await together.complete({ messages: MESSAGES, apiMode: 'completion', model: 'base-model' });
+    const [url, body] = post.mock.calls[1];
+    expect(url).toBe('https://api.together.xyz/v1/completions');
+    expect(body).toMatchObject({ model: 'base-model', prompt: expect.stringContaining('Write a tweet.'), stop: expect.any(Array) });
+    expect(body.messages).toBeUndefined();
+  });
+
+  test('leaves top_k out of OpenAI-compatible requests', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue(completion('gm'));
+    const local = createProvider('openai', { baseUrl: 'http://localhost:11434/v1/', model: 'llama3' });
+
+    await local.complete({ messages: MESSAGES, topP: 0.9, topK: 50 });
+
+    const [url, body, { headers }] = post.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(body).toMatchObject({ model: 'llama3', top_p: 0.9 });
+    expect(body).not.toHaveProperty('top_k');
+    expect(headers).not.toHaveProperty('Authorization');
+  });
+
+  test('fails on an empty response', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: { choices: [] } });
+
+    await expect(createProvider('together', { apiKey: 'key' }).complete({ messages: MESSAGES })).rejects.toThrow('No content generated from LLM');
+  });
+});
+
+describe('LLM provider selection', () => {
+  test('uses the configured provider', async () => {
+    const stub = llmService.getProvider('stub');
+    const complete = jest.spyOn(stub, 'complete');
+
+    const tweet = await llmService.generateContent('tweet', {});
+
+    expect(complete).toHaveBeenCalledWith(expect.objectContaining({ promptName: 'tweet', messages: expect.any(Array) }));
+    expect(tweet.length).toBeGreaterThan(0);
+  });
+
+  test('lets a prompt override the provider and model', async () => {
+    jest.replaceProperty(config.llm.prompts, 'tweet', { provider: 'together', model: 'tweet-model', temperature: 1.1 });
+    const together = jest.spyOn(llmService.getProvider('together'), 'complete').mockResolvedValue(' wagmi ');
+
+    expect(await llmService.generateContent('tweet', {})).toBe('wagmi');
+    expect(together).toHaveBeenCalledWith(expect.objectContaining({ model: 'tweet-model', temperature: 1.1, topP: config.llm.topP }));
+  });
+
+  test('falls back to the fallback provider, with its own model, when the primary fails', async () => {
+    jest.replaceProperty(config.llm.prompts, 'tweet', { provider: 'together', model: 'tweet-model', apiMode: 'completion' });
+    jest.replaceProperty(config.llm, 'fallbackProvider', 'stub');
+    jest.spyOn(llmService.getProvider('together'), 'complete').mockRejectedValue(new Error('503 Service Unavailable'));
+    const stub = jest.spyOn(llmService.getProvider('stub'), 'complete');
+
+    expect(await llmService.generateContent('tweet', {})).toEqual(expect.any(String));
+    expect(stub).toHaveBeenCalledWith(expect.objectContaining({ model: null, apiMode: null }));
+  });
+
+  test('fails without a fallback, or when the fallback is the provider that failed', async () => {
+    jest.replaceProperty(config.llm.prompts, 'tweet', { provider: 'together' });
+    jest.spyOn(llmService.getProvider('together'), 'complete').mockRejectedValue(new Error('401 Unauthorized'));
+
+    await expect(llmService.generateContent('tweet', {})).rejects.toThrow('401 Unauthorized');
+
+    jest.replaceProperty(config.llm, 'fallbackProvider', 'together');
+    await expect(llmService.generateContent('tweet', {})).rejects.toThrow('401 Unauthorized');
+  });
+});
@@ -0,0 +1,127 @@
+const database = require('../src/services/database');
+const TwitterService = require('../src/services/twitter');
+const scheduler = require('../src/services/scheduler');
+const stateModel = require('../src/models/state');
+
+const CURSOR_KEY = 'paging:mentions.since_id';
+
+let account;
+
+beforeAll(async () => {
+  await database.migrate();
+  account = {
+    id: 'paging',
+    twitter: new TwitterService({ account: 'paging', credentials: {}, sandboxUser: { id: 'bot-paging', username: 'paging_bot', name: 'Paging Bot' } })
+  };
+});
+
+afterAll(() => database.close());
+
+afterEach(() => jest.restoreAllMocks());
+
+/**
+ * Mention the bot a number of times
+ * @returns {Promise<Array<string>>} - IDs of the mentions, oldest first
+ */
+async function mention(count) {
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    const tweet = await account.twitter.client.injectMention({ text: `gm ${i}`, authorUsername: `fan${i}` });
+    ids.push(tweet.id);
+  }
+  return ids;
+}
+
+describe('mention paging', () => {
+  test('follows the pages back to the cursor', async () => {
+    const [cursor, ...newer] = await mention(26);
+
+    const { mentions, complete } = await account.twitter.getMentionsSince(cursor, { pageSize: 10, maxPages: 5 });
+
+    expect(complete).toBe(true);
+    expect(mentions.map(m => m.id).sort()).toEqual([...newer].sort());
+  });
+
+  test('says when pages were left unread', async () => {
+    const [cursor] = await mention(26);
+
+    const { mentions, complete } = await account.twitter.getMentionsSince(cursor, { pageSize: 10, maxPages: 2 });
+
+    expect(complete).toBe(false);
+    expect(mentions).toHaveLength(20);
+  });
+
+  test('advances the cursor past every handled mention', async () => {
+    const [cursor, ...newer] = await mention(3);
+    await stateModel.set(CURSOR_KEY, cursor);
+    const reply = jest.spyOn(scheduler, 'replyToMention').mockResolvedValue({ status: 'posted', tweet: { id: '1' } });
+
+    expect(await scheduler.checkAndReplyToMentions(account)).toBe(2);
+
+    expect(reply).toHaveBeenCalledTimes(2);
+    expect(await stateModel.get(CURSOR_KEY)).toBe(newer[1]);
+  });
+
+  test('keeps the cursor when older mentions were left unread', async () => {
+    const [cursor, ...newer] = await mention(3);
+    await stateModel.set(CURSOR_KEY, cursor);
+    const page = await account.twitter.getMentionsSince(cursor);
+    jest.spyOn(account.twitter, 'getMentionsSince').mockResolvedValue({ mentions: page.mentions.slice(0, 1), complete: false, nextToken: page.mentions[1].id });
+    jest.spyOn(scheduler, 'replyToMention').mockResolvedValue({ status: 'posted', tweet: { id: '1' } });
+
+    await scheduler.checkAndReplyToMentions(account);
+
+    expect(page.mentions[0].id).toBe(newer[1]);
+    expect(await stateModel.get(CURSOR_KEY)).toBe(cursor);
+  });
+
+  test('drains a backlog bigger than one check can read, a few pages at a time', async () => {
+    const [cursor, ...newer] = await mention(26);
+    await stateModel.set(CURSOR_KEY, cursor);
+    const getMentionsSince = account.twitter.getMentionsSince.bind(account.twitter);
+    const read = jest.spyOn(account.twitter, 'getMentionsSince')
+      .mockImplementation((sinceId, options) => getMentionsSince(sinceId, { ...options, pageSize: 5, maxPages: 2 }));
+    const reply = jest.spyOn(scheduler, 'replyToMention').mockResolvedValue({ status: 'posted', tweet: { id: '1' } });
+
+    expect(await scheduler.checkAndReplyToMentions(account)).toBe(10);
+    expect(await stateModel.get(CURSOR_KEY)).toBe(cursor);
+    expect(await scheduler.checkAndReplyToMentions(account)).toBe(10);
+    expect(await stateModel.get(CURSOR_KEY)).toBe(cursor);
+    expect(await scheduler.checkAndReplyToMentions(account)).toBe(5);
+
+    expect(read).toHaveBeenCalledTimes(3);
+    expect(reply.mock.calls.map(([, m]) => m.id).sort()).toEqual([...newer].sort());
+    expect(await stateModel.get(CURSOR_KEY)).toBe(newer[newer.length - 1]);
+
+    // Nothing is left to read or answer
+    expect(await scheduler.checkAndReplyToMentions(account)).toBe(0);
+    expect(reply).toHaveBeenCalledTimes(25);
+  });
+
+  test('comes back for a mention that failed while draining a backlog', async () => {
+    const [cursor, ...newer] = await mention(12);
+    await stateModel.set(CURSOR_KEY, cursor);
+    const getMentionsSince = account.twitter.getMentionsSince.bind(account.twitter);
+    jest.spyOn(account.twitter, 'getMentionsSince')
+      .mockImplementation((sinceId, options) => getMentionsSince(sinceId, { ...options, pageSize: 5, maxPages: 1 }));
+    const failing = newer[8];
+    let failed = false;
+    const reply = jest.spyOn(scheduler, 'replyToMention').mockImplementation(async (acc, m) => {
+      if (m.id === failing && !failed) {
+        failed = true;
+        throw new Error('LLM down');
+      }
+      return { status: 'posted', tweet: { id: '1' } };
+    });
+
+    await scheduler.checkAndReplyToMentions(account);
+    await scheduler.checkAndReplyToMentions(account);
+    await scheduler.checkAndReplyToMentions(account);
+    // Just before the failed mention, so the next check reads it again
+    expect(await stateModel.get(CURSOR_KEY)).toBe(account.twitter.previousTweetId(failing));
+
+    expect(await scheduler.checkAndReplyToMentions(account)).toBe(1);
+    expect(reply.mock.calls.filter(([, m]) => m.id === failing)).toHaveLength(2);
+    expect(await stateModel.get(CURSOR_KEY)).toBe(newer[newer.length - 1]);
+  });
+});
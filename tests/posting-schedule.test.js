@@ -0,0 +1,34 @@
+const database = require('../src/services/database');
+const postingSchedule = require('../src/services/posting-schedule');
+const accounts = require('../src/services/accounts');
+
+const account = accounts.get('default');
+
+beforeAll(() => database.migrate());
+afterAll(() => database.close());
+
+describe('posting schedule', () => {
+  test('records the outcome of a claimed slot', async () => {
+    const plan = await postingSchedule.planDay(account, new Date('2026-03-02T00:05:00Z'));
+    const slot = await postingSchedule.claimDueSlot(account, new Date(new Date(plan.slots[0].at).getTime() + 60 * 1000));
+
+    await postingSchedule.completeSlot(account, slot, { status: 'posted', tweetId: '42' });
+
+    const stored = await postingSchedule.loadPlan(account);
+    expect(stored.slots[0]).toMatchObject({ at: slot.at, status: 'posted', tweetId: '42' });
+  });
+
+  test('leaves the next day\'s plan alone when a slot finishes after midnight', async () => {
+    const yesterday = await postingSchedule.planDay(account, new Date('2026-03-03T21:30:00Z'));
+    const slot = await postingSchedule.claimDueSlot(account, new Date('2026-03-03T22:10:00Z'));
+    expect(yesterday.slots.map(s => s.at)).toContain(slot.at);
+
+    const today = await postingSchedule.planDay(account, new Date('2026-03-04T00:01:00Z'));
+    const planDay = jest.spyOn(postingSchedule, 'planDay');
+
+    await postingSchedule.completeSlot(account, slot, { status: 'posted', tweetId: '43' });
+
+    expect(planDay).not.toHaveBeenCalled();
+    expect(await postingSchedule.loadPlan(account)).toEqual(today);
+  });
+});
@@ -0,0 +1,65 @@
+const database = require('../src/services/database');
+const publisher = require('../src/services/publisher');
+const contentPolicy = require('../src/services/content-policy');
+const llmService = require('../src/services/llm');
+const draftService = require('../src/services/drafts');
+const policyDecisionModel = require('../src/models/policy-decision');
+const sandboxModel = require('../src/models/sandbox');
+const accounts = require('../src/services/accounts');
+
+const account = accounts.get('default');
+
+const botTweets = () => sandboxModel.findTweets({ authorId: 'sandbox-bot' });
+const decisionCount = async () => (await policyDecisionModel.listDecisions(1000)).length;
+
+beforeAll(() => database.migrate());
+afterAll(() => database.close());
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('publisher and content policy', () => {
+  test('checks a direct post once and logs one decision', async () => {
+    const enforce = jest.spyOn(contentPolicy, 'enforce');
+    const decisions = await decisionCount();
+
+    const result = await publisher.submitTweet('the #memecoins timeline woke up on the wrong side of the bed', { account });
+
+    expect(result.status).toBe('posted');
+    expect(result.tweet.text).toBe('the memecoins timeline woke up on the wrong side of the bed');
+    expect(enforce).toHaveBeenCalledTimes(1);
+    expect(await decisionCount()).toBe(decisions + 1);
+  });
+
+  test('posts what the stub LLM writes instead when the policy asks for a new version', async () => {
+    const regenerate = jest.fn(() => llmService.generateTweet({}));
+
+    const result = await publisher.submitTweet('this frog is guaranteed to run, trust me', { account, regenerate });
+
+    expect(regenerate).toHaveBeenCalledWith(expect.stringMatching(/guaranteed returns/));
+    expect(result.tweet.text).not.toMatch(/guaranteed/);
+    expect((await botTweets()).map(tweet => tweet.text)).toContain(result.tweet.text);
+  });
+
+  test('blocks a post the policy keeps rejecting without posting anything', async () => {
+    const before = (await botTweets()).length;
+
+    await expect(publisher.submitTweet('free money, risk-free, guaranteed', { account })).rejects.toThrow(/blocked by content policy/);
+
+    expect((await botTweets()).length).toBe(before);
+  });
+
+  test('checks drafts again when they are approved, after any edits', async () => {
+    jest.spyOn(publisher, 'isApprovalRequired').mockReturnValue(true);
+    const { status, draft } = await publisher.submitTweet('quiet day in the trenches, charts are taking a nap', { account });
+    expect(status).toBe('drafted');
+
+    await draftService.editDraft(draft.id, 'this one is easy money, cannot lose');
+    const enforce = jest.spyOn(contentPolicy, 'enforce');
+    const before = (await botTweets()).length;
+
+    await expect(draftService.approveDraft(draft.id)).rejects.toThrow(/blocked by content policy/);
+
+    expect(enforce).toHaveBeenCalledTimes(1);
+    expect((await botTweets()).length).toBe(before);
+  });
+});
@@ -0,0 +1,145 @@
+const database = require('../src/services/database');
+const stateModel = require('../src/models/state');
+const RateLimitManager = require('../src/services/rate-limits');
+
+const POST = 'POST /2/tweets';
+const SEARCH = 'GET /2/tweets/search/recent';
+
+let nextAccount = 1;
+const manager = (overrides = {}) => new RateLimitManager({
+  account: `limits${nextAccount++}`,
+  monthlyPostCap: 500,
+  backgroundReserve: 0.2,
+  maxWaitMinutes: 15,
+  ...overrides
+});
+
+/**
+ * A call that only finishes when released
+ * @returns {Object} - { call, release }
+ */
+function gate() {
+  let release;
+  const done = new Promise(resolve => {
+    release = resolve;
+  });
+  return { call: () => done, release };
+}
+
+// Lets queued calls settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Wait until a condition holds, e.g. posts being queued once the monthly cap is checked
+ * @param {Function} condition - Returns true when done
+ */
+async function until(condition) {
+  while (!condition()) {
+    await flush();
+  }
+}
+
+beforeAll(() => database.migrate());
+afterAll(() => database.close());
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('X API rate limits', () => {
+  test('runs queued calls most urgent first', async () => {
+    const limits = manager();
+    const busy = [gate(), gate()];
+    const order = [];
+    const track = (name) => () => {
+      order.push(name);
+      return name;
+    };
+
+    const running = busy.map(({ call }) => limits.schedule(SEARCH, 'read', call));
+    const queued = [
+      limits.schedule(SEARCH, 'background', track('background')),
+      limits.schedule(SEARCH, 'read', track('read')),
+      limits.schedule(POST, 'post', track('post')),
+      limits.schedule(POST, 'reply', track('reply'))
+    ];
+    await until(() => limits.queue.length === 4);
+    expect(order).toEqual([]);
+
+    busy.forEach(({ release }) => release());
+    await Promise.all([...running, ...queued]);
+
+    expect(order).toEqual(['reply', 'post', 'read', 'background']);
+  });
+
+  test('holds a call until its window resets', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    const limits = manager();
+    limits.record(SEARCH, { limit: 10, remaining: 0, reset: Math.floor(Date.now() / 1000) + 60 });
+    const call = jest.fn().mockResolvedValue('done');
+
+    const result = limits.schedule(SEARCH, 'read', call);
+    await flush();
+    expect(call).not.toHaveBeenCalled();
+    expect((await limits.getUsage()).queue.waiting).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(62 * 1000);
+    expect(await result).toBe('done');
+    expect(limits.counters.held).toBe(1);
+  });
+
+  test('defers background reads instead of holding them', async () => {
+    const limits = manager();
+    limits.record(SEARCH, { limit: 10, remaining: 0, reset: Math.floor(Date.now() / 1000) + 60 });
+    const call = jest.fn();
+
+    await expect(limits.schedule(SEARCH, 'background', call)).rejects.toMatchObject({ statusCode: 429, rateLimited: true });
+    expect(call).not.toHaveBeenCalled();
+    expect(limits.counters.deferred).toBe(1);
+  });
+
+  test('defers a call whose window resets after the longest wait', async () => {
+    const limits = manager({ maxWaitMinutes: 1 });
+    limits.record(SEARCH, { limit: 10, remaining: 0, reset: Math.floor(Date.now() / 1000) + 15 * 60 });
+
+    await expect(limits.schedule(SEARCH, 'reply', jest.fn())).rejects.toMatchObject({ statusCode: 429 });
+  });
+
+  test('leaves the reserve of a window to more urgent calls', async () => {
+    const limits = manager();
+    limits.record(SEARCH, { limit: 10, remaining: 2, reset: Math.floor(Date.now() / 1000) + 60 });
+
+    await expect(limits.schedule(SEARCH, 'background', jest.fn())).rejects.toMatchObject({ rateLimited: true });
+    expect(await limits.schedule(SEARCH, 'read', () => 'read')).toBe('read');
+  });
+
+  test('stops posting at the monthly cap, across restarts', async () => {
+    const limits = manager({ monthlyPostCap: 2 });
+    const post = jest.fn().mockResolvedValue({ data: { id: '1' } });
+
+    await limits.schedule(POST, 'post', post);
+    await limits.schedule(POST, 'reply', post);
+    await expect(limits.schedule(POST, 'post', post)).rejects.toMatchObject({ statusCode: 429, rateLimited: true });
+    expect(post).toHaveBeenCalledTimes(2);
+
+    const restarted = new RateLimitManager({ account: limits.account, monthlyPostCap: 2, backgroundReserve: 0.2, maxWaitMinutes: 15 });
+    await expect(restarted.schedule(POST, 'post', post)).rejects.toMatchObject({ statusCode: 429 });
+    expect((await restarted.getUsage()).posts).toMatchObject({ count: 2, remaining: 0 });
+  });
+
+  test('does not count reads towards the monthly cap', async () => {
+    const limits = manager({ monthlyPostCap: 1 });
+
+    await limits.schedule(SEARCH, 'read', () => 'read');
+
+    expect((await limits.getUsage()).posts.count).toBe(0);
+  });
+
+  test('reports a post as sent when counting it fails', async () => {
+    const limits = manager();
+    jest.spyOn(stateModel, 'set').mockRejectedValue(new Error('database is locked'));
+
+    expect(await limits.schedule(POST, 'post', () => ({ data: { id: '42' } }))).toEqual({ data: { id: '42' } });
+  });
+});
@@ -0,0 +1,11 @@
+// Every test file gets its own in-memory database, the stub LLM and no outside services
+process.env.DB_PATH = ':memory:';
+process.env.LLM_PROVIDER = 'stub';
+process.env.TWITTER_SANDBOX = 'true';
+delete process.env.LLM_FALLBACK_PROVIDER;
+delete process.env.HELIUS_RPC_URL;
+delete process.env.APPROVAL_MODE;
+delete process.env.ACCOUNTS_PATH;
+
+// Quiet unless LOG_LEVEL asks for the logs
+require('../src/utils/logger').silent = !process.env.LOG_LEVEL;
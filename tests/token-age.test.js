@@ -0,0 +1,108 @@
+const database = require('../src/services/database');
+const solanaRpc = require('../src/services/solana-rpc');
+const tokenAge = require('../src/services/token-age');
+const tokenModel = require('../src/models/token');
+const recheckMintAges = require('../src/migrations/008_recheck_mint_ages');
+
+const HOUR = 60 * 60 * 1000;
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR).toISOString();
+
+const token = (overrides = {}) => ({
+  id: 1,
+  symbol: 'BONK',
+  chain: 'solana',
+  address: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263',
+  firstSeenAt: hoursAgo(1),
+  pairCreatedAt: hoursAgo(3),
+  ...overrides
+});
+
+beforeAll(() => database.migrate());
+afterAll(() => database.close());
+
+beforeEach(() => {
+  jest.spyOn(solanaRpc, 'isConfigured').mockReturnValue(true);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('token age', () => {
+  test('treats a complete mint history as final', async () => {
+    jest.spyOn(solanaRpc, 'getMintCreationTime').mockResolvedValue({ createdAt: hoursAgo(2), complete: true });
+
+    const age = await tokenAge.getTokenAge(token());
+
+    expect(age).toMatchObject({ source: 'mint', known: true });
+    expect(tokenAge.isRecent(age)).toBe(true);
+  });
+
+  test('never counts a token as recent while its mint history is incomplete', async () => {
+    jest.spyOn(solanaRpc, 'getMintCreationTime').mockResolvedValue({ createdAt: hoursAgo(0.5), complete: false });
+
+    const busy = token();
+    const age = await tokenAge.getTokenAge(busy);
+
+    expect(age).toMatchObject({ source: 'mint_partial', known: false, createdAt: busy.pairCreatedAt });
+    expect(tokenAge.isRecent(age)).toBe(false);
+  });
+
+  test('looks an incomplete history up again and keeps the oldest bound', async () => {
+    const lookup = jest.spyOn(solanaRpc, 'getMintCreationTime').mockResolvedValue({ createdAt: hoursAgo(1), complete: false });
+    const stored = token({ createdAt: hoursAgo(10), createdAtSource: 'mint_partial' });
+
+    const age = await tokenAge.getTokenAge(stored);
+
+    expect(lookup).toHaveBeenCalledTimes(1);
+    expect(age).toMatchObject({ source: 'mint_partial', createdAt: stored.createdAt });
+  });
+
+  test('keeps the stored bound when the lookup fails', async () => {
+    jest.spyOn(solanaRpc, 'getMintCreationTime').mockRejectedValue(new Error('RPC down'));
+    const stored = token({ createdAt: hoursAgo(10), createdAtSource: 'mint_partial' });
+
+    expect(await tokenAge.getTokenAge(stored)).toMatchObject({ source: 'mint_partial', known: false });
+  });
+
+  test('does not look a final mint time up again', async () => {
+    const lookup = jest.spyOn(solanaRpc, 'getMintCreationTime');
+
+    await tokenAge.getTokenAge(token({ createdAt: hoursAgo(500), createdAtSource: 'mint' }));
+
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  test('waits for the recheck interval before looking a partial time up again', async () => {
+    const lookup = jest.spyOn(solanaRpc, 'getMintCreationTime').mockResolvedValue({ createdAt: hoursAgo(1), complete: false });
+    const stored = token({ createdAt: hoursAgo(10), createdAtSource: 'mint_partial', createdAtCheckedAt: hoursAgo(1) });
+
+    expect(await tokenAge.getTokenAge(stored)).toMatchObject({ source: 'mint_partial', createdAt: stored.createdAt });
+    expect(lookup).not.toHaveBeenCalled();
+
+    await tokenAge.getTokenAge({ ...stored, createdAtCheckedAt: hoursAgo(25) });
+    expect(lookup).toHaveBeenCalledTimes(1);
+  });
+
+  test('records when a partial time was looked up', async () => {
+    jest.spyOn(solanaRpc, 'getMintCreationTime').mockResolvedValue({ createdAt: hoursAgo(1), complete: false });
+    const registered = await tokenModel.upsertToken({ symbol: 'BUSY', chain: 'solana', address: 'Busy1111111111111111111111111111111111111111', pairCreatedAt: hoursAgo(3) });
+
+    await tokenAge.getTokenAge(registered);
+
+    const saved = await tokenModel.getToken(registered.id);
+    expect(saved).toMatchObject({ createdAtSource: 'mint_partial', createdAtCheckedAt: expect.any(String) });
+    expect(tokenAge.isPartialFresh(saved)).toBe(true);
+  });
+
+  test('only marks mint times later than their pair as partial when migrating', async () => {
+    const complete = await tokenModel.upsertToken({ symbol: 'OLD', chain: 'solana', address: 'Old11111111111111111111111111111111111111111', pairCreatedAt: hoursAgo(3) });
+    const partial = await tokenModel.upsertToken({ symbol: 'HOT', chain: 'solana', address: 'Hot11111111111111111111111111111111111111111', pairCreatedAt: hoursAgo(300) });
+    await tokenModel.setCreationTime(complete.id, hoursAgo(5), 'mint');
+    await tokenModel.setCreationTime(partial.id, hoursAgo(2), 'mint');
+
+    await recheckMintAges.down(database);
+    await recheckMintAges.up(database);
+
+    expect((await tokenModel.getToken(complete.id)).createdAtSource).toBe('mint');
+    expect((await tokenModel.getToken(partial.id)).createdAtSource).toBe('mint_partial');
+  });
+});
@@ -0,0 +1,85 @@
+const database = require('../src/services/database');
+const tokenRisk = require('../src/services/token-risk');
+const solanaRpc = require('../src/services/solana-rpc');
+
+const HOUR = 60 * 60 * 1000;
+
+let nextId = 1;
+const token = (overrides = {}) => ({
+  id: nextId++,
+  symbol: 'TEST',
+  chain: 'solana',
+  address: 'So11111111111111111111111111111111111111112',
+  liquidityUsd: 250000,
+  pairCreatedAt: new Date(Date.now() - 72 * HOUR).toISOString(),
+  ...overrides
+});
+
+beforeAll(() => database.migrate());
+afterAll(() => database.close());
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('token risk screen', () => {
+  test('passes an established token with deep liquidity', async () => {
+    const { safe, excluded } = await tokenRisk.screenTokens([token()]);
+
+    expect(excluded).toHaveLength(0);
+    expect(safe).toHaveLength(1);
+    // Authorities can't be checked without HELIUS_RPC_URL
+    expect(safe[0].riskScore).toBe(10);
+  });
+
+  test('excludes a new, thin pair without a Solana RPC even though its score stays at the threshold', async () => {
+    const risky = token({ symbol: 'RUG', liquidityUsd: 200, pairCreatedAt: new Date(Date.now() - 0.5 * HOUR).toISOString() });
+    const { safe, excluded } = await tokenRisk.screenTokens([risky]);
+
+    expect(safe).toHaveLength(0);
+    expect(excluded).toEqual([expect.objectContaining({ symbol: 'RUG', score: 50 })]);
+  });
+
+  test('excludes a token below the liquidity floor on its own', async () => {
+    const { safe, excluded } = await tokenRisk.screenTokens([token({ symbol: 'THIN', liquidityUsd: 5000 })]);
+
+    expect(safe).toHaveLength(0);
+    expect(excluded[0].reasons).toEqual(expect.arrayContaining([expect.stringMatching(/Liquidity of \$5000/)]));
+  });
+
+  test('excludes a pair younger than the minimum age on its own', async () => {
+    const young = token({ symbol: 'NEW', pairCreatedAt: new Date(Date.now() - 0.5 * HOUR).toISOString() });
+    const { safe, excluded } = await tokenRisk.screenTokens([young]);
+
+    expect(safe).toHaveLength(0);
+    expect(excluded[0].reasons).toEqual(expect.arrayContaining([expect.stringMatching(/only 0\.5h old/)]));
+  });
+
+  test('applies the floors to cached assessments too', async () => {
+    const thin = token({ symbol: 'CACHED', liquidityUsd: 900 });
+    await tokenRisk.assessToken(thin);
+
+    const { excluded } = await tokenRisk.screenTokens([thin]);
+    expect(excluded.map(t => t.symbol)).toEqual(['CACHED']);
+  });
+
+  test('excludes a token with a freeze authority even though its score stays under the threshold', async () => {
+    jest.spyOn(solanaRpc, 'isConfigured').mockReturnValue(true);
+    jest.spyOn(solanaRpc, 'getMintInfo').mockResolvedValue({ mintAuthority: null, freezeAuthority: 'Fr3eze1111111111111111111111111111111111111' });
+    jest.spyOn(solanaRpc, 'getHolderConcentration').mockResolvedValue(null);
+
+    const { safe, excluded } = await tokenRisk.screenTokens([token({ symbol: 'HONEY' })]);
+
+    expect(safe).toHaveLength(0);
+    expect(excluded).toEqual([expect.objectContaining({ symbol: 'HONEY', score: 35 })]);
+    expect(excluded[0].reasons).toEqual([expect.stringMatching(/Freeze authority is enabled/)]);
+  });
+
+  test('passes a token whose authorities are both revoked', async () => {
+    jest.spyOn(solanaRpc, 'isConfigured').mockReturnValue(true);
+    jest.spyOn(solanaRpc, 'getMintInfo').mockResolvedValue({ mintAuthority: null, freezeAuthority: null });
+    jest.spyOn(solanaRpc, 'getHolderConcentration').mockResolvedValue(null);
+
+    const { safe } = await tokenRisk.screenTokens([token({ symbol: 'CLEAN' })]);
+
+    expect(safe).toEqual([expect.objectContaining({ symbol: 'CLEAN', riskScore: 0 })]);
+  });
+});
@@ -0,0 +1,53 @@
+const { weightedLength, validateLength, trimToLength, MAX_WEIGHTED_LENGTH } = require('../src/utils/tweet-length');
+const llmService = require('../src/services/llm');
+
+describe('tweet length', () => {
+  test('counts Latin text one per character', () => {
+    expect(weightedLength('gm degens')).toBe(9);
+  });
+
+  test('counts CJK characters as two', () => {
+    expect(weightedLength('早上好')).toBe(6);
+    expect(weightedLength('gm 早上好')).toBe(9);
+  });
+
+  test('counts every emoji sequence as two', () => {
+    expect(weightedLength('🚀')).toBe(2);
+    expect(weightedLength('👍🏽')).toBe(2);
+    expect(weightedLength('👨‍👩‍👧‍👦')).toBe(2);
+    expect(weightedLength('🇺🇸')).toBe(2);
+  });
+
+  test('counts every link as 23 characters', () => {
+    expect(weightedLength('https://example.com/a/very/long/path/that/goes/on/and/on')).toBe(23);
+    expect(weightedLength('see dexscreener.com now')).toBe(4 + 23 + 4);
+  });
+
+  test('leaves leading @mentions out of replies only', () => {
+    expect(weightedLength('@alice @bob gm', { isReply: true })).toBe(2);
+    expect(weightedLength('@alice @bob gm')).toBe(14);
+    expect(weightedLength('gm @alice', { isReply: true })).toBe(9);
+  });
+
+  test('validates against the 280 limit', () => {
+    expect(validateLength('a'.repeat(280)).valid).toBe(true);
+    expect(validateLength('a'.repeat(281)).valid).toBe(false);
+    expect(validateLength('早'.repeat(141))).toMatchObject({ valid: false, weightedLength: 282 });
+    expect(validateLength('').valid).toBe(false);
+  });
+
+  test('trims at a sentence boundary when it can', () => {
+    const text = `${'First sentence is here. '.repeat(11)}And this one pushes it over.`;
+    const trimmed = trimToLength(text);
+
+    expect(weightedLength(trimmed)).toBeLessThanOrEqual(MAX_WEIGHTED_LENGTH);
+    expect(trimmed.endsWith('here.')).toBe(true);
+  });
+
+  test('shortens over-length LLM output with the stub provider before trimming', async () => {
+    const long = `${'早上好 '.repeat(60)}end`;
+    const shortened = await llmService.enforceLength(long);
+
+    expect(validateLength(shortened).valid).toBe(true);
+  });
+});